@@ -0,0 +1,133 @@
+/**
+ * Per-source access control for registry hosts
+ *
+ * Each source a host shares has an `access` level:
+ *   public    listed and reachable by anyone who can see the host
+ *   team      only for callers with an API key of the host's organization
+ *   link      never listed; reachable only with a share link or join code
+ *   password  listed, but connecting requires the source's password
+ *
+ * Share links and join codes are issued by the host itself, so they grant
+ * access to their one source whatever its level. Passwords are only stored
+ * as salted scrypt hashes and never returned. Hashing runs on the libuv
+ * thread pool, so password checks don't hold up the event loop.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { normalizeFormat, describeFormat } = require('./sources');
+
+const ACCESS = {
+  PUBLIC: 'public',
+  TEAM: 'team',
+  LINK: 'link',
+  PASSWORD: 'password'
+};
+
+const NOT_FOUND = { status: 404, message: 'Source not found or not shared' };
+
+const scrypt = promisify(crypto.scrypt);
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 32);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function checkPassword(source, password) {
+  if (typeof password !== 'string' || !source.passwordHash) return false;
+  const [, salt, expected] = source.passwordHash.split('$');
+  const hash = await scrypt(password, Buffer.from(salt, 'base64'), 32);
+  return crypto.timingSafeEqual(hash, Buffer.from(expected, 'base64'));
+}
+
+// Validate sources sent by a host, with their format (lib/sources.js), and
+// hash any passwords. A password source sent without `password` keeps the
+// hash it had in `previous`. Resolves to { sources, thumbnails } or
+// { error }, with the new thumbnail images as { name, contentType, data }.
+async function normalizeSources(input, previous = []) {
+  if (!Array.isArray(input)) return { error: 'sources must be an array' };
+
+  const sources = [];
+  const thumbnails = [];
+  for (const source of input) {
+    if (!source || typeof source.name !== 'string' || !source.name) {
+      return { error: 'Each source needs a name' };
+    }
+
+    const level = source.access === undefined ? ACCESS.PUBLIC : source.access;
+    if (!Object.values(ACCESS).includes(level)) {
+      return { error: `access must be one of ${Object.values(ACCESS).join(', ')}` };
+    }
+
+    const normalized = { name: source.name, enabled: source.enabled === true, access: level };
+
+    const format = normalizeFormat(source, previous.find(s => s.name === source.name));
+    if (format.error) return { error: format.error };
+    Object.assign(normalized, format.format);
+    if (format.thumbnail) thumbnails.push({ name: source.name, ...format.thumbnail });
+
+    if (level === ACCESS.PASSWORD) {
+      const earlier = previous.find(s => s.name === source.name && s.passwordHash);
+      if (typeof source.password === 'string' && source.password) {
+        normalized.passwordHash = await hashPassword(source.password);
+      } else if (earlier) {
+        normalized.passwordHash = earlier.passwordHash;
+      } else {
+        return { error: `password required for source ${source.name}` };
+      }
+    }
+
+    sources.push(normalized);
+  }
+  return { sources, thumbnails };
+}
+
+// Is the source shown in the host directory to a caller from `orgId`?
+function isListed(host, source, orgId) {
+  if (!source.enabled) return false;
+  switch (source.access || ACCESS.PUBLIC) {
+    case ACCESS.TEAM:
+      return !!host.orgId && host.orgId === orgId;
+    case ACCESS.LINK:
+      return false;
+    default:
+      return true;
+  }
+}
+
+// Why a caller may not connect to an enabled source, as { status, message },
+// or null if they may. `link` is a share link the caller presented.
+async function checkAccess(host, source, { orgId, password, link } = {}) {
+  if (link && link.hostId === host.hostId && link.sourceName === source.name) return null;
+
+  switch (source.access || ACCESS.PUBLIC) {
+    case ACCESS.PUBLIC:
+      return null;
+    case ACCESS.TEAM:
+      return host.orgId && host.orgId === orgId ? null : NOT_FOUND;
+    case ACCESS.PASSWORD:
+      if (password === undefined) return { status: 401, message: 'Password required', passwordRequired: true };
+      return (await checkPassword(source, password)) ? null : { status: 403, message: 'Wrong password', passwordRequired: true };
+    default:
+      return NOT_FOUND;
+  }
+}
+
+// A source as shown to its host, without the password hash
+function describeSource(source, hostId) {
+  return {
+    name: source.name,
+    enabled: source.enabled,
+    access: source.access || ACCESS.PUBLIC,
+    ...describeFormat(source, hostId)
+  };
+}
+
+module.exports = {
+  ACCESS,
+  normalizeSources,
+  isListed,
+  checkAccess,
+  describeSource
+};
@@ -0,0 +1,161 @@
+/**
+ * Connection approval for registry hosts
+ *
+ * Each client connection request on a host moves through:
+ *   pending -> accepted | rejected | expired
+ * Accepted requests count as viewers of their source until the client
+ * leaves, the host releases it, or it ages out. Rejected and expired requests
+ * are kept briefly so a polling client can learn why, then pruned.
+ *
+ * These helpers operate on the host record and are meant to run inside
+ * store.update() so each change is applied atomically.
+ */
+
+// How long a host has to answer a request
+const PENDING_TIMEOUT_MS = 2 * 60 * 1000;
+
+// How long rejected/expired requests stay visible to the polling client
+const DECIDED_RETENTION_MS = 5 * 60 * 1000;
+
+// Accepted viewers that never leave are dropped after this long
+const ACCEPTED_TTL_MS = 12 * 60 * 60 * 1000;
+
+const { TYPES: CONTROL_TYPES } = require('./control');
+
+const STATE = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  REJECTED: 'rejected',
+  EXPIRED: 'expired'
+};
+
+const REASON = {
+  REJECTED_BY_HOST: 'rejected_by_host',
+  MAX_VIEWERS: 'max_viewers',
+  TIMEOUT: 'timeout',
+  AUTO_ACCEPTED: 'auto_accepted',
+  ACCEPTED_BY_HOST: 'accepted_by_host',
+  JOIN_CODE: 'join_code',
+  SHARE_LINK: 'share_link',
+  ACCESS_REVOKED: 'access_revoked'
+};
+
+const DEFAULT_POLICY = {
+  approval: 'required',     // 'required' or 'auto'
+  allowlist: [],            // client IDs accepted without asking
+  autoAcceptOrg: false,     // accept clients using this host's org API key
+  maxViewersPerSource: null, // null for unlimited
+  control: [...CONTROL_TYPES] // control messages viewers may send (see lib/control.js)
+};
+
+// Validate a policy update and merge it over `current`. Returns
+// { policy } or { error }.
+function mergePolicy(current, input) {
+  const policy = { ...DEFAULT_POLICY, ...current };
+  if (!input || typeof input !== 'object') return { error: 'policy must be an object' };
+
+  if (input.approval !== undefined) {
+    if (!['required', 'auto'].includes(input.approval)) {
+      return { error: "approval must be 'required' or 'auto'" };
+    }
+    policy.approval = input.approval;
+  }
+
+  if (input.allowlist !== undefined) {
+    if (!Array.isArray(input.allowlist) || !input.allowlist.every(id => typeof id === 'string')) {
+      return { error: 'allowlist must be an array of client IDs' };
+    }
+    policy.allowlist = Array.from(new Set(input.allowlist));
+  }
+
+  if (input.autoAcceptOrg !== undefined) {
+    if (typeof input.autoAcceptOrg !== 'boolean') {
+      return { error: 'autoAcceptOrg must be a boolean' };
+    }
+    policy.autoAcceptOrg = input.autoAcceptOrg;
+  }
+
+  if (input.maxViewersPerSource !== undefined) {
+    const max = input.maxViewersPerSource;
+    if (max !== null && !(Number.isInteger(max) && max > 0)) {
+      return { error: 'maxViewersPerSource must be a positive integer or null' };
+    }
+    policy.maxViewersPerSource = max;
+  }
+
+  if (input.control !== undefined) {
+    if (!Array.isArray(input.control) || !input.control.every(type => CONTROL_TYPES.includes(type))) {
+      return { error: `control must be an array of ${CONTROL_TYPES.join(', ')}` };
+    }
+    policy.control = Array.from(new Set(input.control));
+  }
+
+  return { policy };
+}
+
+// Expire unanswered requests and drop ones nobody needs any more. Returns
+// the requests that expired just now.
+function pruneRequests(host, now = Date.now()) {
+  const expired = [];
+  host.connectedClients = host.connectedClients.filter((client) => {
+    const state = client.state || (client.acknowledged ? STATE.ACCEPTED : STATE.PENDING);
+    client.state = state;
+
+    if (state === STATE.PENDING && now - client.requestedAt > PENDING_TIMEOUT_MS) {
+      decide(client, STATE.EXPIRED, REASON.TIMEOUT, 'Host did not respond in time', now);
+      expired.push(client);
+    }
+
+    if (client.state === STATE.REJECTED || client.state === STATE.EXPIRED) {
+      return now - client.decidedAt < DECIDED_RETENTION_MS;
+    }
+    if (client.state === STATE.ACCEPTED) {
+      return now - (client.decidedAt || client.requestedAt) < ACCEPTED_TTL_MS;
+    }
+    return true;
+  });
+  return expired;
+}
+
+function decide(client, state, reason, message, now = Date.now()) {
+  client.state = state;
+  client.reason = reason;
+  client.reasonMessage = message || null;
+  client.decidedAt = now;
+  // Older clients only look at `acknowledged`
+  client.acknowledged = state === STATE.ACCEPTED;
+  return client;
+}
+
+function viewerCount(host, sourceName) {
+  return host.connectedClients
+    .filter(c => c.state === STATE.ACCEPTED && c.requestedSource === sourceName)
+    .length;
+}
+
+function isSourceFull(host, sourceName) {
+  const max = host.policy?.maxViewersPerSource;
+  return !!max && viewerCount(host, sourceName) >= max;
+}
+
+// Should a new request be accepted without asking the host?
+function shouldAutoAccept(host, request, callerOrgId) {
+  const policy = { ...DEFAULT_POLICY, ...host.policy };
+
+  if (policy.approval === 'auto') return true;
+  if (policy.allowlist.includes(request.clientId)) return true;
+  return policy.autoAcceptOrg && !!host.orgId && host.orgId === callerOrgId;
+}
+
+module.exports = {
+  STATE,
+  REASON,
+  DEFAULT_POLICY,
+  PENDING_TIMEOUT_MS,
+  mergePolicy,
+  pruneRequests,
+  decide,
+  viewerCount,
+  isSourceFull,
+  shouldAutoAccept
+};
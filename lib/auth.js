@@ -0,0 +1,98 @@
+/**
+ * Host and client identity tokens
+ *
+ * Hosts receive a signed token when they register (`/api/hosts/register`)
+ * or create a session (`/api/session/create`), and clients receive a scoped
+ * token from connect/join. Tokens are HS256 JWTs signed with AUTH_SECRET,
+ * which must be the same on every replica.
+ *
+ * Host tokens carry a `jti` that is also stored on the host/session record,
+ * so registering again rotates the token and invalidates the old one.
+ *
+ * Claims:
+ *   host (registry)   { sub: hostId, role: 'host', scope: 'registry', jti }
+ *   host (session)    { sub: code,   role: 'host', scope: 'session',  jti }
+ *   client (registry) { sub: clientId, role: 'client', scope: 'registry', hostId }
+ *   client (session)  { sub: clientId, role: 'client', scope: 'session',  code }
+ *   resume            { sub: connectionId, role: 'resume', scope: 'session', code, peer, jti }
+ *   log uploader      { sub: logId, role: 'uploader', scope: 'log' }
+ *
+ * Resume tokens are handed out with every WebSocket `registered` message and
+ * let a reconnecting peer take back its connection id. Their `jti` is kept on
+ * the connection's presence record, so only the latest one works.
+ *
+ * Log uploaders get a token for reading back the log they uploaded; it
+ * lasts as long as the log is kept.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const HOST_TOKEN_TTL = '30d';
+const CLIENT_TOKEN_TTL = '24h';
+const RESUME_TOKEN_TTL = '24h';
+
+class Auth {
+  constructor({ secret }) {
+    this.secret = secret;
+  }
+
+  // Random id stored on the host/session record and embedded as `jti`
+  newTokenId() {
+    return crypto.randomBytes(12).toString('hex');
+  }
+
+  issueHostToken(scope, id, tokenId) {
+    return jwt.sign({ role: 'host', scope }, this.secret, {
+      subject: id,
+      jwtid: tokenId,
+      expiresIn: HOST_TOKEN_TTL
+    });
+  }
+
+  issueClientToken(scope, clientId, target) {
+    const claims = { role: 'client', scope };
+    if (scope === 'registry') claims.hostId = target;
+    if (scope === 'session') claims.code = target;
+
+    return jwt.sign(claims, this.secret, {
+      subject: clientId,
+      expiresIn: CLIENT_TOKEN_TTL
+    });
+  }
+
+  // `peer` is the connection's role in the session ('host' or 'client')
+  issueResumeToken(connectionId, code, peer, tokenId) {
+    return jwt.sign({ role: 'resume', scope: 'session', code, peer }, this.secret, {
+      subject: connectionId,
+      jwtid: tokenId,
+      expiresIn: RESUME_TOKEN_TTL
+    });
+  }
+
+  issueLogToken(logId, ttlSeconds) {
+    return jwt.sign({ role: 'uploader', scope: 'log' }, this.secret, {
+      subject: logId,
+      expiresIn: ttlSeconds
+    });
+  }
+
+  // Returns the token's claims, or null if it's missing, forged or expired
+  verify(token) {
+    if (!token || typeof token !== 'string') return null;
+    try {
+      return jwt.verify(token, this.secret, { algorithms: ['HS256'] });
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // Token from an `Authorization: Bearer <token>` header
+  fromRequest(req) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    return scheme === 'Bearer' ? this.verify(token) : null;
+  }
+}
+
+module.exports = { Auth };
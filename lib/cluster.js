@@ -0,0 +1,176 @@
+/**
+ * Cluster presence and cross-node message routing
+ *
+ * Every WebSocket connection gets a presence record in the shared store
+ * saying which node holds its socket. Messages for a connection held by
+ * another node are published on that node's channel and delivered there,
+ * so peers can signal each other regardless of which replica they hit.
+ *
+ * Presence records expire unless the owning node keeps refreshing them,
+ * so connections on a node that crashes drop out on their own.
+ *
+ * A peer that reconnects can take over its previous connection id on any
+ * node; the node that held it before is told to evict its copy. Peers whose
+ * access is revoked, or that an operator disconnects, are kicked on
+ * whichever node holds them. Broadcasts reach every connection on every node.
+ */
+
+const log = require('./logger').logger.child({ component: 'cluster' });
+
+// Channel every node listens on for broadcasts
+const BROADCAST_CHANNEL = 'broadcast';
+
+// Presence expires if its node stops refreshing it
+const PRESENCE_TTL_MS = 60000;
+const PRESENCE_REFRESH_MS = 20000;
+
+class Cluster {
+  constructor({ store, nodeId, deliverLocal, evictLocal, kickLocal }) {
+    this.store = store;
+    this.nodeId = nodeId;
+    this.deliverLocal = deliverLocal;
+    this.evictLocal = evictLocal || (() => {});
+    this.kickLocal = kickLocal || (() => false);
+    this.localIds = new Set();
+    this.unsubscribe = null;
+    this.unsubscribeBroadcast = null;
+    this.refresher = null;
+  }
+
+  _channel(nodeId) {
+    return `node:${nodeId}`;
+  }
+
+  async start() {
+    this.unsubscribe = await this.store.subscribe(this._channel(this.nodeId), ({ connectionId, message, evict, kick }) => {
+      if (evict) {
+        this.evictLocal(connectionId);
+      } else if (kick) {
+        this.kickLocal(connectionId, kick.reason, kick.kind);
+      } else {
+        this.deliverLocal(connectionId, message);
+      }
+    });
+
+    this.unsubscribeBroadcast = await this.store.subscribe(BROADCAST_CHANNEL, ({ message }) => {
+      for (const connectionId of this.localIds) this.deliverLocal(connectionId, message);
+    });
+
+    this.refresher = setInterval(() => {
+      this.refresh().catch((err) => {
+        log.error('Presence refresh failed', { err });
+      });
+    }, PRESENCE_REFRESH_MS);
+    this.refresher.unref();
+  }
+
+  // Record a connection held by this node
+  async join(connectionId, meta = {}) {
+    this.localIds.add(connectionId);
+    await this.store.set('presence', connectionId, {
+      connectionId,
+      nodeId: this.nodeId,
+      connectedAt: Date.now(),
+      ...meta
+    }, { ttlMs: PRESENCE_TTL_MS });
+  }
+
+  // Merge role/session details into a connection's presence record
+  async setMeta(connectionId, meta) {
+    return this.store.update('presence', connectionId, (presence) => {
+      Object.assign(presence, meta);
+    });
+  }
+
+  // Drop a connection held by this node. Presence that another node has
+  // taken over in the meantime is left alone.
+  async leave(connectionId) {
+    this.localIds.delete(connectionId);
+    const presence = await this.store.get('presence', connectionId);
+    if (presence && presence.nodeId === this.nodeId) {
+      await this.store.delete('presence', connectionId);
+    }
+  }
+
+  // Forget a connection locally without touching its presence
+  release(connectionId) {
+    this.localIds.delete(connectionId);
+  }
+
+  // Move a connection id to this node. `previousNodeId` is the node that
+  // held it before, which is told to evict its copy.
+  async takeOver(connectionId, previousNodeId, meta = {}) {
+    await this.join(connectionId, meta);
+    if (previousNodeId && previousNodeId !== this.nodeId) {
+      await this.store.publish(this._channel(previousNodeId), { connectionId, evict: true });
+    }
+  }
+
+  async isOnline(connectionId) {
+    if (!connectionId) return false;
+    if (this.localIds.has(connectionId)) return true;
+    return this.store.has('presence', connectionId);
+  }
+
+  // Deliver a message to a connection on whichever node holds it.
+  // Resolves false if the connection isn't present anywhere.
+  async send(connectionId, message) {
+    if (!connectionId) return false;
+    if (this.localIds.has(connectionId)) {
+      return this.deliverLocal(connectionId, message);
+    }
+
+    const presence = await this.store.get('presence', connectionId);
+    if (!presence) return false;
+
+    await this.store.publish(this._channel(presence.nodeId), { connectionId, message });
+    return true;
+  }
+
+  // Disconnect a connection on whichever node holds it. `kind` tells the
+  // peer why (see kickLocal).
+  async kick(connectionId, reason, kind) {
+    if (this.localIds.has(connectionId)) {
+      return this.kickLocal(connectionId, reason, kind);
+    }
+
+    const presence = await this.store.get('presence', connectionId);
+    if (!presence) return false;
+
+    await this.store.publish(this._channel(presence.nodeId), { connectionId, kick: { reason, kind } });
+    return true;
+  }
+
+  // Deliver a message to every connection in the cluster
+  async broadcast(message) {
+    await this.store.publish(BROADCAST_CHANNEL, { message });
+  }
+
+  // Presence records of every connection in the cluster
+  async list() {
+    return this.store.list('presence');
+  }
+
+  async count() {
+    return this.store.count('presence');
+  }
+
+  async refresh() {
+    for (const connectionId of this.localIds) {
+      await this.store.update('presence', connectionId, () => {}, { ttlMs: PRESENCE_TTL_MS });
+    }
+  }
+
+  async stop() {
+    clearInterval(this.refresher);
+    if (this.unsubscribe) await this.unsubscribe();
+    if (this.unsubscribeBroadcast) await this.unsubscribeBroadcast();
+
+    // Clear our presence so other nodes stop routing to us right away
+    for (const connectionId of Array.from(this.localIds)) {
+      await this.leave(connectionId);
+    }
+  }
+}
+
+module.exports = { Cluster, PRESENCE_TTL_MS };
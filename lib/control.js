@@ -0,0 +1,168 @@
+/**
+ * Control messages from viewers to a host's sources
+ *
+ * Clients send three kinds of control to one source on their host:
+ *
+ *   tally     { sourceName, program, preview }   the client's tally state
+ *   ptz       { sourceName, action, ... }        camera control, see PTZ_ACTIONS
+ *   metadata  { sourceName, xml }                NDI metadata frame (XML)
+ *
+ * PTZ and metadata are passed on to the host as they come. Tally is kept per
+ * viewer and the host gets the aggregate for the source instead: it's on
+ * program if any viewer has it on program, likewise for preview.
+ *
+ * The tally helpers operate on a host's tally record and are meant to run
+ * inside store.update(). The record is
+ *
+ *   { sources: { [sourceName]: { [viewerId]: { program, preview, updatedAt, expiresAt } } } }
+ *
+ * where expiresAt is null for WebSocket viewers (removed on disconnect) and
+ * set for HTTP viewers, who have to resend their tally to keep it.
+ */
+
+const TYPES = ['tally', 'ptz', 'metadata'];
+
+// Absolute positions and speeds follow the NDI SDK: pan/tilt -1..1, zoom
+// and focus 0 (wide/near) to 1, speeds -1..1 with 0 to stop
+const UNIT = { min: 0, max: 1 };
+const SIGNED = { min: -1, max: 1 };
+const PRESET = { min: 0, max: 99, integer: true };
+
+const PTZ_ACTIONS = {
+  pan_tilt: { pan: SIGNED, tilt: SIGNED },
+  pan_tilt_speed: { pan: SIGNED, tilt: SIGNED },
+  zoom: { zoom: UNIT },
+  zoom_speed: { speed: SIGNED },
+  focus: { focus: UNIT },
+  focus_speed: { speed: SIGNED },
+  auto_focus: {},
+  preset_store: { preset: PRESET },
+  preset_recall: { preset: PRESET, speed: { ...UNIT, optional: true } }
+};
+
+const MAX_METADATA_BYTES = 8192;
+const MAX_SOURCE_NAME = 256;
+
+// A single XML element, e.g. <ntk_ptz_zoom zoom="0.5"/>
+const XML_ELEMENT = /^\s*<[A-Za-z_][\w.:-]*[\s/>][\s\S]*>\s*$/;
+
+function checkNumber(name, value, spec) {
+  if (value === undefined && spec.optional) return null;
+  if (typeof value !== 'number' || !Number.isFinite(value) || (spec.integer && !Number.isInteger(value))) {
+    return `${name} must be ${spec.integer ? 'an integer' : 'a number'}`;
+  }
+  if (value < spec.min || value > spec.max) return `${name} must be from ${spec.min} to ${spec.max}`;
+  return null;
+}
+
+function normalizeTally(input) {
+  for (const key of ['program', 'preview']) {
+    if (input[key] !== undefined && typeof input[key] !== 'boolean') return { error: `${key} must be a boolean` };
+  }
+  return { fields: { program: !!input.program, preview: !!input.preview } };
+}
+
+function normalizePtz(input) {
+  const spec = Object.hasOwn(PTZ_ACTIONS, input.action) ? PTZ_ACTIONS[input.action] : null;
+  if (!spec) return { error: `action must be one of ${Object.keys(PTZ_ACTIONS).join(', ')}` };
+
+  const fields = { action: input.action };
+  for (const [name, range] of Object.entries(spec)) {
+    const error = checkNumber(name, input[name], range);
+    if (error) return { error };
+    if (input[name] !== undefined) fields[name] = input[name];
+  }
+  return { fields };
+}
+
+function normalizeMetadata(input) {
+  if (typeof input.xml !== 'string' || !XML_ELEMENT.test(input.xml)) {
+    return { error: 'xml must be an XML element' };
+  }
+  if (Buffer.byteLength(input.xml) > MAX_METADATA_BYTES) {
+    return { error: `xml must be at most ${MAX_METADATA_BYTES} bytes` };
+  }
+  return { fields: { xml: input.xml } };
+}
+
+const NORMALIZERS = { tally: normalizeTally, ptz: normalizePtz, metadata: normalizeMetadata };
+
+// Validate a control message from a client. Returns
+// { control: { type, sourceName, ... } } with only the known fields, or
+// { error }.
+function normalizeControl(input) {
+  if (!input || typeof input !== 'object' || !TYPES.includes(input.type)) {
+    return { error: `type must be one of ${TYPES.join(', ')}` };
+  }
+  if (typeof input.sourceName !== 'string' || !input.sourceName || input.sourceName.length > MAX_SOURCE_NAME) {
+    return { error: 'sourceName is required' };
+  }
+
+  const { fields, error } = NORMALIZERS[input.type](input);
+  if (error) return { error };
+  return { control: { type: input.type, sourceName: input.sourceName, ...fields } };
+}
+
+// Record one viewer's tally for a source. A viewer with neither program nor
+// preview is dropped.
+function setTally(record, sourceName, viewerId, { program, preview }, { expiresAt = null, now = Date.now() } = {}) {
+  record.sources = record.sources || {};
+  const viewers = record.sources[sourceName] || {};
+  if (program || preview) {
+    viewers[viewerId] = { program, preview, updatedAt: now, expiresAt };
+  } else {
+    delete viewers[viewerId];
+  }
+
+  if (Object.keys(viewers).length > 0) {
+    record.sources[sourceName] = viewers;
+  } else {
+    delete record.sources[sourceName];
+  }
+}
+
+// Drop viewers that are gone or whose tally lapsed. Returns the names of
+// the sources that had any removed.
+function pruneTally(record, { viewerId = null, now = Date.now() } = {}) {
+  const affected = [];
+  for (const [sourceName, viewers] of Object.entries(record.sources || {})) {
+    const stale = Object.keys(viewers).filter(id =>
+      id === viewerId || (viewers[id].expiresAt !== null && viewers[id].expiresAt <= now));
+    if (stale.length === 0) continue;
+
+    stale.forEach(id => delete viewers[id]);
+    if (Object.keys(viewers).length === 0) delete record.sources[sourceName];
+    affected.push(sourceName);
+  }
+  return affected;
+}
+
+// A source's tally across all its viewers
+function aggregateTally(record, sourceName, now = Date.now()) {
+  const viewers = Object.values(record?.sources?.[sourceName] || {})
+    .filter(v => v.expiresAt === null || v.expiresAt > now);
+  const programViewers = viewers.filter(v => v.program).length;
+  const previewViewers = viewers.filter(v => v.preview).length;
+  return { program: programViewers > 0, preview: previewViewers > 0, programViewers, previewViewers };
+}
+
+// Aggregates for every source that has a tally, by source name
+function tallySummary(record, now = Date.now()) {
+  const summary = {};
+  for (const sourceName of Object.keys(record?.sources || {})) {
+    const tally = aggregateTally(record, sourceName, now);
+    if (tally.program || tally.preview) summary[sourceName] = tally;
+  }
+  return summary;
+}
+
+module.exports = {
+  TYPES,
+  PTZ_ACTIONS,
+  MAX_METADATA_BYTES,
+  normalizeControl,
+  setTally,
+  pruneTally,
+  aggregateTally,
+  tallySummary
+};
@@ -0,0 +1,137 @@
+/**
+ * Push notifications for HTTP clients
+ *
+ * Registry and session changes (new client requests, accept/reject
+ * decisions, endpoint updates, hosts going offline) are published on a
+ * per-host or per-session topic through the store's pub/sub, so every
+ * replica sees them. HTTP callers that can't use WebSockets receive them
+ * either as a Server-Sent Events stream or by long-polling with `?wait=`.
+ *
+ * Topics:
+ *   host:<hostId>    registry host and its clients
+ *   session:<code>   join-code session peers
+ */
+
+const log = require('./logger').logger.child({ component: 'events' });
+
+// Longest a long-poll request may be held open
+const MAX_WAIT_MS = 55 * 1000;
+
+// SSE comment sent on idle streams so proxies don't time them out
+const KEEPALIVE_MS = 15 * 1000;
+
+class Events {
+  constructor({ store }) {
+    this.store = store;
+  }
+
+  _channel(topic) {
+    return `events:${topic}`;
+  }
+
+  async publish(topic, type, data = {}) {
+    await this.store.publish(this._channel(topic), { ...data, type, at: Date.now() });
+  }
+
+  async subscribe(topic, handler) {
+    return this.store.subscribe(this._channel(topic), handler);
+  }
+
+  // Subscribe now; wait(ms) then resolves with the first event accepted by
+  // `filter`, or null once the time is up or cancel() is called. Subscribing
+  // before reading current state means no event can slip through in between.
+  // Callers must end with wait() or cancel().
+  async waiter(topic, filter) {
+    let finish;
+    const promise = new Promise((resolve) => { finish = resolve; });
+
+    let timer = null;
+    let done = false;
+    let unsubscribe = null;
+
+    const settle = (event) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      if (unsubscribe) unsubscribe().catch(() => {});
+      finish(event);
+    };
+
+    unsubscribe = await this.subscribe(topic, (event) => {
+      if (!filter || filter(event)) settle(event);
+    });
+    if (done) unsubscribe().catch(() => {});
+
+    return {
+      wait: (timeoutMs) => {
+        if (!done) timer = setTimeout(() => settle(null), Math.min(timeoutMs, MAX_WAIT_MS));
+        return promise;
+      },
+      cancel: () => settle(null)
+    };
+  }
+}
+
+// `?wait=<seconds>` as milliseconds, or 0 when the caller doesn't want to wait
+function parseWait(query) {
+  const seconds = parseFloat(query.wait);
+  if (!(seconds > 0)) return 0;
+  return Math.min(seconds * 1000, MAX_WAIT_MS);
+}
+
+// Turn an Express response into a Server-Sent Events stream. `onTick` runs
+// with every keepalive, e.g. to re-check state that can change without an
+// event (expiry).
+function openEventStream(res, { onTick } = {}) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop nginx-style proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  let nextId = 1;
+  const cleanups = [];
+
+  const stream = {
+    closed: false,
+    send(event, data) {
+      if (stream.closed) return;
+      res.write(`id: ${nextId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    onClose(cleanup) {
+      cleanups.push(cleanup);
+    },
+    close() {
+      if (!stream.closed) res.end();
+      shutdown();
+    }
+  };
+
+  const keepalive = setInterval(() => {
+    if (stream.closed) return;
+    res.write(': keepalive\n\n');
+    if (onTick) {
+      Promise.resolve(onTick()).catch((err) => {
+        log.error('Event stream refresh failed', { err });
+      });
+    }
+  }, KEEPALIVE_MS);
+
+  function shutdown() {
+    if (stream.closed && cleanups.length === 0) return;
+    stream.closed = true;
+    clearInterval(keepalive);
+    cleanups.splice(0).forEach((cleanup) => {
+      Promise.resolve(cleanup()).catch(() => {});
+    });
+  }
+
+  res.on('close', shutdown);
+  return stream;
+}
+
+module.exports = { Events, parseWait, openEventStream, MAX_WAIT_MS };
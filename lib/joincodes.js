@@ -0,0 +1,63 @@
+/**
+ * Join codes minted by registered hosts
+ *
+ * A registered host can hand out a short code for one of its sources.
+ * Joining with the code (`/api/session/join`, WebSocket `register`) resolves
+ * to the host's registry entry and its signaling session, and admits the
+ * client to that source without a separate approval step.
+ *
+ * Codes share the alphabet and length of session codes and are checked
+ * against both collections, so either kind can be typed into the same box.
+ */
+
+const { customAlphabet } = require('nanoid');
+
+const generateJoinCode = customAlphabet('ABCDEFGHJKLMNPQRSTUVWXYZ23456789', 6);
+
+// Codes last 24 hours unless asked otherwise, and at most 7 days
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+class JoinCodes {
+  constructor({ store }) {
+    this.store = store;
+  }
+
+  async create(hostId, sourceName, { ttlMs = DEFAULT_TTL_MS } = {}) {
+    let code = generateJoinCode();
+    while (await this.store.has('sessions', code) || await this.store.has('joincodes', code)) {
+      code = generateJoinCode();
+    }
+
+    const lifetime = Math.min(ttlMs, MAX_TTL_MS);
+    const joinCode = {
+      code,
+      hostId,
+      sourceName,
+      createdAt: Date.now(),
+      expiresAt: Date.now() + lifetime
+    };
+    await this.store.set('joincodes', code, joinCode, { ttlMs: lifetime });
+    return joinCode;
+  }
+
+  async get(code) {
+    if (!code || typeof code !== 'string') return null;
+    return this.store.get('joincodes', code.toUpperCase());
+  }
+
+  async list(hostId) {
+    return (await this.store.list('joincodes'))
+      .filter(joinCode => joinCode.hostId === hostId)
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  async revoke(hostId, code) {
+    const joinCode = await this.get(code);
+    if (!joinCode || joinCode.hostId !== hostId) return false;
+    await this.store.delete('joincodes', joinCode.code);
+    return true;
+  }
+}
+
+module.exports = { JoinCodes };
@@ -0,0 +1,112 @@
+/**
+ * Structured logging
+ *
+ * Every line is one JSON object on stdout (warn and error on stderr):
+ *
+ *   {"time":"...","level":"info","msg":"Session created","nodeId":"...","requestId":"...","sessionCode":"K7M2PX"}
+ *
+ * child(fields) returns a logger that adds fields to every line it writes,
+ * which is how a request ID, connection ID, session code or host ID ends up
+ * on everything logged while handling it. Fields are resolved when a line is
+ * written, so fields set on a parent later still show up on its children.
+ *
+ *   LOG_LEVEL    debug, info (default), warn, error or silent
+ *   LOG_FORMAT   json (default) or pretty, a one-line text format for local
+ *                development
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// Errors don't serialize to JSON on their own
+function serialize(value) {
+  if (value instanceof Error) {
+    return { message: value.message, code: value.code, stack: value.stack };
+  }
+  return value;
+}
+
+function prettyValue(value) {
+  if (value && typeof value === 'object') {
+    return value.message !== undefined && value.stack !== undefined ? value.message : JSON.stringify(value);
+  }
+  return String(value);
+}
+
+class Logger {
+  constructor({ level, format, fields = {}, parent = null, write } = {}) {
+    this.parent = parent;
+    this.fields = fields;
+    if (!parent) {
+      this.setLevel(level || 'info');
+      this.format = format === 'pretty' ? 'pretty' : 'json';
+      this.write = write || ((line, level) => (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`));
+    }
+  }
+
+  get root() {
+    return this.parent ? this.parent.root : this;
+  }
+
+  setLevel(level) {
+    if (!Object.hasOwn(LEVELS, level)) throw new Error(`Unknown log level: ${level}`);
+    this.root.level = level;
+  }
+
+  // Add fields to this logger and everything logged through its children
+  setFields(fields) {
+    Object.assign(this.fields, fields);
+    return this;
+  }
+
+  child(fields = {}) {
+    return new Logger({ parent: this, fields: { ...fields } });
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.root.level];
+  }
+
+  resolvedFields() {
+    return { ...(this.parent ? this.parent.resolvedFields() : {}), ...this.fields };
+  }
+
+  log(level, msg, fields = {}) {
+    if (!this.isEnabled(level)) return;
+    const entry = { time: new Date().toISOString(), level, msg };
+    for (const [key, value] of Object.entries({ ...this.resolvedFields(), ...fields })) {
+      // Unknown identifiers are left out rather than logged as null
+      if (value !== undefined && value !== null) entry[key] = serialize(value);
+    }
+    this.root.write(this.root.format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry), level);
+  }
+
+  debug(msg, fields) {
+    this.log('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.log('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.log('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.log('error', msg, fields);
+  }
+}
+
+function formatPretty({ time, level, msg, ...fields }) {
+  const pairs = Object.entries(fields).map(([key, value]) => `${key}=${prettyValue(value)}`);
+  const stack = fields.err?.stack ? `\n${fields.err.stack}` : '';
+  return `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} ${msg}${pairs.length ? ` ${pairs.join(' ')}` : ''}${stack}`;
+}
+
+// The process-wide logger; server.js adds the node ID to it at startup
+const logger = new Logger({
+  level: (process.env.LOG_LEVEL || 'info').toLowerCase(),
+  format: (process.env.LOG_FORMAT || 'json').toLowerCase()
+});
+
+module.exports = { Logger, LEVELS, logger };
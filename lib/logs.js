@@ -0,0 +1,497 @@
+/**
+ * Uploaded NDI Bridge logs: parsing, storage and search
+ *
+ * Uploads are split into lines, and each line gets a level and timestamp
+ * when one can be detected (plain `2024-05-01 12:00:00.123 [ERROR] ...`
+ * style lines as well as JSON lines). Continuation lines such as stack
+ * traces inherit them from the line above. Lines without a time zone are
+ * taken as UTC.
+ *
+ * Uploads are redacted (lib/redact.js) before anything else happens to them.
+ *
+ * Metadata and lines are stored separately ('logs' and 'loglines') so
+ * listing and filtering by device, platform or version doesn't load every
+ * log's contents. Logs expire after the retention period, and the oldest are
+ * dropped once the total size goes over its limit.
+ */
+
+const zlib = require('zlib');
+const { parseMultipart } = require('./multipart');
+const log = require('./logger').logger.child({ component: 'logs' });
+
+const LEVELS = ['trace', 'debug', 'info', 'warn', 'error', 'fatal'];
+
+const LEVEL_NAMES = {
+  trace: 'trace',
+  verbose: 'debug',
+  debug: 'debug',
+  info: 'info',
+  notice: 'info',
+  warn: 'warn',
+  warning: 'warn',
+  err: 'error',
+  error: 'error',
+  crit: 'error',
+  critical: 'error',
+  fatal: 'fatal',
+  crash: 'fatal',
+  panic: 'fatal'
+};
+
+// Upper-case level words, bracketed ones in any case, and level=... fields
+const LEVEL_WORD = /\b(TRACE|VERBOSE|DEBUG|INFO|NOTICE|WARN|WARNING|ERR|ERROR|CRIT|CRITICAL|FATAL|CRASH|PANIC)\b/;
+const LEVEL_BRACKETED = /[[<(](trace|verbose|debug|info|notice|warn|warning|err|error|crit|critical|fatal|crash|panic)[\]>)]/i;
+const LEVEL_FIELD = /\blevel[=:]\s*"?([a-z]+)/i;
+
+// Crash reports rarely say FATAL
+const CRASH_MARKERS = /SIGSEGV|SIGABRT|SIGBUS|EXC_BAD_ACCESS|Segmentation fault|Unhandled exception|uncaught exception/i;
+
+const TIMESTAMP = /(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2}:\d{2})(?:[.,](\d{1,9}))?\s?(Z|[+-]\d{2}:?\d{2})?/;
+
+// Level and timestamp detection only looks at the start of a line
+const HEADER_LENGTH = 160;
+
+// pino/bunyan numeric levels
+const NUMERIC_LEVELS = { 10: 'trace', 20: 'debug', 30: 'info', 40: 'warn', 50: 'error', 60: 'fatal' };
+
+function detectLevel(line) {
+  const head = line.slice(0, HEADER_LENGTH);
+  const match = LEVEL_WORD.exec(head) || LEVEL_BRACKETED.exec(head) || LEVEL_FIELD.exec(head);
+  const level = match && LEVEL_NAMES[match[1].toLowerCase()];
+  if (level) return level;
+  return CRASH_MARKERS.test(line) ? 'fatal' : null;
+}
+
+function detectTime(line) {
+  const match = TIMESTAMP.exec(line.slice(0, HEADER_LENGTH));
+  if (!match) return null;
+
+  const [, date, time, fraction, zone] = match;
+  const ms = fraction ? `.${fraction.slice(0, 3).padEnd(3, '0')}` : '';
+  const offset = !zone ? 'Z' : /^[+-]\d{4}$/.test(zone) ? `${zone.slice(0, 3)}:${zone.slice(3)}` : zone;
+  const at = Date.parse(`${date}T${time}${ms}${offset}`);
+  return Number.isNaN(at) ? null : at;
+}
+
+function parseJsonTime(value) {
+  if (typeof value === 'number') return value < 1e12 ? Math.round(value * 1000) : value;
+  if (typeof value === 'string') {
+    const at = Date.parse(value);
+    return Number.isNaN(at) ? null : at;
+  }
+  return null;
+}
+
+// { level, at } from a JSON log line, or null if it isn't one
+function parseJsonLine(line) {
+  if (line[0] !== '{') return null;
+  let record;
+  try {
+    record = JSON.parse(line);
+  } catch {
+    return null;
+  }
+  if (!record || typeof record !== 'object') return null;
+
+  const rawLevel = record.level ?? record.severity ?? record.lvl;
+  const level = typeof rawLevel === 'number'
+    ? NUMERIC_LEVELS[rawLevel] || null
+    : typeof rawLevel === 'string' ? LEVEL_NAMES[rawLevel.toLowerCase()] || null : null;
+
+  return { level, at: parseJsonTime(record.time ?? record.timestamp ?? record.ts) };
+}
+
+// Split a log into [{ n, at, level, text }]. `maxLineLength` truncates
+// very long lines.
+function parseLines(text, { maxLineLength = 4000 } = {}) {
+  const lines = [];
+  let level = null;
+  let at = null;
+
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.length > maxLineLength ? `${raw.slice(0, maxLineLength)}…` : raw;
+    if (!line.trim()) return;
+
+    const json = parseJsonLine(line);
+    const lineAt = json ? json.at : detectTime(line);
+    const lineLevel = json ? json.level : detectLevel(line);
+
+    // A line with its own timestamp starts a new entry; others continue it
+    if (lineAt !== null) {
+      at = lineAt;
+      level = lineLevel;
+    } else if (lineLevel) {
+      level = lineLevel;
+    }
+
+    lines.push({ n: index + 1, at, level, text: line });
+  });
+  return lines;
+}
+
+function countLevels(lines) {
+  const counts = {};
+  for (const { level } of lines) {
+    if (level) counts[level] = (counts[level] || 0) + 1;
+  }
+  return counts;
+}
+
+// ----- Uploads -----
+
+const GZIP_MAGIC = [0x1f, 0x8b];
+
+function isGzip(buffer) {
+  return buffer.length > 2 && buffer[0] === GZIP_MAGIC[0] && buffer[1] === GZIP_MAGIC[1];
+}
+
+// Buffer to text, gunzipping it first if needed. Returns { text } or
+// { status, message }.
+function toText(buffer, maxBytes) {
+  if (isGzip(buffer)) {
+    try {
+      buffer = zlib.gunzipSync(buffer, { maxOutputLength: maxBytes });
+    } catch (err) {
+      return err.code === 'ERR_BUFFER_TOO_LARGE'
+        ? { status: 413, message: `Log is larger than ${maxBytes} bytes uncompressed` }
+        : { status: 400, message: 'Invalid gzip data' };
+    }
+  }
+  if (buffer.length > maxBytes) {
+    return { status: 413, message: `Log is larger than ${maxBytes} bytes` };
+  }
+  return { text: buffer.toString('utf8') };
+}
+
+const META_FIELDS = ['deviceName', 'timestamp', 'platform', 'appVersion'];
+
+function pickMeta(source) {
+  const meta = {};
+  for (const field of META_FIELDS) {
+    if (typeof source?.[field] === 'string') meta[field] = source[field];
+  }
+  return meta;
+}
+
+// Decode a log upload into { meta, text }, or { status, message }:
+//   application/json     { logContents, deviceName, ... }; logContents may be
+//                        gzipped and base64 encoded with `encoding: "gzip+base64"`
+//   text/plain, gzip     the log itself, metadata in the query string
+//   multipart/form-data  a `log` file part (gzipped or not) and metadata fields
+// Bodies sent with `Content-Encoding: gzip` are inflated before this.
+function decodeUpload(req, { maxBytes }) {
+  const contentType = req.headers['content-type'] || '';
+
+  if (contentType.startsWith('multipart/form-data')) {
+    const parts = parseMultipart(req.body, contentType);
+    if (!parts) return { status: 400, message: 'Invalid multipart body' };
+
+    const file = parts.find(p => p.name === 'log' || p.name === 'logContents') || parts.find(p => p.filename !== null);
+    if (!file) return { status: 400, message: 'No log file part provided' };
+
+    const fields = {};
+    parts.filter(p => p !== file && p.filename === null).forEach((p) => {
+      fields[p.name] = p.data.toString('utf8');
+    });
+
+    const decoded = toText(file.data, maxBytes);
+    return decoded.text === undefined ? decoded : { meta: pickMeta(fields), text: decoded.text };
+  }
+
+  if (Buffer.isBuffer(req.body)) {
+    const decoded = toText(req.body, maxBytes);
+    return decoded.text === undefined ? decoded : { meta: pickMeta(req.query), text: decoded.text };
+  }
+
+  if (typeof req.body === 'string') {
+    return { meta: pickMeta(req.query), text: req.body };
+  }
+
+  const { logContents, encoding } = req.body || {};
+  if (typeof logContents !== 'string' || !logContents) {
+    return { status: 400, message: 'No log contents provided' };
+  }
+  if (encoding === 'gzip+base64') {
+    const decoded = toText(Buffer.from(logContents, 'base64'), maxBytes);
+    return decoded.text === undefined ? decoded : { meta: pickMeta(req.body), text: decoded.text };
+  }
+  if (encoding !== undefined) {
+    return { status: 400, message: 'encoding must be "gzip+base64"' };
+  }
+  if (Buffer.byteLength(logContents) > maxBytes) {
+    return { status: 413, message: `Log is larger than ${maxBytes} bytes` };
+  }
+  return { meta: pickMeta(req.body), text: logContents };
+}
+
+// ----- Queries -----
+
+const DURATION = /^(\d+(?:\.\d+)?)(m|h|d)$/;
+const DURATION_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Epoch milliseconds from an ISO date or a number of milliseconds
+function parseTime(value) {
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : at;
+}
+
+// Longest regex source accepted in a query
+const MAX_REGEX_LENGTH = 200;
+
+// Quantifier starting at source[i]: { repeats } when it can match more than
+// once, null when there is none
+const BRACE_QUANTIFIER = /^\{(\d+)(,(\d*))?\}/;
+
+function quantifierAt(source, i) {
+  const ch = source[i];
+  if (ch === '*' || ch === '+') return { repeats: true };
+  if (ch === '?') return { repeats: false };
+  const brace = ch === '{' && BRACE_QUANTIFIER.exec(source.slice(i));
+  if (!brace) return null;
+  const max = brace[2] ? brace[3] : brace[1];
+  return { repeats: max === '' || Number(max) > 1 };
+}
+
+// Why a regex could backtrack catastrophically on a log line, or null.
+// Turned away: repeated groups that contain a quantifier or alternation,
+// like (a+)+ or (a|ab)*, and backreferences.
+function unsafeRegex(source) {
+  // One entry per open group: whether it contains a quantifier or |
+  const groups = [];
+  const mark = () => { if (groups.length > 0) groups[groups.length - 1] = true; };
+  let inClass = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (ch === '\\') {
+      if (!inClass && /[1-9k]/.test(source[i + 1] || '')) return 'must not use backreferences';
+      i++;
+    } else if (inClass) {
+      if (ch === ']') inClass = false;
+    } else if (ch === '[') {
+      inClass = true;
+    } else if (ch === '(') {
+      groups.push(false);
+      // Skip the (?:, (?=, (?<name> ... prefix so its ? isn't a quantifier
+      const prefix = /^(?:\?(?:<[=!]|<[^>]*>|[:=!]))?/.exec(source.slice(i + 1));
+      i += prefix[0].length;
+    } else if (ch === '|') {
+      mark();
+    } else if (ch === ')') {
+      const ambiguous = groups.pop();
+      const quantifier = quantifierAt(source, i + 1);
+      if (ambiguous && quantifier?.repeats) return 'must not repeat a group that contains a quantifier or |';
+      if (ambiguous || quantifier) mark();
+    } else if (quantifierAt(source, i)) {
+      mark();
+    }
+  }
+  return null;
+}
+
+// Largest number of matching lines returned by a search
+const MAX_SEARCH_LINES = 2000;
+
+// Query string to search filters. Returns { filters } or { error }.
+//   deviceName, platform, appVersion   exact match (case-insensitive)
+//   since=24h | from, to               time range (ISO dates or epoch ms)
+//   level=error,fatal | minLevel=warn  line levels
+//   q                                  text contained in the line
+//   regex                              JavaScript regex (case-insensitive),
+//                                      without nested repetition
+//   limit                              matching lines to return
+function parseQuery(query) {
+  const filters = {};
+
+  for (const field of ['deviceName', 'platform', 'appVersion']) {
+    if (typeof query[field] === 'string' && query[field]) filters[field] = query[field].toLowerCase();
+  }
+
+  if (query.since !== undefined) {
+    const match = DURATION.exec(query.since);
+    if (!match) return { error: 'since must be a duration like 30m, 24h or 7d' };
+    filters.from = Date.now() - parseFloat(match[1]) * DURATION_MS[match[2]];
+  }
+  for (const field of ['from', 'to']) {
+    if (query[field] === undefined) continue;
+    const at = parseTime(query[field]);
+    if (at === null) return { error: `${field} must be an ISO date or epoch milliseconds` };
+    filters[field] = at;
+  }
+
+  if (query.level !== undefined) {
+    const levels = String(query.level).toLowerCase().split(',').map(l => l.trim());
+    if (!levels.every(l => LEVELS.includes(l))) return { error: `level must be among ${LEVELS.join(', ')}` };
+    filters.levels = levels;
+  }
+  if (query.minLevel !== undefined) {
+    const index = LEVELS.indexOf(String(query.minLevel).toLowerCase());
+    if (index === -1) return { error: `minLevel must be one of ${LEVELS.join(', ')}` };
+    filters.levels = LEVELS.slice(index).filter(l => !filters.levels || filters.levels.includes(l));
+  }
+
+  if (typeof query.q === 'string' && query.q) filters.text = query.q.toLowerCase();
+
+  if (query.regex !== undefined) {
+    if (typeof query.regex !== 'string' || query.regex.length > MAX_REGEX_LENGTH) {
+      return { error: `regex must be at most ${MAX_REGEX_LENGTH} characters` };
+    }
+    const unsafe = unsafeRegex(query.regex);
+    if (unsafe) return { error: `regex ${unsafe}` };
+    try {
+      filters.regex = new RegExp(query.regex, 'i');
+    } catch (err) {
+      return { error: `Invalid regex: ${err.message}` };
+    }
+  }
+
+  const limit = query.limit === undefined ? 200 : parseInt(query.limit, 10);
+  if (!(limit > 0)) return { error: 'limit must be a positive integer' };
+  filters.limit = Math.min(limit, MAX_SEARCH_LINES);
+
+  return { filters };
+}
+
+function metaMatches(meta, filters) {
+  for (const field of ['deviceName', 'platform', 'appVersion']) {
+    if (filters[field] && String(meta[field]).toLowerCase() !== filters[field]) return false;
+  }
+  // Logs whose lines all fall outside the time range can be skipped
+  const first = meta.firstAt ?? meta.uploadedAt;
+  const last = meta.lastAt ?? meta.uploadedAt;
+  if (filters.from !== undefined && last < filters.from) return false;
+  if (filters.to !== undefined && first > filters.to) return false;
+  return true;
+}
+
+function hasLineFilters(filters) {
+  return filters.levels || filters.text || filters.regex || filters.from !== undefined || filters.to !== undefined;
+}
+
+function lineMatches(line, meta, filters) {
+  // Lines without a timestamp count as uploaded at the log's upload time
+  const at = line.at ?? meta.uploadedAt;
+  if (filters.from !== undefined && at < filters.from) return false;
+  if (filters.to !== undefined && at > filters.to) return false;
+  if (filters.levels && !filters.levels.includes(line.level)) return false;
+  if (filters.text && !line.text.toLowerCase().includes(filters.text)) return false;
+  if (filters.regex && !filters.regex.test(line.text)) return false;
+  return true;
+}
+
+// ----- Storage -----
+
+class LogStore {
+  constructor({ store, redactor, retentionMs, maxTotalBytes, maxLineLength }) {
+    this.store = store;
+    this.redactor = redactor;
+    this.retentionMs = retentionMs;
+    this.maxTotalBytes = maxTotalBytes;
+    this.maxLineLength = maxLineLength;
+  }
+
+  async add(logId, meta, raw) {
+    const { text, counts } = this.redactor ? this.redactor.redact(raw) : { text: raw, counts: {} };
+    const lines = parseLines(text, { maxLineLength: this.maxLineLength });
+    const times = lines.map(l => l.at).filter(at => at !== null);
+    const bounds = times.reduce(([min, max], at) => [Math.min(min, at), Math.max(max, at)], [Infinity, -Infinity]);
+
+    const entry = {
+      logId,
+      deviceName: meta.deviceName || 'Unknown',
+      timestamp: meta.timestamp || new Date().toISOString(),
+      platform: meta.platform || 'Unknown',
+      appVersion: meta.appVersion || 'Unknown',
+      uploadedAt: Date.now(),
+      size: Buffer.byteLength(text),
+      lineCount: lines.length,
+      redactions: counts,
+      levels: countLevels(lines),
+      firstAt: times.length ? bounds[0] : null,
+      lastAt: times.length ? bounds[1] : null
+    };
+
+    await this.store.set('loglines', logId, { logId, lines }, { ttlMs: this.retentionMs });
+    await this.store.set('logs', logId, entry, { ttlMs: this.retentionMs });
+    await this.enforceTotalSize();
+    return entry;
+  }
+
+  async get(logId) {
+    return this.store.get('logs', logId);
+  }
+
+  async lines(logId) {
+    return (await this.store.get('loglines', logId))?.lines || null;
+  }
+
+  // The log as text again. Blank lines come back; over-long lines stay cut.
+  async contents(logId) {
+    const lines = await this.lines(logId);
+    if (!lines) return null;
+
+    const out = [];
+    for (const line of lines) {
+      while (out.length < line.n - 1) out.push('');
+      out.push(line.text);
+    }
+    return out.join('\n');
+  }
+
+  async remove(logId) {
+    await this.store.delete('logs', logId);
+    await this.store.delete('loglines', logId);
+  }
+
+  // Metadata of logs matching the non-line filters, newest first
+  async list(filters = {}) {
+    return (await this.store.list('logs'))
+      .filter(meta => metaMatches(meta, filters))
+      .sort((a, b) => b.uploadedAt - a.uploadedAt);
+  }
+
+  // Logs matching `filters` with the lines that matched. Without line
+  // filters every matching log is returned with no lines.
+  async search(filters) {
+    const metas = await this.list(filters);
+    if (!hasLineFilters(filters)) {
+      return { logs: metas.map(meta => ({ ...meta, matchCount: 0, matches: [] })), matchCount: 0, truncated: false };
+    }
+
+    const logs = [];
+    let matchCount = 0;
+    let returned = 0;
+
+    for (const meta of metas) {
+      const lines = await this.lines(meta.logId);
+      if (!lines) continue;
+
+      const matching = lines.filter(line => lineMatches(line, meta, filters));
+      if (matching.length === 0) continue;
+
+      const room = Math.max(filters.limit - returned, 0);
+      logs.push({ ...meta, matchCount: matching.length, matches: matching.slice(0, room) });
+      matchCount += matching.length;
+      returned += Math.min(matching.length, room);
+    }
+    return { logs, matchCount, truncated: matchCount > returned };
+  }
+
+  // Drop the oldest logs while the total is over maxTotalBytes
+  async enforceTotalSize() {
+    if (!this.maxTotalBytes) return;
+
+    const metas = (await this.store.list('logs')).sort((a, b) => a.uploadedAt - b.uploadedAt);
+    let total = metas.reduce((sum, meta) => sum + meta.size, 0);
+
+    for (const meta of metas) {
+      if (total <= this.maxTotalBytes) break;
+      await this.remove(meta.logId);
+      total -= meta.size;
+      log.info('Log dropped to stay under the log storage limit', { logId: meta.logId });
+    }
+  }
+}
+
+module.exports = { LogStore, LEVELS, parseLines, decodeUpload, parseQuery };
@@ -0,0 +1,196 @@
+/**
+ * Prometheus metrics
+ *
+ * A small registry that renders the Prometheus text exposition format
+ * (version 0.0.4) for `/metrics`. Counters and histograms count what this
+ * replica saw, so sum them across replicas. Gauges can be filled in at
+ * scrape time by a `collect` callback, which may read shared state from the
+ * store and so reports the whole cluster.
+ */
+
+const log = require('./logger').logger.child({ component: 'metrics' });
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Request latencies in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function escapeHelp(text) {
+  return text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+function formatLabels(names, values, extra = '') {
+  const pairs = names.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+class Metric {
+  constructor(type, { name, help, labelNames = [] }) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map();
+  }
+
+  // Label values in labelNames order, and the key they are stored under
+  _key(labels) {
+    const values = this.labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name])));
+    return { values, key: JSON.stringify(values) };
+  }
+
+  _header() {
+    return [`# HELP ${this.name} ${escapeHelp(this.help)}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  inc(labels = {}, value = 1) {
+    if (value <= 0) return;
+    const { values, key } = this._key(labels);
+    const entry = this.values.get(key) || { values, value: 0 };
+    entry.value += value;
+    this.values.set(key, entry);
+  }
+
+  render() {
+    const lines = this._header();
+    for (const { values, value } of this.values.values()) {
+      lines.push(`${this.name}${formatLabels(this.labelNames, values)} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+class Gauge extends Metric {
+  // `collect(gauge)` runs before each scrape, after the old values are cleared
+  constructor({ collect = null, ...options }) {
+    super('gauge', options);
+    this.collect = collect;
+  }
+
+  set(labels, value) {
+    if (typeof labels === 'number') {
+      value = labels;
+      labels = {};
+    }
+    const { values, key } = this._key(labels);
+    this.values.set(key, { values, value });
+  }
+
+  async refresh() {
+    if (!this.collect) return;
+    this.values.clear();
+    await this.collect(this);
+  }
+
+  render() {
+    const lines = this._header();
+    for (const { values, value } of this.values.values()) {
+      lines.push(`${this.name}${formatLabels(this.labelNames, values)} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+class Histogram extends Metric {
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super('histogram', options);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    if (typeof labels === 'number') {
+      value = labels;
+      labels = {};
+    }
+    const { values, key } = this._key(labels);
+    let entry = this.values.get(key);
+    if (!entry) {
+      entry = { values, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.values.set(key, entry);
+    }
+
+    // Each observation lands in its own bucket; render() accumulates them
+    const index = this.buckets.findIndex(bound => value <= bound);
+    if (index !== -1) entry.counts[index]++;
+    entry.sum += value;
+    entry.count++;
+  }
+
+  render() {
+    const lines = this._header();
+    for (const { values, counts, sum, count } of this.values.values()) {
+      let cumulative = 0;
+      this.buckets.forEach((bound, i) => {
+        cumulative += counts[i];
+        lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, `le="${formatValue(bound)}"`)} ${cumulative}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, 'le="+Inf"')} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(this.labelNames, values)} ${formatValue(sum)}`);
+      lines.push(`${this.name}_count${formatLabels(this.labelNames, values)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  counter(options) {
+    return this._add(new Counter(options));
+  }
+
+  gauge(options) {
+    return this._add(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this._add(new Histogram(options));
+  }
+
+  _add(metric) {
+    if (this.metrics.some(m => m.name === metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  // The exposition text. A gauge whose collector fails is left out rather
+  // than failing the whole scrape.
+  async render() {
+    const lines = [];
+    for (const metric of this.metrics) {
+      if (metric instanceof Gauge) {
+        try {
+          await metric.refresh();
+        } catch (err) {
+          log.error('Failed to collect metric', { metric: metric.name, err });
+          continue;
+        }
+      }
+      lines.push(...metric.render());
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+module.exports = { Registry, CONTENT_TYPE, DEFAULT_BUCKETS };
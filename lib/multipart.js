@@ -0,0 +1,61 @@
+/**
+ * Minimal multipart/form-data parser
+ *
+ * Enough for log uploads: the whole body is already in memory (it is size
+ * limited by the route), so parts are sliced out of the buffer rather than
+ * streamed.
+ */
+
+function boundaryOf(contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || '');
+  return match ? match[1] || match[2] : null;
+}
+
+function parseHeaders(block) {
+  const headers = {};
+  for (const line of block.toString('utf8').split('\r\n')) {
+    const colon = line.indexOf(':');
+    if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+  }
+  return headers;
+}
+
+// Parts as [{ name, filename, contentType, data }], or null if the body
+// isn't valid multipart
+function parseMultipart(body, contentType) {
+  const boundary = boundaryOf(contentType);
+  if (!boundary || !Buffer.isBuffer(body)) return null;
+
+  const delimiter = Buffer.from(`--${boundary}`);
+  const parts = [];
+
+  let position = body.indexOf(delimiter);
+  if (position === -1) return null;
+
+  while (position !== -1) {
+    position += delimiter.length;
+    // `--` after a delimiter ends the body
+    if (body[position] === 0x2d && body[position + 1] === 0x2d) break;
+    position += 2; // CRLF
+
+    const next = body.indexOf(delimiter, position);
+    if (next === -1) return null;
+
+    const part = body.subarray(position, next - 2); // without the CRLF before the delimiter
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const headers = parseHeaders(part.subarray(0, headerEnd));
+      const disposition = headers['content-disposition'] || '';
+      parts.push({
+        name: /\bname="([^"]*)"/i.exec(disposition)?.[1] ?? null,
+        filename: /\bfilename="([^"]*)"/i.exec(disposition)?.[1] ?? null,
+        contentType: headers['content-type'] || null,
+        data: part.subarray(headerEnd + 4)
+      });
+    }
+    position = next;
+  }
+  return parts;
+}
+
+module.exports = { parseMultipart };
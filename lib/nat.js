@@ -0,0 +1,80 @@
+/**
+ * NAT mapping classification (RFC 5780 style)
+ *
+ * The UDP server also answers STUN on an alternate port (NAT_ALT_PORT). A
+ * peer that sends a Binding request to both ports with the same
+ * `<sessionCode>:<peerId>` USERNAME shows the server two mapped addresses:
+ *
+ *   same address and port   endpoint_independent: hole-punching works
+ *   different mapping       symmetric: the NAT picks a new mapping per
+ *                           destination, so peers will usually need TURN
+ *
+ * Both ports share one IP, so a NAT with address-dependent mapping looks
+ * endpoint-independent here. Observations are kept in the store so the two
+ * requests can land on different replicas.
+ */
+
+const NAT_TYPE = {
+  ENDPOINT_INDEPENDENT: 'endpoint_independent',
+  SYMMETRIC: 'symmetric',
+  UNKNOWN: 'unknown'
+};
+
+const PORTS = ['primary', 'alternate'];
+
+// The two Binding requests must arrive within this window
+const PROBE_TTL_MS = 60 * 1000;
+
+// Results are kept this long so outcome reports can pick them up
+const RESULT_TTL_MS = 60 * 60 * 1000;
+
+function sameMapping(a, b) {
+  return a.address === b.address && a.port === b.port;
+}
+
+class NatClassifier {
+  constructor({ store }) {
+    this.store = store;
+  }
+
+  // Record the mapped address a peer's request to `port` ('primary' or
+  // 'alternate') came from. Returns the NAT type once both ports have been
+  // seen, or null.
+  async observe(key, port, mapped) {
+    const other = PORTS.find(p => p !== port);
+    await this.store.set('natprobes', `${key}:${port}`, mapped, { ttlMs: PROBE_TTL_MS });
+
+    const previous = await this.store.get('natprobes', `${key}:${other}`);
+    if (!previous) return null;
+
+    const natType = sameMapping(previous, mapped) ? NAT_TYPE.ENDPOINT_INDEPENDENT : NAT_TYPE.SYMMETRIC;
+    await this.store.set('nat', key, { natType, classifiedAt: Date.now() }, { ttlMs: RESULT_TTL_MS });
+    return natType;
+  }
+
+  // The last classification for a peer, or null
+  async get(key) {
+    return (await this.store.get('nat', key))?.natType || null;
+  }
+}
+
+// The network an address belongs to, for grouping reports without keeping
+// full addresses: the /24 of an IPv4 address or the /48 of an IPv6 one
+function networkOf(ip) {
+  if (!ip || typeof ip !== 'string') return null;
+  const v4 = ip.replace(/^::ffff:/i, '');
+  if (/^\d{1,3}(\.\d{1,3}){3}$/.test(v4)) {
+    return `${v4.split('.').slice(0, 3).join('.')}.0/24`;
+  }
+  if (!ip.includes(':')) return null;
+
+  const [head, tail = ''] = ip.toLowerCase().split('::');
+  const headParts = head ? head.split(':') : [];
+  const tailParts = tail ? tail.split(':') : [];
+  const groups = ip.includes('::')
+    ? [...headParts, ...Array(Math.max(0, 8 - headParts.length - tailParts.length)).fill('0'), ...tailParts]
+    : headParts;
+  return `${groups.slice(0, 3).map(g => parseInt(g, 16).toString(16)).join(':')}::/48`;
+}
+
+module.exports = { NatClassifier, NAT_TYPE, networkOf };
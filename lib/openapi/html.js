@@ -0,0 +1,235 @@
+/**
+ * HTML API reference
+ *
+ * Renders the OpenAPI document as a single static page: operations grouped
+ * by tag, with their parameters, request body and responses, and the
+ * component schemas at the end. Served at /api/docs; needs no scripts or
+ * external assets.
+ */
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const STYLE = `
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; margin: 0; background: #f4f5f7; color: #1d2330; }
+    header { background: #1d2330; color: #fff; padding: 12px 24px; }
+    header h1 { font-size: 18px; margin: 0; }
+    header p { margin: 4px 0 0; font-size: 13px; color: #c4c8d2; }
+    header a { color: #fff; }
+    nav { padding: 12px 24px 0; font-size: 13px; }
+    nav a { margin-right: 12px; }
+    main { padding: 16px 24px; }
+    section { background: #fff; border-radius: 6px; padding: 12px 16px; margin-bottom: 16px; box-shadow: 0 1px 2px rgba(0, 0, 0, 0.08); }
+    h2 { font-size: 16px; margin: 0 0 8px; }
+    h3 { font-size: 14px; margin: 16px 0 4px; }
+    h4 { font-size: 12px; margin: 8px 0 4px; color: #5b6272; text-transform: uppercase; }
+    p { font-size: 13px; margin: 4px 0; }
+    table { width: 100%; border-collapse: collapse; font-size: 13px; }
+    th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #e6e8eb; vertical-align: top; }
+    th { color: #5b6272; font-weight: 600; }
+    code { font-size: 12px; }
+    .operation { border-top: 1px solid #e6e8eb; padding-top: 4px; }
+    .method { display: inline-block; min-width: 56px; font-weight: 600; text-transform: uppercase; }
+    .method-get { color: #175cd3; }
+    .method-post { color: #067647; }
+    .method-put { color: #b54708; }
+    .method-delete { color: #b42318; }
+    .deprecated { text-decoration: line-through; }
+    .muted { color: #8a90a0; }`;
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Descriptions use Markdown code spans only
+function text(value) {
+  return escapeHtml(value || '').replace(/`([^`]+)`/g, '<code>$1</code>');
+}
+
+function anchor(...parts) {
+  return parts.join('-').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// A one-line summary of a schema, linking to named components
+function describeSchema(schema) {
+  if (!schema) return '';
+  if (schema.$ref) {
+    const name = schema.$ref.replace('#/components/schemas/', '');
+    return `<a href="#${anchor('schema', name)}">${escapeHtml(name)}</a>`;
+  }
+  if (schema.oneOf || schema.anyOf) {
+    return (schema.oneOf || schema.anyOf).map(describeSchema).join(' or ');
+  }
+  if (schema.allOf) {
+    const parts = schema.allOf.map(describeSchema).join(' and ');
+    return schema.nullable ? `${parts} <span class="muted">(nullable)</span>` : parts;
+  }
+
+  let type = escapeHtml(schema.type || 'any');
+  if (schema.type === 'array') type = `array of ${describeSchema(schema.items) || 'any'}`;
+  if (schema.type === 'object' && schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+    type = `map of ${describeSchema(schema.additionalProperties)}`;
+  }
+
+  const rules = [];
+  if (schema.enum) rules.push(`one of ${schema.enum.map(v => `<code>${escapeHtml(JSON.stringify(v))}</code>`).join(', ')}`);
+  if (schema.minimum !== undefined) rules.push(`${schema.exclusiveMinimum ? '&gt;' : '&ge;'} ${schema.minimum}`);
+  if (schema.maximum !== undefined) rules.push(`${schema.exclusiveMaximum ? '&lt;' : '&le;'} ${schema.maximum}`);
+  if (schema.minLength !== undefined && schema.minLength > 1) rules.push(`at least ${schema.minLength} characters`);
+  if (schema.minLength === 1) rules.push('not empty');
+  if (schema.maxLength !== undefined) rules.push(`at most ${schema.maxLength} characters`);
+  if (schema.default !== undefined) rules.push(`default <code>${escapeHtml(JSON.stringify(schema.default))}</code>`);
+  if (schema.nullable) rules.push('nullable');
+  return rules.length > 0 ? `${type} <span class="muted">(${rules.join('; ')})</span>` : type;
+}
+
+function fieldsTable(schema) {
+  const properties = Object.entries(schema.properties || {});
+  if (properties.length === 0) return `<p>${describeSchema(schema)}</p>`;
+
+  const required = new Set(schema.required || []);
+  const rows = properties.map(([name, field]) => `
+        <tr>
+          <td><code>${escapeHtml(name)}</code>${required.has(name) ? ' <span class="muted">required</span>' : ''}</td>
+          <td>${describeSchema(field)}</td>
+          <td>${text(field.description)}</td>
+        </tr>`).join('');
+  return `
+      <table>
+        <tr><th>Field</th><th>Type</th><th>Description</th></tr>${rows}
+      </table>`;
+}
+
+function bodySchema(content, root) {
+  const schema = content?.['application/json']?.schema;
+  if (!schema) return null;
+  // Expand one level of $ref so simple bodies show their fields inline
+  const resolved = schema.$ref ? root.components.schemas[schema.$ref.replace('#/components/schemas/', '')] : schema;
+  return { schema, resolved };
+}
+
+function renderBody(content, root) {
+  const json = bodySchema(content, root);
+  if (!json) {
+    const types = Object.keys(content || {});
+    return types.length > 0 ? `<p>${types.map(t => `<code>${escapeHtml(t)}</code>`).join(', ')}</p>` : '';
+  }
+  const others = Object.keys(content).filter(type => type !== 'application/json');
+  const alternatives = others.length > 0
+    ? `<p class="muted">Also accepts ${others.map(t => `<code>${escapeHtml(t)}</code>`).join(', ')}</p>`
+    : '';
+  const name = json.schema.$ref ? `<p>${describeSchema(json.schema)}</p>` : '';
+  return name + fieldsTable(json.resolved) + alternatives;
+}
+
+function renderSecurity(security, root) {
+  if (!security) return '';
+  const schemes = root.components.securitySchemes;
+  const options = security.map(requirement => {
+    const names = Object.keys(requirement);
+    if (names.length === 0) return 'none';
+    return names.map(name => {
+      const scheme = schemes[name];
+      return scheme.type === 'http' ? `<code>Authorization: Bearer</code> ${text(scheme.description)}` : `<code>${escapeHtml(scheme.name)}</code>`;
+    }).join(' and ');
+  });
+  return `<p><strong>Auth:</strong> ${options.join(' <span class="muted">or</span> ')}</p>`;
+}
+
+function renderOperation(path, method, operation, root) {
+  const id = anchor(method, path);
+  const parts = [`
+    <div class="operation" id="${id}">
+      <h3><span class="method method-${method}">${method}</span> <code class="${operation.deprecated ? 'deprecated' : ''}">${escapeHtml(path)}</code></h3>
+      <p>${text(operation.summary)}${operation.deprecated ? ' <span class="muted">(deprecated)</span>' : ''}</p>`];
+  if (operation.description) parts.push(`<p>${text(operation.description)}</p>`);
+  parts.push(renderSecurity(operation.security, root));
+
+  if (operation.parameters?.length > 0) {
+    const rows = operation.parameters.map(param => `
+        <tr>
+          <td><code>${escapeHtml(param.name)}</code> <span class="muted">${escapeHtml(param.in)}${param.required ? ', required' : ''}</span></td>
+          <td>${describeSchema(param.schema)}</td>
+          <td>${text(param.description)}</td>
+        </tr>`).join('');
+    parts.push(`
+      <h4>Parameters</h4>
+      <table>
+        <tr><th>Name</th><th>Type</th><th>Description</th></tr>${rows}
+      </table>`);
+  }
+
+  if (operation.requestBody) {
+    parts.push(`<h4>Request body${operation.requestBody.required ? '' : ' <span class="muted">(optional)</span>'}</h4>`);
+    parts.push(renderBody(operation.requestBody.content, root));
+  }
+
+  for (const [status, response] of Object.entries(operation.responses || {})) {
+    parts.push(`<h4>${escapeHtml(status)} <span class="muted">${text(response.description)}</span></h4>`);
+    if (Number(status) < 400) parts.push(renderBody(response.content, root));
+  }
+  parts.push('\n    </div>');
+  return parts.join('\n      ');
+}
+
+function renderHtml(document) {
+  const operations = [];
+  for (const [path, item] of Object.entries(document.paths)) {
+    for (const method of METHODS) {
+      if (item[method]) operations.push({ path, method, operation: item[method] });
+    }
+  }
+
+  const tags = document.tags.map(tag => ({
+    ...tag,
+    operations: operations.filter(({ operation }) => (operation.tags || []).includes(tag.name))
+  })).filter(tag => tag.operations.length > 0);
+
+  const nav = tags.map(tag => `<a href="#${anchor('tag', tag.name)}">${escapeHtml(tag.name)}</a>`)
+    .concat('<a href="#schemas">Schemas</a>').join('\n    ');
+
+  const sections = tags.map(tag => `
+  <section id="${anchor('tag', tag.name)}">
+    <h2>${escapeHtml(tag.name)}</h2>
+    ${tag.description ? `<p>${text(tag.description)}</p>` : ''}
+    ${tag.operations.map(({ path, method, operation }) => renderOperation(path, method, operation, document)).join('\n')}
+  </section>`).join('\n');
+
+  const schemas = Object.entries(document.components.schemas).map(([name, schema]) => `
+    <div class="operation" id="${anchor('schema', name)}">
+      <h3><code>${escapeHtml(name)}</code></h3>
+      ${schema.description ? `<p>${text(schema.description)}</p>` : ''}
+      ${fieldsTable(schema)}
+    </div>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(document.info.title)} - API reference</title>
+  <style>${STYLE}
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(document.info.title)} <span class="muted">${escapeHtml(document.info.version)}</span></h1>
+    <p>${text(document.info.description)} Machine-readable: <a href="openapi.json">openapi.json</a></p>
+  </header>
+  <nav>
+    ${nav}
+  </nav>
+  <main>${sections}
+  <section id="schemas">
+    <h2>Schemas</h2>${schemas}
+  </section>
+  </main>
+</body>
+</html>
+`;
+}
+
+module.exports = { renderHtml };
@@ -0,0 +1,148 @@
+/**
+ * OpenAPI document and the validation built from it
+ *
+ *   document                        the OpenAPI 3 document (./spec.js)
+ *   renderHtml(document)            the HTML reference page (./html.js)
+ *   validateRequests(document)      Express middleware checking path and
+ *                                   query parameters and JSON bodies
+ *   validateResponses(document)     Express middleware logging JSON responses
+ *                                   that don't match the document
+ *
+ * Requests that don't match get a 400 in the usual error shape, with every
+ * problem listed:
+ *
+ *   { success: false, code: 'invalid_request', message, errors: [{ in, path, message }] }
+ *
+ * Routes the document doesn't describe are passed through untouched.
+ */
+
+const document = require('./spec');
+const { check, coerce } = require('./schema');
+const { renderHtml } = require('./html');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+const ERROR_SCHEMA = { $ref: '#/components/schemas/Error' };
+
+// /api/hosts/{hostId} -> { regex, names: ['hostId'] }. Paths with fewer
+// parameters come first so /api/logs/search wins over /api/logs/{logId}.
+function compileRoutes(doc) {
+  const routes = [];
+  for (const [template, item] of Object.entries(doc.paths)) {
+    const names = [];
+    const pattern = template.split('/').map((segment) => {
+      const match = /^\{(\w+)\}$/.exec(segment);
+      if (!match) return segment.replace(/[.*+?^$()|[\]\\]/g, '\\$&');
+      names.push(match[1]);
+      return '([^/]+)';
+    }).join('/');
+    routes.push({ template, item, names, regex: new RegExp(`^${pattern}/?$`) });
+  }
+  return routes.sort((a, b) => a.names.length - b.names.length);
+}
+
+// The operation for a request, with its path parameters, or null
+function matchOperation(routes, method, path) {
+  const verb = method.toLowerCase() === 'head' ? 'get' : method.toLowerCase();
+  if (!METHODS.includes(verb)) return null;
+
+  for (const route of routes) {
+    const match = route.regex.exec(path);
+    if (!match || !route.item[verb]) continue;
+
+    const params = {};
+    try {
+      route.names.forEach((name, i) => { params[name] = decodeURIComponent(match[i + 1]); });
+    } catch {
+      // Malformed escapes are left to the route
+      return null;
+    }
+    return { template: route.template, operation: route.item[verb], params };
+  }
+  return null;
+}
+
+function checkParameters(operation, location, values, root) {
+  const errors = [];
+  for (const param of (operation.parameters || []).filter(p => p.in === location)) {
+    const value = values[param.name];
+    if (value === undefined || value === '') {
+      if (param.required) errors.push({ in: location, path: param.name, message: 'is required' });
+      continue;
+    }
+    errors.push(...check(param.schema, coerce(param.schema, value, root), { root, path: param.name })
+      .map(error => ({ in: location, ...error })));
+  }
+  return errors;
+}
+
+function checkRequest(matched, req, root) {
+  const { operation, params } = matched;
+  const errors = [
+    ...checkParameters(operation, 'path', params, root),
+    ...checkParameters(operation, 'query', req.query || {}, root)
+  ];
+
+  // Only parsed JSON bodies are checked; routes with their own parsers
+  // (log uploads) check what they read
+  const schema = operation.requestBody?.content?.['application/json']?.schema;
+  if (schema && req.body !== undefined) {
+    errors.push(...check(schema, req.body, { root }).map(error => ({ in: 'body', ...error })));
+  }
+  return errors;
+}
+
+function describeError(error) {
+  return `${error.path || error.in} ${error.message}`;
+}
+
+function validateRequests(doc = document) {
+  const routes = compileRoutes(doc);
+  return (req, res, next) => {
+    const matched = matchOperation(routes, req.method, req.path);
+    if (!matched) return next();
+    req.operation = matched;
+
+    const errors = checkRequest(matched, req, doc);
+    if (errors.length === 0) return next();
+
+    req.log.info('Request does not match the API spec', { route: matched.template, errors });
+    res.status(400).json({
+      success: false,
+      code: 'invalid_request',
+      message: describeError(errors[0]),
+      errors
+    });
+  };
+}
+
+// Checks JSON responses against the document and logs mismatches; the
+// response itself is sent as is. Meant for development and staging.
+function validateResponses(doc = document) {
+  const routes = compileRoutes(doc);
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const matched = req.operation || matchOperation(routes, req.method, req.path);
+      if (!matched) return json(body);
+
+      // Statuses a route doesn't list (rate limits, server errors) still
+      // have to be in the error shape
+      const responses = matched.operation.responses || {};
+      const response = responses[res.statusCode] || responses.default;
+      const schema = response?.content?.['application/json']?.schema ||
+        (res.statusCode >= 400 ? ERROR_SCHEMA : null);
+      if (schema) {
+        const errors = check(schema, JSON.parse(JSON.stringify(body ?? null)), { root: doc });
+        if (errors.length > 0) {
+          req.log.warn('Response does not match the API spec', { route: matched.template, status: res.statusCode, errors });
+        }
+      } else {
+        req.log.warn('Response status is not in the API spec', { route: matched.template, status: res.statusCode });
+      }
+      return json(body);
+    };
+    next();
+  };
+}
+
+module.exports = { document, renderHtml, validateRequests, validateResponses };
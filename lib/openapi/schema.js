@@ -0,0 +1,160 @@
+/**
+ * JSON Schema checks for the OpenAPI document
+ *
+ * Covers the subset of OpenAPI 3.0 schemas the document uses: type (with
+ * `nullable`), enum, minimum/maximum (and their exclusive flags),
+ * minLength/maxLength, pattern, items, minItems/maxItems, properties,
+ * required, additionalProperties, allOf, oneOf, anyOf and local $refs
+ * (#/components/schemas/...).
+ *
+ * check() returns a list of { path, message } errors, empty when the value
+ * matches. Paths are dotted, e.g. `sources.0.name`.
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function join(path, key) {
+  return path ? `${path}.${key}` : String(key);
+}
+
+function resolve(schema, root) {
+  let resolved = schema;
+  while (resolved && resolved.$ref) {
+    const name = resolved.$ref.replace('#/components/schemas/', '');
+    resolved = root.components.schemas[name];
+    if (!resolved) throw new Error(`Unknown schema reference: ${schema.$ref}`);
+  }
+  return resolved;
+}
+
+function describeType(schema) {
+  return schema.nullable ? `${schema.type} or null` : schema.type;
+}
+
+function check(schema, value, { root, path = '' } = {}) {
+  schema = resolve(schema, root);
+  if (!schema) return [];
+
+  if (schema.allOf) {
+    if (value === null && schema.nullable) return [];
+    return schema.allOf.flatMap(part => check(part, value, { root, path }));
+  }
+
+  if (value === null) {
+    if (schema.nullable || schema.type === undefined) return [];
+    return [{ path, message: `must be ${describeType(schema)}` }];
+  }
+
+  if (schema.oneOf || schema.anyOf) {
+    const options = schema.oneOf || schema.anyOf;
+    const results = options.map(option => check(option, value, { root, path }));
+    const matching = results.filter(errors => errors.length === 0).length;
+    if (schema.oneOf ? matching === 1 : matching > 0) return [];
+    // An option of the value's own type explains the problem best
+    const sameType = results.filter((errors, i) => !resolve(options[i], root).type ||
+      matchesType(value, resolve(options[i], root).type));
+    const candidates = sameType.length > 0 ? sameType : results;
+    return candidates.reduce((best, errors) => (errors.length < best.length ? errors : best));
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [{ path, message: `must be ${describeType(schema)}` }];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ path, message: `must be one of ${schema.enum.join(', ')}` }];
+  }
+
+  if (typeof value === 'string') return checkString(schema, value, path);
+  if (typeof value === 'number') return checkNumber(schema, value, path);
+  if (Array.isArray(value)) return checkArray(schema, value, { root, path });
+  if (typeof value === 'object') return checkObject(schema, value, { root, path });
+  return [];
+}
+
+function checkString(schema, value, path) {
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    return [{ path, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` }];
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    return [{ path, message: `must be at most ${schema.maxLength} characters` }];
+  }
+  if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+    return [{ path, message: `must match ${schema.pattern}` }];
+  }
+  return [];
+}
+
+function checkNumber(schema, value, path) {
+  if (schema.minimum !== undefined) {
+    if (schema.exclusiveMinimum ? value <= schema.minimum : value < schema.minimum) {
+      return [{ path, message: `must be ${schema.exclusiveMinimum ? 'greater than' : 'at least'} ${schema.minimum}` }];
+    }
+  }
+  if (schema.maximum !== undefined) {
+    if (schema.exclusiveMaximum ? value >= schema.maximum : value > schema.maximum) {
+      return [{ path, message: `must be ${schema.exclusiveMaximum ? 'less than' : 'at most'} ${schema.maximum}` }];
+    }
+  }
+  return [];
+}
+
+function checkArray(schema, value, { root, path }) {
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    return [{ path, message: `must have at least ${schema.minItems} items` }];
+  }
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+    return [{ path, message: `must have at most ${schema.maxItems} items` }];
+  }
+  if (!schema.items) return [];
+  return value.flatMap((item, index) => check(schema.items, item, { root, path: join(path, index) }));
+}
+
+function checkObject(schema, value, { root, path }) {
+  const errors = [];
+  for (const name of schema.required || []) {
+    if (value[name] === undefined) errors.push({ path: join(path, name), message: 'is required' });
+  }
+
+  const properties = schema.properties || {};
+  for (const [name, item] of Object.entries(value)) {
+    if (item === undefined) continue;
+    if (Object.hasOwn(properties, name)) {
+      errors.push(...check(properties[name], item, { root, path: join(path, name) }));
+    } else if (schema.additionalProperties === false) {
+      errors.push({ path: join(path, name), message: 'is not allowed' });
+    } else if (typeof schema.additionalProperties === 'object') {
+      errors.push(...check(schema.additionalProperties, item, { root, path: join(path, name) }));
+    }
+  }
+  return errors;
+}
+
+// Query and path parameters arrive as strings; turn them into the type
+// their schema asks for so check() can judge them. Values that don't
+// convert are left as strings and fail the type check.
+function coerce(schema, value, root) {
+  schema = resolve(schema, root);
+  if (typeof value !== 'string' || !schema) return value;
+
+  if (schema.type === 'integer' || schema.type === 'number') {
+    const number = Number(value);
+    return value.trim() !== '' && Number.isFinite(number) ? number : value;
+  }
+  if (schema.type === 'boolean') {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+  }
+  return value;
+}
+
+module.exports = { check, coerce, resolve };
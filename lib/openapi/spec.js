@@ -0,0 +1,1289 @@
+/**
+ * OpenAPI 3.0 description of the REST API
+ *
+ * The document is served at /api/openapi.json, rendered as the reference at
+ * /api/docs, and drives request validation (see ./index.js). Request schemas
+ * list what each route accepts; fields they don't mention are passed through
+ * to the handler, which keeps checks that depend on state (a source existing,
+ * a limit from the environment). Response schemas describe the fields clients
+ * can rely on.
+ */
+
+const { ACCESS } = require('../access');
+const { MODES, MAX_THUMBNAIL_BYTES } = require('../sources');
+const { TYPES: CONTROL_TYPES, PTZ_ACTIONS, MAX_METADATA_BYTES } = require('../control');
+const { RESULT, CANDIDATE_TYPES } = require('../telemetry');
+const { NAT_TYPE } = require('../nat');
+const { LEVELS } = require('../logs');
+const approval = require('../approval');
+const { version } = require('../../package.json');
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const json = schema => ({ content: { 'application/json': { schema } } });
+
+const string = (maxLength = 256, extra = {}) => ({ type: 'string', maxLength, ...extra });
+// $ref can't have siblings, so a nullable reference wraps it in allOf
+const nullable = schema => (schema.$ref ? { allOf: [schema], nullable: true } : { ...schema, nullable: true });
+const epochMs = description => ({ type: 'integer', description: `${description} (epoch milliseconds)` });
+
+const PORT = { type: 'integer', minimum: 1, maximum: 65535 };
+const HOST_ID = string(64, { minLength: 1 });
+const CLIENT_ID = string(64, { minLength: 1 });
+// A clientId a caller asks for on connect/join is only kept with a client
+// token for it; otherwise a new one is generated
+const CLAIMED_CLIENT_ID = { ...CLIENT_ID, description: 'An earlier id to keep; needs the client token issued for it as `Authorization: Bearer`' };
+const SOURCE_NAME = string(256, { minLength: 1 });
+
+// A successful JSON response: { success: true, ...properties }
+function ok(description, properties = {}, required = []) {
+  return {
+    description,
+    ...json({
+      type: 'object',
+      required: ['success', ...required],
+      properties: { success: { type: 'boolean', enum: [true] }, ...properties }
+    })
+  };
+}
+
+const fail = description => ({ description, ...json(ref('Error')) });
+
+const RESPONSES = {
+  400: fail('Invalid request'),
+  401: fail('Missing or invalid token or key'),
+  403: fail('Not allowed'),
+  404: fail('Not found'),
+  409: fail('Conflict'),
+  413: fail('Body too large'),
+  410: { description: 'The session was closed', ...json(ref('SessionClosed')) }
+};
+
+// Responses shared by most routes, plus `codes` from RESPONSES
+function responses(success, ...codes) {
+  const result = { 200: success };
+  for (const code of [400, ...codes]) result[code] = RESPONSES[code];
+  return result;
+}
+
+function pathParam(name, description, schema = string(256)) {
+  return { name, in: 'path', required: true, description, schema };
+}
+
+function queryParam(name, description, schema = string(256)) {
+  return { name, in: 'query', required: false, description, schema };
+}
+
+const WAIT = queryParam('wait', 'Hold the response up to this many seconds until something changes (at most 55)',
+  { type: 'number', minimum: 0 });
+
+const params = {
+  code: pathParam('code', 'Session code or join code', string(32)),
+  hostId: pathParam('hostId', 'Registry host ID', string(64)),
+  clientId: pathParam('clientId', 'Client ID', string(64)),
+  orgId: pathParam('orgId', 'Organization ID', string(64)),
+  sourceName: pathParam('sourceName', 'Source name', string(256))
+};
+
+const body = (schema, required = true) => ({ required, ...json(schema) });
+
+// Security requirements, see components.securitySchemes
+const security = {
+  bearer: [{ bearerToken: [] }],
+  admin: [{ adminKey: [] }],
+  orgKey: [{ apiKey: [] }],
+  // Optional X-API-Key: the directory is scoped to the key's organization
+  optionalOrgKey: [{}, { apiKey: [] }],
+  adminOrBearer: [{ adminKey: [] }, { bearerToken: [] }]
+};
+
+// Fields a host can send for each source (register, heartbeat, session create)
+const SOURCE_FIELDS = {
+  name: SOURCE_NAME,
+  enabled: { type: 'boolean', default: false, description: 'Only enabled sources are shared' },
+  access: { type: 'string', enum: Object.values(ACCESS), default: ACCESS.PUBLIC },
+  password: string(256, { description: 'Required the first time a source is sent with access `password`' }),
+  resolution: nullable(ref('Resolution')),
+  frameRate: nullable({ type: 'number', minimum: 0, exclusiveMinimum: true, maximum: 1000 }),
+  mode: nullable({ type: 'string', enum: MODES }),
+  audioChannels: nullable({ type: 'integer', minimum: 0, maximum: 64 }),
+  tally: nullable(ref('Tally')),
+  thumbnail: nullable(string(Math.ceil(MAX_THUMBNAIL_BYTES / 3) * 4 + 64, {
+    description: `JPEG, PNG or WebP data URL, at most ${MAX_THUMBNAIL_BYTES} bytes decoded`
+  }))
+};
+
+const schemas = {
+  Error: {
+    type: 'object',
+    required: ['success', 'message'],
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      message: { type: 'string' },
+      code: {
+        type: 'string',
+        description: '`invalid_request` for requests that don\'t match this document, `invalid_json` for bodies that ' +
+          'don\'t parse, `unsupported_api_version` and `client_outdated` (426, with `minimumVersion` and `updateUrl`)'
+      },
+      errors: {
+        type: 'array',
+        description: 'Every problem found with the request',
+        items: {
+          type: 'object',
+          properties: {
+            in: { type: 'string', enum: ['path', 'query', 'body'] },
+            path: { type: 'string', description: 'Dotted path of the field, e.g. `sources.0.name`' },
+            message: { type: 'string' }
+          }
+        }
+      },
+      requestId: { type: 'string' }
+    }
+  },
+  SessionClosed: {
+    type: 'object',
+    required: ['success', 'status', 'reason'],
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      status: { type: 'string', enum: ['closed'] },
+      reason: { type: 'string', enum: ['idle', 'max_lifetime', 'closed_by_host', 'closed_by_operator', 'host_removed'] },
+      message: { type: 'string' }
+    }
+  },
+  Resolution: {
+    type: 'object',
+    required: ['width', 'height'],
+    properties: {
+      width: { type: 'integer', minimum: 1, maximum: 16384 },
+      height: { type: 'integer', minimum: 1, maximum: 16384 }
+    }
+  },
+  Tally: {
+    type: 'object',
+    properties: {
+      program: { type: 'boolean' },
+      preview: { type: 'boolean' }
+    }
+  },
+  SourceInput: {
+    type: 'object',
+    required: ['name'],
+    properties: SOURCE_FIELDS
+  },
+  SourceChange: {
+    type: 'object',
+    required: ['name'],
+    description: 'The fields of a source that changed, or `removed: true`. Unknown names are added.',
+    properties: { ...SOURCE_FIELDS, removed: { type: 'boolean' } }
+  },
+  Thumbnail: {
+    type: 'object',
+    properties: {
+      url: { type: 'string' },
+      contentType: { type: 'string' },
+      size: { type: 'integer' },
+      updatedAt: epochMs('When the thumbnail was sent')
+    }
+  },
+  SourceFormat: {
+    type: 'object',
+    properties: {
+      resolution: nullable(ref('Resolution')),
+      frameRate: nullable({ type: 'number' }),
+      mode: nullable({ type: 'string', enum: MODES }),
+      audioChannels: nullable({ type: 'integer' }),
+      tally: nullable(ref('Tally')),
+      thumbnail: nullable(ref('Thumbnail'))
+    }
+  },
+  Source: {
+    type: 'object',
+    description: 'A source as shown to its host, with the SourceFormat fields',
+    required: ['name', 'enabled', 'access'],
+    properties: {
+      name: { type: 'string' },
+      enabled: { type: 'boolean' },
+      access: { type: 'string', enum: Object.values(ACCESS) }
+    }
+  },
+  ListedSource: {
+    type: 'object',
+    description: 'A source as shown to viewers, with the SourceFormat fields',
+    required: ['name', 'passwordRequired'],
+    properties: {
+      name: { type: 'string' },
+      passwordRequired: { type: 'boolean' }
+    }
+  },
+  Policy: {
+    type: 'object',
+    properties: {
+      approval: { type: 'string', enum: ['required', 'auto'] },
+      allowlist: { type: 'array', items: string(64) },
+      autoAcceptOrg: { type: 'boolean' },
+      maxViewersPerSource: nullable({ type: 'integer', minimum: 1 }),
+      control: { type: 'array', items: { type: 'string', enum: CONTROL_TYPES } }
+    }
+  },
+  Endpoint: {
+    type: 'object',
+    properties: {
+      publicIP: nullable({ type: 'string' }),
+      publicPort: nullable({ type: 'integer' })
+    }
+  },
+  TurnCredentials: nullable({
+    type: 'object',
+    description: 'Relay credentials (null when the TURN relay is disabled)',
+    properties: {
+      urls: { type: 'array', items: { type: 'string' } },
+      username: { type: 'string' },
+      credential: { type: 'string' },
+      ttl: { type: 'integer' }
+    }
+  }),
+  ConnectionRequest: {
+    type: 'object',
+    properties: {
+      clientId: { type: 'string' },
+      clientName: { type: 'string' },
+      publicIP: nullable({ type: 'string' }),
+      publicPort: nullable({ type: 'integer' }),
+      requestedSource: nullable({ type: 'string' }),
+      expiresAt: epochMs('When a pending request expires')
+    }
+  },
+  RequestState: { type: 'string', enum: Object.values(approval.STATE) },
+  LiveClient: {
+    type: 'object',
+    description: 'A pending or accepted client, as listed by the version 2 heartbeat',
+    properties: {
+      clientId: { type: 'string' },
+      clientName: { type: 'string' },
+      publicIP: nullable({ type: 'string' }),
+      publicPort: nullable({ type: 'integer' }),
+      requestedSource: nullable({ type: 'string' }),
+      state: { type: 'string', enum: [approval.STATE.PENDING, approval.STATE.ACCEPTED] },
+      expiresAt: nullable(epochMs('When the request expires if still pending'))
+    }
+  },
+  ClientStatus: {
+    type: 'object',
+    properties: {
+      hostOnline: { type: 'boolean' },
+      hostEndpoint: ref('Endpoint'),
+      acknowledged: { type: 'boolean' },
+      state: ref('RequestState'),
+      reason: nullable({ type: 'string', enum: Object.values(approval.REASON) }),
+      reasonMessage: nullable({ type: 'string' })
+    }
+  },
+  TallyState: {
+    type: 'object',
+    properties: {
+      program: { type: 'boolean' },
+      preview: { type: 'boolean' },
+      programViewers: { type: 'integer' },
+      previewViewers: { type: 'integer' }
+    }
+  },
+  ControlMessage: {
+    type: 'object',
+    required: ['type', 'sourceName'],
+    description: 'Tally, PTZ or NDI metadata for one source. The fields of each PTZ action are listed in the README.',
+    properties: {
+      type: { type: 'string', enum: CONTROL_TYPES },
+      sourceName: SOURCE_NAME,
+      program: { type: 'boolean', description: 'tally' },
+      preview: { type: 'boolean', description: 'tally' },
+      action: { type: 'string', enum: Object.keys(PTZ_ACTIONS), description: 'ptz' },
+      pan: { type: 'number', minimum: -1, maximum: 1 },
+      tilt: { type: 'number', minimum: -1, maximum: 1 },
+      zoom: { type: 'number', minimum: 0, maximum: 1 },
+      focus: { type: 'number', minimum: 0, maximum: 1 },
+      speed: { type: 'number', minimum: -1, maximum: 1 },
+      preset: { type: 'integer', minimum: 0, maximum: 99 },
+      xml: string(MAX_METADATA_BYTES, { description: 'metadata: a single XML element' })
+    }
+  },
+  RelayedControl: {
+    type: 'object',
+    description: 'A PTZ or metadata message as the host receives it',
+    properties: {
+      type: { type: 'string', enum: ['ptz', 'metadata'] },
+      sourceName: { type: 'string' },
+      hostId: { type: 'string' },
+      clientId: { type: 'string' },
+      messageId: { type: 'string' },
+      sentAt: epochMs('When the client sent it')
+    }
+  },
+  SessionInfo: {
+    type: 'object',
+    properties: {
+      code: { type: 'string' },
+      bridgeName: nullable({ type: 'string' }),
+      sources: { type: 'array', items: { type: 'string' } },
+      sourceDetails: { type: 'array', items: ref('ListedSource') },
+      hostConnected: { type: 'boolean' },
+      clientCount: { type: 'integer' },
+      status: { type: 'string', enum: ['waiting', 'active'] },
+      hostId: nullable({ type: 'string' }),
+      lastActivityAt: nullable({ type: 'integer' }),
+      expiresAt: nullable(epochMs('Hard end of the session')),
+      closesAt: nullable(epochMs('When the session closes unless there is activity'))
+    }
+  },
+  PeerEndpoint: {
+    type: 'object',
+    properties: {
+      peerId: nullable({ type: 'string' }),
+      clientName: nullable({ type: 'string' }),
+      publicIP: nullable({ type: 'string' }),
+      publicPort: nullable({ type: 'integer' })
+    }
+  },
+  EndpointUpdate: {
+    type: 'object',
+    required: ['publicIP', 'publicPort'],
+    properties: {
+      publicIP: string(64, { minLength: 1 }),
+      publicPort: PORT,
+      peerId: string(64)
+    }
+  },
+  OutcomeSummary: {
+    type: 'object',
+    description: 'Counts, success rates and time-to-connect percentiles, optionally per group'
+  },
+  LogMeta: {
+    type: 'object',
+    properties: {
+      logId: { type: 'string' },
+      deviceName: nullable({ type: 'string' }),
+      platform: nullable({ type: 'string' }),
+      appVersion: nullable({ type: 'string' }),
+      uploadedAt: { type: 'integer' },
+      size: { type: 'integer' },
+      lineCount: { type: 'integer' }
+    }
+  }
+};
+
+const LOG_QUERY = [
+  queryParam('deviceName', 'Exact device name (case-insensitive)'),
+  queryParam('platform', 'Exact platform (case-insensitive)'),
+  queryParam('appVersion', 'Exact app version'),
+  queryParam('since', 'Duration back from now, e.g. 30m, 24h or 7d', string(16)),
+  queryParam('from', 'Start of the time range (ISO date or epoch milliseconds)', string(64)),
+  queryParam('to', 'End of the time range (ISO date or epoch milliseconds)', string(64)),
+  queryParam('level', `Comma-separated levels among ${LEVELS.join(', ')}`, string(64)),
+  queryParam('minLevel', 'Lowest level to include', { type: 'string', enum: LEVELS }),
+  queryParam('q', 'Text to search for (case-insensitive)'),
+  queryParam('regex', 'Regular expression to search for (case-insensitive). Repeated groups containing a quantifier or `|` and backreferences are refused', string(200)),
+  queryParam('limit', 'Most lines to return', { type: 'integer', minimum: 1 })
+];
+
+const paths = {
+  '/': {
+    get: {
+      tags: ['Service'],
+      summary: 'Service status',
+      responses: {
+        200: {
+          description: 'Service name, version and counts',
+          ...json({
+            type: 'object',
+            properties: {
+              service: { type: 'string' },
+              version: { type: 'string' },
+              apiVersions: { type: 'array', items: { type: 'integer' } },
+              currentApiVersion: { type: 'integer' },
+              minAppVersion: nullable({ type: 'string' }),
+              status: { type: 'string' },
+              activeSessions: { type: 'integer' },
+              activeConnections: { type: 'integer' }
+            }
+          })
+        }
+      }
+    }
+  },
+  '/api/stats': {
+    get: {
+      tags: ['Service'],
+      summary: 'Counts of sessions, hosts, connections and stored logs',
+      responses: { 200: { description: 'Current counts', ...json({ type: 'object' }) } }
+    }
+  },
+  '/metrics': {
+    get: {
+      tags: ['Service'],
+      summary: 'Prometheus metrics',
+      description: 'Needs `Authorization: Bearer <METRICS_TOKEN>` when METRICS_TOKEN is set.',
+      responses: { 200: { description: 'Prometheus text format', content: { 'text/plain': { schema: { type: 'string' } } } } }
+    }
+  },
+  '/api/openapi.json': {
+    get: {
+      tags: ['Service'],
+      summary: 'This document',
+      responses: { 200: { description: 'OpenAPI 3 document', ...json({ type: 'object' }) } }
+    }
+  },
+  '/api/docs': {
+    get: {
+      tags: ['Service'],
+      summary: 'API reference generated from this document',
+      responses: { 200: { description: 'HTML page', content: { 'text/html': { schema: { type: 'string' } } } } }
+    }
+  },
+
+  '/api/session/create': {
+    post: {
+      tags: ['Sessions'],
+      summary: 'Create a hosting session',
+      description: 'The host also gets a registry entry, listed in discovery only with `discoverable: true`. ' +
+        'The requested `hostId` is used unless another host already has it.',
+      requestBody: body({
+        type: 'object',
+        required: ['hostId'],
+        properties: {
+          hostId: HOST_ID,
+          bridgeName: string(256),
+          sources: {
+            type: 'array',
+            description: 'Source names, or sources with access levels and formats',
+            items: { oneOf: [SOURCE_NAME, ref('SourceInput')] }
+          },
+          discoverable: { type: 'boolean', default: false }
+        }
+      }),
+      responses: responses(ok('Session created', {
+        code: { type: 'string' },
+        hostId: { type: 'string' },
+        hostToken: { type: 'string', description: 'Session host token' },
+        registryHostToken: { type: 'string', description: 'Registry host token' },
+        message: { type: 'string' }
+      }, ['code', 'hostId', 'hostToken']))
+    }
+  },
+  '/api/session/join': {
+    post: {
+      tags: ['Sessions'],
+      summary: 'Join a session with a session code or join code',
+      requestBody: body({
+        type: 'object',
+        required: ['code'],
+        properties: {
+          code: string(32, { minLength: 1 }),
+          clientId: CLAIMED_CLIENT_ID,
+          clientName: string(256)
+        }
+      }),
+      responses: responses(ok('Joined', {
+        clientId: { type: 'string' },
+        clientToken: { type: 'string', description: 'Session client token' },
+        session: ref('SessionInfo'),
+        hostId: nullable({ type: 'string' }),
+        sourceName: nullable({ type: 'string', description: 'The source a join code is for' }),
+        registry: nullable({
+          type: 'object',
+          properties: {
+            hostId: { type: 'string' },
+            state: ref('RequestState'),
+            clientToken: { type: 'string', description: 'Registry client token' }
+          }
+        }),
+        turn: ref('TurnCredentials')
+      }, ['clientId', 'clientToken']), 404, 409, 410)
+    }
+  },
+  '/api/session/{code}': {
+    get: {
+      tags: ['Sessions'],
+      summary: 'Session info',
+      parameters: [params.code],
+      responses: responses(ok('The session', { session: ref('SessionInfo') }, ['session']), 404, 410)
+    }
+  },
+  '/api/session/{code}/close': {
+    post: {
+      tags: ['Sessions'],
+      summary: 'Close the session',
+      description: 'Peers get `session_closed` and are disconnected.',
+      security: security.bearer,
+      parameters: [params.code],
+      requestBody: body({
+        type: 'object',
+        properties: { message: string(200, { description: 'Shown to peers' }) }
+      }, false),
+      responses: responses(ok('Closed', { disconnected: { type: 'integer' } }), 401, 404, 410)
+    }
+  },
+  '/api/session/{code}/extend': {
+    post: {
+      tags: ['Sessions'],
+      summary: 'Keep the session open longer',
+      description: 'Restarts the idle timer and moves `expiresAt`, never past SESSION_MAX_HOURS from now.',
+      security: security.bearer,
+      parameters: [params.code],
+      requestBody: body({
+        type: 'object',
+        properties: { minutes: { type: 'number', minimum: 0, exclusiveMinimum: true, default: 60 } }
+      }, false),
+      responses: responses(ok('Extended', {
+        expiresAt: nullable({ type: 'integer' }),
+        closesAt: nullable({ type: 'integer' })
+      }), 401, 404, 410)
+    }
+  },
+  '/api/session/{code}/events': {
+    get: {
+      tags: ['Sessions'],
+      summary: 'Session event stream (SSE)',
+      security: security.bearer,
+      parameters: [params.code],
+      responses: {
+        200: { description: 'Server-Sent Events, starting with `snapshot`', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+        401: RESPONSES[401],
+        404: RESPONSES[404],
+        410: RESPONSES[410]
+      }
+    }
+  },
+  '/api/host/endpoint/{code}': {
+    post: {
+      tags: ['Polling'],
+      summary: 'Host updates its UDP endpoint',
+      security: security.bearer,
+      parameters: [params.code],
+      requestBody: body(ref('EndpointUpdate')),
+      responses: responses(ok('Updated'), 401, 404, 410)
+    }
+  },
+  '/api/client/endpoint/{code}': {
+    post: {
+      tags: ['Polling'],
+      summary: 'Client updates its UDP endpoint',
+      security: security.bearer,
+      parameters: [params.code],
+      requestBody: body({
+        type: 'object',
+        required: ['publicIP', 'publicPort'],
+        properties: {
+          publicIP: string(64, { minLength: 1 }),
+          publicPort: PORT,
+          peerId: string(64),
+          clientName: string(256)
+        }
+      }),
+      responses: responses(ok('Updated'), 401, 404, 410)
+    }
+  },
+  '/api/host/poll/{code}': {
+    get: {
+      tags: ['Polling'],
+      summary: 'Host polls for clients and their endpoints',
+      security: security.bearer,
+      parameters: [params.code, WAIT],
+      responses: responses(ok('Session state for the host', {
+        clients: {
+          type: 'array',
+          items: { ...ref('PeerEndpoint') }
+        },
+        hostEndpoint: nullable({ type: 'object' })
+      }), 401, 404, 410)
+    }
+  },
+  '/api/client/poll/{code}': {
+    get: {
+      tags: ['Polling'],
+      summary: 'Client polls for the host\'s status and endpoint',
+      security: security.bearer,
+      parameters: [params.code, WAIT],
+      responses: responses(ok('Session state for a client', {
+        bridgeName: nullable({ type: 'string' }),
+        sources: { type: 'array', items: { type: 'string' }, description: 'Only the join code\'s source for clients that joined with one' },
+        hostAvailable: { type: 'boolean' },
+        hostEndpoint: nullable(ref('PeerEndpoint')),
+        otherClients: { type: 'array', items: ref('PeerEndpoint') }
+      }), 401, 404, 410)
+    }
+  },
+
+  '/api/orgs': {
+    post: {
+      tags: ['Organizations'],
+      summary: 'Create an organization',
+      description: 'The API key is only returned here.',
+      requestBody: body({ type: 'object', required: ['name'], properties: { name: string(100, { minLength: 1 }) } }),
+      responses: responses(ok('Created', {
+        orgId: { type: 'string' },
+        name: { type: 'string' },
+        apiKey: { type: 'string' }
+      }))
+    }
+  },
+  '/api/orgs/{orgId}/invites': {
+    post: {
+      tags: ['Organizations'],
+      summary: 'Create an invite code',
+      security: security.orgKey,
+      parameters: [params.orgId],
+      requestBody: body({
+        type: 'object',
+        properties: {
+          maxUses: { type: 'integer', minimum: 1 },
+          expiresInHours: { type: 'number', minimum: 0, exclusiveMinimum: true }
+        }
+      }, false),
+      responses: responses(ok('Created', {
+        inviteCode: { type: 'string' },
+        maxUses: nullable({ type: 'integer' }),
+        expiresAt: { type: 'integer' }
+      }), 401, 403)
+    }
+  },
+  '/api/orgs/join': {
+    post: {
+      tags: ['Organizations'],
+      summary: 'Exchange an invite code for an API key',
+      requestBody: body({
+        type: 'object',
+        required: ['inviteCode'],
+        properties: { inviteCode: string(64, { minLength: 1 }), label: string(100) }
+      }),
+      responses: responses(ok('Joined', {
+        orgId: { type: 'string' },
+        name: nullable({ type: 'string' }),
+        apiKey: { type: 'string' }
+      }), 403)
+    }
+  },
+  '/api/orgs/{orgId}/keys': {
+    get: {
+      tags: ['Organizations'],
+      summary: 'List the organization\'s API keys',
+      security: security.orgKey,
+      parameters: [params.orgId],
+      responses: responses(ok('API keys without their secrets', {
+        keys: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { keyId: { type: 'string' }, label: nullable({ type: 'string' }), createdAt: { type: 'integer' } }
+          }
+        }
+      }), 401, 403)
+    }
+  },
+  '/api/orgs/{orgId}/keys/{keyId}': {
+    delete: {
+      tags: ['Organizations'],
+      summary: 'Revoke an API key',
+      security: security.orgKey,
+      parameters: [params.orgId, pathParam('keyId', 'API key ID', string(64))],
+      responses: responses(ok('Revoked'), 401, 403, 404)
+    }
+  },
+
+  '/api/hosts/register': {
+    post: {
+      tags: ['Host registry'],
+      summary: 'Register a host and its sources',
+      description: 'Re-registering a live `hostId` needs its registry host token. ' +
+        'An `X-API-Key` or `inviteCode` puts the host in an organization.',
+      security: security.optionalOrgKey,
+      requestBody: body({
+        type: 'object',
+        required: ['computerName', 'sources'],
+        properties: {
+          hostId: HOST_ID,
+          computerName: string(256, { minLength: 1 }),
+          sources: { type: 'array', items: ref('SourceInput') },
+          publicIP: nullable(string(64)),
+          publicPort: nullable(PORT),
+          inviteCode: string(64),
+          public: { type: 'boolean', description: 'List an organization\'s host in the public directory too' },
+          policy: ref('Policy')
+        }
+      }),
+      responses: responses(ok('Registered', {
+        hostId: { type: 'string' },
+        publicIP: nullable({ type: 'string' }),
+        orgId: nullable({ type: 'string' }),
+        public: { type: 'boolean' },
+        policy: ref('Policy'),
+        sources: { type: 'array', items: ref('Source') },
+        hostToken: { type: 'string', description: 'Registry host token' }
+      }, ['hostId', 'hostToken']), 401, 403)
+    }
+  },
+  '/api/hosts/heartbeat/{hostId}': {
+    post: {
+      tags: ['Host registry'],
+      summary: 'Keep the host registered and collect what is waiting for it',
+      description: 'Version 1 lists the pending requests in `pendingClients`; version 2 lists pending and accepted clients with their `state` in `clients` instead.',
+      security: security.bearer,
+      parameters: [params.hostId, WAIT],
+      requestBody: body({
+        type: 'object',
+        properties: {
+          publicIP: nullable(string(64)),
+          publicPort: nullable(PORT),
+          sources: { type: 'array', items: ref('SourceInput'), description: 'The full list of sources' },
+          sourceChanges: { type: 'array', items: ref('SourceChange'), description: 'Only what changed; not with `sources`' }
+        }
+      }, false),
+      responses: responses(ok('Still registered', {
+        pendingClients: { type: 'array', items: ref('ConnectionRequest'), description: 'Version 1 only' },
+        clients: { type: 'array', items: ref('LiveClient'), description: 'Version 2 only' },
+        tally: { type: 'object', additionalProperties: ref('TallyState'), description: 'Viewers\' tally by source name' },
+        control: { type: 'array', items: ref('RelayedControl'), description: 'PTZ and metadata no WebSocket took' }
+      }), 401, 404)
+    }
+  },
+  '/api/hosts/{hostId}': {
+    delete: {
+      tags: ['Host registry'],
+      summary: 'Unregister a host',
+      security: security.bearer,
+      parameters: [params.hostId],
+      responses: responses(ok('Unregistered (also when the host was already gone)'), 401)
+    }
+  },
+  '/api/hosts/{hostId}/events': {
+    get: {
+      tags: ['Host registry'],
+      summary: 'Host event stream (SSE)',
+      description: 'Keeps the host registered while open.',
+      security: security.bearer,
+      parameters: [params.hostId],
+      responses: {
+        200: { description: 'Server-Sent Events, starting with `pending_clients`', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+        401: RESPONSES[401],
+        404: RESPONSES[404]
+      }
+    }
+  },
+  '/api/hosts/{hostId}/codes': {
+    post: {
+      tags: ['Join codes and share links'],
+      summary: 'Mint a join code for one source',
+      security: security.bearer,
+      parameters: [params.hostId],
+      requestBody: body({
+        type: 'object',
+        required: ['sourceName'],
+        properties: {
+          sourceName: SOURCE_NAME,
+          expiresInHours: { type: 'number', minimum: 0, exclusiveMinimum: true }
+        }
+      }),
+      responses: responses(ok('Created', {
+        code: { type: 'string' },
+        sourceName: { type: 'string' },
+        expiresAt: { type: 'integer' }
+      }), 401, 404)
+    },
+    get: {
+      tags: ['Join codes and share links'],
+      summary: 'List the host\'s join codes',
+      security: security.bearer,
+      parameters: [params.hostId],
+      responses: responses(ok('Join codes', {
+        codes: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              code: { type: 'string' },
+              sourceName: { type: 'string' },
+              createdAt: { type: 'integer' },
+              expiresAt: { type: 'integer' }
+            }
+          }
+        }
+      }), 401, 404)
+    }
+  },
+  '/api/hosts/{hostId}/codes/{code}': {
+    delete: {
+      tags: ['Join codes and share links'],
+      summary: 'Revoke a join code',
+      security: security.bearer,
+      parameters: [params.hostId, pathParam('code', 'Join code', string(32))],
+      responses: responses(ok('Revoked'), 401, 404)
+    }
+  },
+  '/api/hosts/{hostId}/links': {
+    post: {
+      tags: ['Join codes and share links'],
+      summary: 'Create a share link to one source',
+      description: 'The token is only returned here.',
+      security: security.bearer,
+      parameters: [params.hostId],
+      requestBody: body({
+        type: 'object',
+        required: ['sourceName'],
+        properties: {
+          sourceName: SOURCE_NAME,
+          expiresInHours: { type: 'number', minimum: 0, exclusiveMinimum: true },
+          label: string(200)
+        }
+      }),
+      responses: responses(ok('Created', {
+        linkId: { type: 'string' },
+        sourceName: { type: 'string' },
+        label: nullable({ type: 'string' }),
+        createdAt: { type: 'integer' },
+        expiresAt: { type: 'integer' },
+        token: { type: 'string' }
+      }), 401, 404)
+    },
+    get: {
+      tags: ['Join codes and share links'],
+      summary: 'List the host\'s live share links',
+      security: security.bearer,
+      parameters: [params.hostId],
+      responses: responses(ok('Share links without their tokens', { links: { type: 'array', items: { type: 'object' } } }), 401, 404)
+    }
+  },
+  '/api/hosts/{hostId}/links/{linkId}': {
+    delete: {
+      tags: ['Join codes and share links'],
+      summary: 'Revoke a share link',
+      description: 'Clients connected through it are rejected and disconnected.',
+      security: security.bearer,
+      parameters: [params.hostId, pathParam('linkId', 'Share link ID', string(64))],
+      responses: responses(ok('Revoked', { revokedClients: { type: 'integer' } }), 401, 404)
+    }
+  },
+  '/api/share/{token}': {
+    get: {
+      tags: ['Join codes and share links'],
+      summary: 'What a share link points to',
+      parameters: [pathParam('token', 'Share link token', string(512))],
+      responses: responses(ok('The shared source', {
+        hostId: { type: 'string' },
+        computerName: { type: 'string' },
+        sourceName: { type: 'string' },
+        label: nullable({ type: 'string' }),
+        expiresAt: { type: 'integer' },
+        online: { type: 'boolean' }
+      }), 404)
+    }
+  },
+  '/api/hosts': {
+    get: {
+      tags: ['Host registry'],
+      summary: 'List online hosts and their listed sources',
+      security: security.optionalOrgKey,
+      responses: responses(ok('Hosts the caller can see', {
+        hosts: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              hostId: { type: 'string' },
+              computerName: { type: 'string' },
+              sources: { type: 'array', items: { type: 'string' } },
+              sourceDetails: { type: 'array', items: ref('ListedSource') },
+              passwordRequired: { type: 'array', items: { type: 'string' } },
+              online: { type: 'boolean' },
+              publicIP: nullable({ type: 'string' }),
+              publicPort: nullable({ type: 'integer' }),
+              lastSeen: { type: 'integer' },
+              orgId: nullable({ type: 'string' }),
+              public: { type: 'boolean' }
+            }
+          }
+        }
+      }, ['hosts']), 401)
+    }
+  },
+  '/api/hosts/{hostId}/sources/{sourceName}/thumbnail': {
+    get: {
+      tags: ['Host registry'],
+      summary: 'A source\'s thumbnail',
+      security: [{}, { bearerToken: [] }, { apiKey: [] }],
+      parameters: [params.hostId, params.sourceName, queryParam('v', 'Thumbnail hash, for caching', string(32))],
+      responses: {
+        200: {
+          description: 'The image',
+          content: Object.fromEntries(['image/jpeg', 'image/png', 'image/webp']
+            .map(type => [type, { schema: { type: 'string', format: 'binary' } }]))
+        },
+        404: RESPONSES[404]
+      }
+    }
+  },
+  '/api/hosts/{hostId}/connect': {
+    post: {
+      tags: ['Connections'],
+      summary: 'Ask a host to connect to one of its sources',
+      security: security.optionalOrgKey,
+      parameters: [params.hostId],
+      requestBody: body({
+        type: 'object',
+        required: ['sourceName'],
+        properties: {
+          clientId: CLAIMED_CLIENT_ID,
+          clientName: string(256),
+          sourceName: SOURCE_NAME,
+          publicIP: nullable(string(64)),
+          publicPort: nullable(PORT),
+          shareToken: string(512),
+          password: string(256)
+        }
+      }),
+      responses: responses(ok('Request made', {
+        clientId: { type: 'string' },
+        state: ref('RequestState'),
+        hostEndpoint: ref('Endpoint'),
+        clientToken: { type: 'string', description: 'Registry client token' },
+        turn: ref('TurnCredentials'),
+        message: { type: 'string' }
+      }, ['clientId', 'state', 'clientToken']), 401, 403, 404, 409)
+    }
+  },
+  '/api/hosts/{hostId}/status/{clientId}': {
+    get: {
+      tags: ['Connections'],
+      summary: 'Status of a connection request',
+      security: security.bearer,
+      parameters: [params.hostId, params.clientId, WAIT],
+      responses: responses({ ...ok('Current status'), ...json(ref('ClientStatus')) }, 401, 404)
+    }
+  },
+  '/api/hosts/{hostId}/status/{clientId}/events': {
+    get: {
+      tags: ['Connections'],
+      summary: 'Client event stream (SSE)',
+      security: security.bearer,
+      parameters: [params.hostId, params.clientId],
+      responses: {
+        200: { description: 'Server-Sent Events, starting with `status`', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+        401: RESPONSES[401],
+        404: RESPONSES[404]
+      }
+    }
+  },
+  '/api/hosts/{hostId}/accept/{clientId}': {
+    post: {
+      tags: ['Connections'],
+      summary: 'Accept a connection request',
+      security: security.bearer,
+      parameters: [params.hostId, params.clientId],
+      responses: responses(ok('Accepted', { state: ref('RequestState') }), 401, 404, 409)
+    }
+  },
+  '/api/hosts/{hostId}/acknowledge/{clientId}': {
+    post: {
+      tags: ['Connections'],
+      summary: 'Accept a connection request (original name)',
+      deprecated: true,
+      security: security.bearer,
+      parameters: [params.hostId, params.clientId],
+      responses: responses(ok('Accepted', { state: ref('RequestState') }), 401, 404, 409)
+    }
+  },
+  '/api/hosts/{hostId}/reject/{clientId}': {
+    post: {
+      tags: ['Connections'],
+      summary: 'Reject a connection request, or revoke an accepted one',
+      security: security.bearer,
+      parameters: [params.hostId, params.clientId],
+      requestBody: body({ type: 'object', properties: { reason: string(500) } }, false),
+      responses: responses(ok('Rejected', { state: ref('RequestState') }), 401, 404, 409)
+    }
+  },
+  '/api/hosts/{hostId}/clients/{clientId}': {
+    delete: {
+      tags: ['Connections'],
+      summary: 'Client leaves, or host releases a viewer slot',
+      security: security.bearer,
+      parameters: [params.hostId, params.clientId],
+      responses: responses(ok('Released'), 401, 404)
+    }
+  },
+  '/api/hosts/{hostId}/policy': {
+    get: {
+      tags: ['Host registry'],
+      summary: 'The host\'s connection policy',
+      security: security.bearer,
+      parameters: [params.hostId],
+      responses: responses(ok('Policy', { policy: ref('Policy') }), 401, 404)
+    },
+    put: {
+      tags: ['Host registry'],
+      summary: 'Change the host\'s connection policy',
+      description: 'Fields left out keep their current value.',
+      security: security.bearer,
+      parameters: [params.hostId],
+      requestBody: body(ref('Policy')),
+      responses: responses(ok('Policy', { policy: ref('Policy') }), 401, 404)
+    }
+  },
+  '/api/hosts/{hostId}/control': {
+    post: {
+      tags: ['Source control'],
+      summary: 'Send tally, PTZ or metadata to a source',
+      security: security.bearer,
+      parameters: [params.hostId],
+      requestBody: body(ref('ControlMessage')),
+      responses: responses(ok('Passed on to the host', {
+        messageId: nullable({ type: 'string' }),
+        delivered: { type: 'boolean', description: 'Whether the host\'s WebSocket took it' }
+      }), 401, 403, 404)
+    }
+  },
+  '/api/hosts/{hostId}/tally': {
+    get: {
+      tags: ['Source control'],
+      summary: 'Viewers\' aggregate tally by source',
+      security: security.bearer,
+      parameters: [params.hostId],
+      responses: responses(ok('Tally', { tally: { type: 'object', additionalProperties: ref('TallyState') } }), 401, 404)
+    }
+  },
+
+  '/api/telemetry/outcomes': {
+    post: {
+      tags: ['Telemetry'],
+      summary: 'Report how a peer-to-peer connection ended',
+      description: 'Identify the connection with `code` (session peers) or `hostId` (registry hosts and clients).',
+      security: security.bearer,
+      requestBody: body({
+        type: 'object',
+        required: ['result'],
+        properties: {
+          code: string(32),
+          hostId: string(64),
+          peerId: string(64),
+          result: { type: 'string', enum: Object.values(RESULT) },
+          timeToConnectMs: { type: 'integer', minimum: 0, maximum: 600000 },
+          candidateType: { type: 'string', enum: CANDIDATE_TYPES },
+          natType: { type: 'string', enum: Object.values(NAT_TYPE) },
+          error: string(200)
+        }
+      }),
+      responses: responses(ok('Recorded', {
+        reportId: { type: 'string' },
+        network: nullable({ type: 'string' }),
+        natType: nullable({ type: 'string' })
+      }), 401, 404)
+    },
+    get: {
+      tags: ['Telemetry'],
+      summary: 'Aggregated connection outcomes',
+      description: 'Admins see everything; a host can query its own reports with `hostId` and its registry host token.',
+      security: security.adminOrBearer,
+      parameters: [
+        queryParam('hostId', 'Only this host\'s reports', string(64)),
+        queryParam('network', 'Only reports from this network'),
+        queryParam('natType', 'Only reports with this NAT type', { type: 'string', enum: Object.values(NAT_TYPE) }),
+        queryParam('since', 'Duration back from now, e.g. 30m, 24h or 7d', string(16)),
+        queryParam('groupBy', 'Group the summary', { type: 'string', enum: ['host', 'network', 'natType'] })
+      ],
+      responses: responses({ ...ok('Summary'), ...json(ref('OutcomeSummary')) }, 401)
+    }
+  },
+
+  '/api/logs/upload': {
+    post: {
+      tags: ['Logs'],
+      summary: 'Upload a log',
+      description: 'JSON with `logContents` (optionally gzipped and base64 encoded with `encoding: "gzip+base64"`), ' +
+        'a plain text or gzip body with metadata in the query string, or a multipart form with a `log` file.',
+      parameters: ['deviceName', 'timestamp', 'platform', 'appVersion'].map(name => queryParam(name, 'Log metadata for non-JSON uploads')),
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              required: ['logContents'],
+              properties: {
+                logContents: { type: 'string' },
+                encoding: { type: 'string', enum: ['gzip+base64'] },
+                deviceName: { type: 'string' },
+                timestamp: { type: 'string' },
+                platform: { type: 'string' },
+                appVersion: { type: 'string' }
+              }
+            }
+          },
+          'text/plain': { schema: { type: 'string' } },
+          'application/gzip': { schema: { type: 'string', format: 'binary' } },
+          'multipart/form-data': { schema: { type: 'object' } }
+        }
+      },
+      responses: responses(ok('Stored', {
+        logId: { type: 'string' },
+        lineCount: { type: 'integer' },
+        levels: { type: 'object' },
+        redactions: { type: 'object' },
+        accessToken: { type: 'string', description: 'Log access token' },
+        expiresAt: { type: 'integer' },
+        message: { type: 'string' }
+      }), 413)
+    }
+  },
+  '/api/logs/search': {
+    get: {
+      tags: ['Logs'],
+      summary: 'Search uploaded logs',
+      security: security.admin,
+      parameters: LOG_QUERY,
+      responses: responses(ok('Matching logs with their matching lines', {
+        count: { type: 'integer' },
+        matchCount: { type: 'integer' },
+        truncated: { type: 'boolean' },
+        logs: { type: 'array', items: ref('LogMeta') }
+      }), 401)
+    }
+  },
+  '/api/logs': {
+    get: {
+      tags: ['Logs'],
+      summary: 'List uploaded logs',
+      security: security.admin,
+      parameters: LOG_QUERY,
+      responses: responses(ok('Logs, newest first', {
+        count: { type: 'integer' },
+        logs: { type: 'array', items: ref('LogMeta') }
+      }), 401)
+    }
+  },
+  '/api/logs/{logId}': {
+    get: {
+      tags: ['Logs'],
+      summary: 'Read an uploaded log',
+      security: security.adminOrBearer,
+      parameters: [pathParam('logId', 'Log ID', string(64)), queryParam('lines', 'Add the parsed lines', { type: 'boolean' })],
+      responses: responses(ok('The log', { log: ref('LogMeta') }), 401, 404)
+    },
+    delete: {
+      tags: ['Logs'],
+      summary: 'Delete an uploaded log',
+      security: security.adminOrBearer,
+      parameters: [pathParam('logId', 'Log ID', string(64))],
+      responses: responses(ok('Deleted'), 401, 404)
+    }
+  },
+
+  '/api/admin/sessions': {
+    get: {
+      tags: ['Admin'],
+      summary: 'All sessions',
+      security: security.admin,
+      responses: responses(ok('Sessions', { sessions: { type: 'array', items: { type: 'object' } } }), 401)
+    }
+  },
+  '/api/admin/sessions/{code}': {
+    delete: {
+      tags: ['Admin'],
+      summary: 'Close a session',
+      security: security.admin,
+      parameters: [pathParam('code', 'Session code', string(32))],
+      responses: responses(ok('Closed', { disconnected: { type: 'integer' } }), 401, 404)
+    }
+  },
+  '/api/admin/hosts': {
+    get: {
+      tags: ['Admin'],
+      summary: 'All hosts with their connection requests',
+      security: security.admin,
+      responses: responses(ok('Hosts', { hosts: { type: 'array', items: { type: 'object' } } }), 401)
+    }
+  },
+  '/api/admin/hosts/{hostId}': {
+    delete: {
+      tags: ['Admin'],
+      summary: 'Evict a host and close its session',
+      security: security.admin,
+      parameters: [params.hostId],
+      responses: responses(ok('Evicted', { disconnected: { type: 'integer' } }), 401, 404)
+    }
+  },
+  '/api/admin/connections': {
+    get: {
+      tags: ['Admin'],
+      summary: 'WebSocket connections on every replica',
+      security: security.admin,
+      responses: responses(ok('Connections', { connections: { type: 'array', items: { type: 'object' } } }), 401)
+    }
+  },
+  '/api/admin/connections/{connectionId}': {
+    delete: {
+      tags: ['Admin'],
+      summary: 'Disconnect a WebSocket connection',
+      security: security.admin,
+      parameters: [pathParam('connectionId', 'Connection ID', string(64))],
+      requestBody: body({ type: 'object', properties: { reason: string(500) } }, false),
+      responses: responses(ok('Disconnected'), 401, 404)
+    }
+  },
+  '/api/admin/broadcast': {
+    post: {
+      tags: ['Admin'],
+      summary: 'Send a maintenance notice to every connected peer',
+      security: security.admin,
+      requestBody: body({
+        type: 'object',
+        required: ['message'],
+        properties: {
+          message: string(500, { minLength: 1 }),
+          severity: { type: 'string', enum: ['info', 'warning', 'critical'], default: 'info' },
+          startsAt: nullable(epochMs('Start of the maintenance')),
+          endsAt: nullable(epochMs('End of the maintenance'))
+        }
+      }),
+      responses: responses(ok('Sent', { connections: { type: 'integer' } }), 401)
+    }
+  }
+};
+
+const document = {
+  openapi: '3.0.3',
+  info: {
+    title: 'NDI Bridge Rendezvous',
+    version,
+    description: 'Host registry, session signaling and NAT traversal for NDI Bridge. ' +
+      'WebSocket signaling, STUN and TURN are described in the README. ' +
+      'Paths are listed unversioned: call `/api/...` routes as `/api/v1/...` or `/api/v2/...`; ' +
+      'routes answer the same in both unless their description says otherwise. ' +
+      'The unversioned paths still work but are deprecated. ' +
+      'Send the app version in an `X-App-Version` header; apps below the minimum version get `426`.'
+  },
+  tags: [
+    { name: 'Service' },
+    { name: 'Sessions', description: 'Join-code sessions' },
+    { name: 'Polling', description: 'HTTP alternative to WebSocket signaling' },
+    { name: 'Organizations', description: 'Private host directories' },
+    { name: 'Host registry', description: 'Discoverable hosts and their sources' },
+    { name: 'Connections', description: 'Connection requests and approval' },
+    { name: 'Join codes and share links' },
+    { name: 'Source control', description: 'Tally, PTZ and metadata from viewers' },
+    { name: 'Telemetry' },
+    { name: 'Logs' },
+    { name: 'Admin' }
+  ],
+  paths,
+  components: {
+    schemas,
+    securitySchemes: {
+      bearerToken: {
+        type: 'http',
+        scheme: 'bearer',
+        bearerFormat: 'JWT',
+        description: 'Host, client or log access token, depending on the route'
+      },
+      apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key', description: 'Organization API key' },
+      adminKey: { type: 'apiKey', in: 'header', name: 'X-Admin-Key', description: 'ADMIN_API_KEY' }
+    }
+  }
+};
+
+module.exports = document;
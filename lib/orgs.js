@@ -0,0 +1,117 @@
+/**
+ * Organizations (team namespaces) for the host directory
+ *
+ * Hosts registered with an organization's API key or invite code are only
+ * listed to callers presenting an API key for the same organization, unless
+ * they opt in to being public. Hosts registered without an organization stay
+ * in the shared public directory, as before.
+ *
+ * API keys are only stored as SHA-256 hashes, so a leaked store dump can't
+ * be used to read a team's hosts.
+ */
+
+const crypto = require('crypto');
+const { customAlphabet } = require('nanoid');
+
+const generateOrgId = customAlphabet('abcdefghijklmnopqrstuvwxyz0123456789', 12);
+const generateInviteCode = customAlphabet('ABCDEFGHJKLMNPQRSTUVWXYZ23456789', 10);
+
+// Invites expire after 7 days unless a shorter lifetime is requested
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+function hashKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+class Organizations {
+  constructor({ store }) {
+    this.store = store;
+  }
+
+  // Returns the org and its first API key (only ever shown once)
+  async create(name) {
+    const org = {
+      orgId: generateOrgId(),
+      name,
+      createdAt: Date.now()
+    };
+    await this.store.set('orgs', org.orgId, org);
+
+    const apiKey = await this.createApiKey(org.orgId, 'owner');
+    return { org, apiKey };
+  }
+
+  async get(orgId) {
+    return this.store.get('orgs', orgId);
+  }
+
+  async createApiKey(orgId, label) {
+    const apiKey = `ndb_${crypto.randomBytes(24).toString('base64url')}`;
+    const hash = hashKey(apiKey);
+
+    await this.store.set('apikeys', hash, {
+      hash,
+      keyId: hash.slice(0, 12),
+      orgId,
+      label: label || null,
+      createdAt: Date.now()
+    });
+    return apiKey;
+  }
+
+  async listApiKeys(orgId) {
+    return (await this.store.list('apikeys'))
+      .filter(key => key.orgId === orgId)
+      .map(({ keyId, label, createdAt }) => ({ keyId, label, createdAt }));
+  }
+
+  async revokeApiKey(orgId, keyId) {
+    const keys = await this.store.list('apikeys');
+    const match = keys.find(key => key.orgId === orgId && key.keyId === keyId);
+    if (!match) return false;
+
+    await this.store.delete('apikeys', match.hash);
+    return true;
+  }
+
+  // Org id for an API key, or null if it's unknown/revoked
+  async resolveApiKey(apiKey) {
+    if (!apiKey || typeof apiKey !== 'string') return null;
+    const key = await this.store.get('apikeys', hashKey(apiKey));
+    return key ? key.orgId : null;
+  }
+
+  async createInvite(orgId, { maxUses = null, ttlMs = INVITE_TTL_MS } = {}) {
+    const invite = {
+      code: generateInviteCode(),
+      orgId,
+      maxUses,
+      uses: 0,
+      createdAt: Date.now(),
+      expiresAt: Date.now() + Math.min(ttlMs, INVITE_TTL_MS)
+    };
+    await this.store.set('invites', invite.code, invite, { ttlMs: invite.expiresAt - Date.now() });
+    return invite;
+  }
+
+  // Count one use of an invite; returns its org id, or null if it's
+  // unknown, expired or used up
+  async redeemInvite(code) {
+    if (!code || typeof code !== 'string') return null;
+
+    let accepted = false;
+    const invite = await this.store.update('invites', code.toUpperCase(), (invite) => {
+      accepted = invite.maxUses === null || invite.uses < invite.maxUses;
+      if (accepted) invite.uses++;
+    });
+    return invite && accepted ? invite.orgId : null;
+  }
+
+  // Can a caller in `orgId` (null for anonymous) see this host?
+  canSee(host, orgId) {
+    if (!host.orgId) return true;
+    return !!host.public || host.orgId === orgId;
+  }
+}
+
+module.exports = { Organizations };
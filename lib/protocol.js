@@ -0,0 +1,199 @@
+/**
+ * WebSocket signaling protocol
+ *
+ * Clients pick a protocol version with `protocolVersion` on `register`;
+ * the server answers with the version it will speak in `registered`.
+ *
+ *   1  compatibility mode for clients that send no version: only `register`
+ *      is validated, unknown message types are ignored, no acks
+ *   2  every message is validated against SCHEMAS, unknown types and
+ *      invalid messages get an `error`, and messages carrying an `id` are
+ *      answered with an `ack` (or an `error` with the same `id`)
+ *
+ * Errors always look like { type: 'error', code, message, id? } so clients
+ * can branch on `code`; version 1 clients keep reading `message`.
+ */
+
+const { PTZ_ACTIONS, MAX_METADATA_BYTES } = require('./control');
+
+const PROTOCOL_VERSION = 2;
+const MIN_PROTOCOL_VERSION = 1;
+const COMPAT_VERSION = 1;
+
+const ERROR = {
+  INVALID_JSON: 'invalid_json',
+  INVALID_MESSAGE: 'invalid_message',
+  UNKNOWN_TYPE: 'unknown_type',
+  UNSUPPORTED_VERSION: 'unsupported_version',
+  NOT_REGISTERED: 'not_registered',
+  ALREADY_REGISTERED: 'already_registered',
+  UNAUTHORIZED: 'unauthorized',
+  RESUME_FAILED: 'resume_failed',
+  SESSION_NOT_FOUND: 'session_not_found',
+  INVALID_TARGET: 'invalid_target',
+  TARGET_UNAVAILABLE: 'target_unavailable',
+  RATE_LIMITED: 'rate_limited',
+  FORBIDDEN: 'forbidden',
+  CLIENT_OUTDATED: 'client_outdated'
+};
+
+const ID = { type: 'string', max: 64 };
+const TARGET = { type: 'string', max: 64 };
+const PORT = { type: 'integer', min: 1, max: 65535 };
+const ADDRESS = { type: 'string', max: 64 };
+const SOURCE_NAME = { type: 'string', required: true, max: 256 };
+const UNIT_RANGE = { type: ['number', 'integer'], min: -1, max: 1 };
+
+// Field specs per message type. Fields not listed are allowed and passed on.
+const SCHEMAS = {
+  register: {
+    // One of code (session or join code) and hostId is required
+    code: { type: 'string', max: 32 },
+    hostId: { type: 'string', max: 64 },
+    role: { type: 'string', required: true, values: ['host', 'client'] },
+    token: { type: 'string', max: 4096 },
+    resumeToken: { type: 'string', max: 4096 },
+    protocolVersion: { type: 'integer' },
+    appVersion: { type: 'string', max: 64 }
+  },
+  offer: {
+    sdp: { type: 'string', required: true, max: 60000 },
+    targetId: TARGET
+  },
+  answer: {
+    sdp: { type: 'string', required: true, max: 60000 },
+    targetId: TARGET
+  },
+  'ice-candidate': {
+    // null marks the end of candidates
+    candidate: { type: ['string', 'object', 'null'], required: true },
+    sdpMid: { type: 'string', max: 64 },
+    sdpMLineIndex: { type: 'integer', min: 0, max: 255 },
+    targetId: TARGET
+  },
+  connection_info: {
+    address: ADDRESS,
+    port: PORT,
+    publicIP: ADDRESS,
+    publicPort: PORT,
+    targetId: TARGET
+  },
+  udp_endpoint: {
+    publicIP: { ...ADDRESS, required: true },
+    publicPort: { ...PORT, required: true },
+    targetId: TARGET
+  },
+  // Control for one of the host's sources, from clients only; the fields
+  // of each PTZ action are checked in lib/control.js
+  tally: {
+    sourceName: SOURCE_NAME,
+    program: { type: 'boolean' },
+    preview: { type: 'boolean' }
+  },
+  ptz: {
+    sourceName: SOURCE_NAME,
+    action: { type: 'string', required: true, values: Object.keys(PTZ_ACTIONS) },
+    pan: UNIT_RANGE,
+    tilt: UNIT_RANGE,
+    zoom: UNIT_RANGE,
+    focus: UNIT_RANGE,
+    speed: UNIT_RANGE,
+    preset: { type: 'integer', min: 0, max: 99 }
+  },
+  metadata: {
+    sourceName: SOURCE_NAME,
+    xml: { type: 'string', required: true, max: MAX_METADATA_BYTES }
+  },
+  ping: {},
+  // Not forwarded: recorded as connection telemetry
+  connection_outcome: {
+    result: { type: 'string', required: true, values: ['direct', 'relayed', 'failed'] },
+    timeToConnectMs: { type: 'integer', min: 0, max: 600000 },
+    candidateType: { type: 'string', values: ['host', 'srflx', 'prflx', 'relay'] },
+    natType: { type: 'string', values: ['endpoint_independent', 'symmetric', 'unknown'] },
+    error: { type: 'string', max: 200 }
+  }
+};
+
+// Message types relayed to other peers in the session
+const FORWARDED_TYPES = ['offer', 'answer', 'ice-candidate', 'connection_info', 'udp_endpoint'];
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function checkField(name, value, spec) {
+  if (value === undefined) {
+    return spec.required ? `${name} is required` : null;
+  }
+
+  const types = Array.isArray(spec.type) ? spec.type : [spec.type];
+  if (!types.includes(typeOf(value))) {
+    return `${name} must be ${types.join(' or ')}`;
+  }
+  if (spec.values && !spec.values.includes(value)) {
+    return `${name} must be one of ${spec.values.join(', ')}`;
+  }
+  if (typeof value === 'string' && spec.max !== undefined && value.length > spec.max) {
+    return `${name} must be at most ${spec.max} characters`;
+  }
+  if (typeof value === 'number') {
+    if (spec.min !== undefined && value < spec.min) return `${name} must be at least ${spec.min}`;
+    if (spec.max !== undefined && value > spec.max) return `${name} must be at most ${spec.max}`;
+  }
+  return null;
+}
+
+// Returns null for a valid message, else { code, message }
+function validate(data, version) {
+  if (typeOf(data) !== 'object' || typeof data.type !== 'string') {
+    return { code: ERROR.INVALID_MESSAGE, message: 'Message must be an object with a string type' };
+  }
+
+  // Own properties only, so "constructor" and the like stay unknown
+  const schema = Object.hasOwn(SCHEMAS, data.type) ? SCHEMAS[data.type] : null;
+  if (!schema) {
+    return { code: ERROR.UNKNOWN_TYPE, message: `Unknown message type: ${data.type}` };
+  }
+
+  // Compatibility mode only checks what the server itself relies on
+  if (version < PROTOCOL_VERSION && data.type !== 'register') return null;
+
+  const fields = version < PROTOCOL_VERSION
+    ? { code: schema.code, hostId: schema.hostId, role: schema.role }
+    : { id: ID, ...schema };
+  for (const [name, spec] of Object.entries(fields)) {
+    const error = checkField(name, data[name], spec);
+    if (error) return { code: ERROR.INVALID_MESSAGE, message: error };
+  }
+  return null;
+}
+
+// Version to speak with a client that asked for `requested` (undefined for
+// clients that predate versioning). Returns { version } or { error }.
+function negotiateVersion(requested) {
+  if (requested === undefined) return { version: COMPAT_VERSION };
+  if (!Number.isInteger(requested) || requested < MIN_PROTOCOL_VERSION) {
+    return {
+      error: {
+        code: ERROR.UNSUPPORTED_VERSION,
+        message: `protocolVersion must be an integer from ${MIN_PROTOCOL_VERSION} to ${PROTOCOL_VERSION}`
+      }
+    };
+  }
+  return { version: Math.min(requested, PROTOCOL_VERSION) };
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
+  COMPAT_VERSION,
+  ERROR,
+  SCHEMAS,
+  FORWARDED_TYPES,
+  validate,
+  negotiateVersion
+};
@@ -0,0 +1,109 @@
+/**
+ * Token-bucket rate limiting
+ *
+ * Buckets live in this process: each replica enforces its own limits, which
+ * is enough to stop a single source flooding a node. Limits are written as
+ * "<requests>/<seconds>", e.g. "30/60" allows bursts of 30 and refills at
+ * 30 per minute. "off" disables a limit.
+ */
+
+// Buckets untouched for this long are full again and can be forgotten
+const IDLE_SWEEP_MS = 60 * 1000;
+
+function parseLimit(spec) {
+  if (!spec || spec === 'off' || spec === '0') return null;
+
+  const match = /^(\d+(?:\.\d+)?)\/(\d+(?:\.\d+)?)$/.exec(String(spec).trim());
+  if (!match) throw new Error(`Invalid rate limit "${spec}", expected "<requests>/<seconds>"`);
+
+  const capacity = parseFloat(match[1]);
+  const seconds = parseFloat(match[2]);
+  return { capacity, refillPerSecond: capacity / seconds };
+}
+
+class RateLimiter {
+  constructor(spec) {
+    const limit = typeof spec === 'string' || spec === null || spec === undefined ? parseLimit(spec) : spec;
+    this.enabled = !!limit;
+    this.capacity = limit ? limit.capacity : Infinity;
+    this.refillPerSecond = limit ? limit.refillPerSecond : Infinity;
+    this.buckets = new Map();
+
+    this.sweeper = setInterval(() => this.sweep(), IDLE_SWEEP_MS);
+    this.sweeper.unref();
+  }
+
+  // Spend `cost` tokens for `key`. Returns { allowed, retryAfterMs }.
+  take(key, cost = 1) {
+    if (!this.enabled) return { allowed: true, retryAfterMs: 0 };
+
+    const now = Date.now();
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: this.capacity, updatedAt: now };
+      this.buckets.set(key, bucket);
+    }
+
+    bucket.tokens = Math.min(this.capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * this.refillPerSecond);
+    bucket.updatedAt = now;
+
+    if (bucket.tokens >= cost) {
+      bucket.tokens -= cost;
+      return { allowed: true, retryAfterMs: 0 };
+    }
+
+    const retryAfterMs = Math.ceil(((cost - bucket.tokens) / this.refillPerSecond) * 1000);
+    return { allowed: false, retryAfterMs };
+  }
+
+  // Give back tokens spent by take(), e.g. when only failures should count
+  refund(key, cost = 1) {
+    const bucket = this.buckets.get(key);
+    if (bucket) bucket.tokens = Math.min(this.capacity, bucket.tokens + cost);
+  }
+
+  // Forget a key, e.g. when the connection it belongs to closes
+  reset(key) {
+    this.buckets.delete(key);
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, bucket] of this.buckets.entries()) {
+      const refilled = bucket.tokens + ((now - bucket.updatedAt) / 1000) * this.refillPerSecond;
+      if (refilled >= this.capacity) this.buckets.delete(key);
+    }
+  }
+
+  close() {
+    clearInterval(this.sweeper);
+  }
+}
+
+// Express middleware applying a per-IP and an optional per-identity limiter.
+// `clientIP(req)` returns the address to limit on and `identify(req)` a
+// stable caller identity or null.
+function httpRateLimit({ perIp, perIdentity, clientIP, identify }) {
+  return (req, res, next) => {
+    const checks = [[perIp, `ip:${clientIP(req)}`]];
+    const identity = perIdentity && identify ? identify(req) : null;
+    if (identity) checks.push([perIdentity, `id:${identity}`]);
+
+    for (const [limiter, key] of checks) {
+      if (!limiter) continue;
+      const { allowed, retryAfterMs } = limiter.take(key);
+      if (!allowed) {
+        const retryAfter = Math.ceil(retryAfterMs / 1000);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: 'Too many requests, please slow down',
+          retryAfter
+        });
+      }
+    }
+    next();
+  };
+}
+
+module.exports = { RateLimiter, parseLimit, httpRateLimit };
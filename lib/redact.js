@@ -0,0 +1,125 @@
+/**
+ * Redaction of personal data and secrets in uploaded logs
+ *
+ * Logs are redacted before they are parsed and stored, so nothing that
+ * matches a rule ever reaches the store. Built-in rules, applied in order:
+ *
+ *   token     JWTs, `Bearer ...`, ndb_ API keys and `password=`/`token:`
+ *             style key-value secrets
+ *   email     email addresses
+ *   ipv6      IPv6 addresses
+ *   ipv4      IPv4 addresses
+ *   hostname  fully qualified host names under common TLDs and .local/.lan
+ *
+ * LOG_REDACT picks the built-in rules (`all`, `off` or a comma-separated
+ * list of names) and LOG_REDACT_EXTRA adds rules as a JSON array of
+ * { name, pattern, flags?, replacement? }.
+ */
+
+const BUILTIN_RULES = [
+  {
+    name: 'token',
+    patterns: [
+      { regex: /\beyJ[\w-]{5,}\.[\w-]{5,}\.[\w-]{5,}/g, replacement: '[token]' },
+      { regex: /\b(Bearer|Basic)\s+[\w.~+/=-]{8,}/g, replacement: '$1 [token]' },
+      { regex: /\bndb_[\w-]{16,}/g, replacement: '[token]' },
+      {
+        regex: /\b(password|passwd|pwd|secret|token|api[_-]?key|access[_-]?key|authorization)(["']?\s*[:=]\s*["']?)([^\s"',;&]+)/gi,
+        replacement: '$1$2[redacted]'
+      }
+    ]
+  },
+  {
+    name: 'email',
+    patterns: [
+      { regex: /\b[\w.%+-]+@[a-z0-9.-]+\.[a-z]{2,}\b/gi, replacement: '[email]' }
+    ]
+  },
+  {
+    name: 'ipv6',
+    patterns: [
+      // IPv4-mapped, full form, or compressed with `::`. Clock times like
+      // 10:00:01 have neither eight groups nor `::`, so they don't match.
+      { regex: /(?<![\w:])::ffff:\d{1,3}(?:\.\d{1,3}){3}\b/gi, replacement: '[ip]' },
+      { regex: /(?<![\w:])(?:[0-9a-f]{1,4}:){7}[0-9a-f]{1,4}(?![\w:.])/gi, replacement: '[ip]' },
+      { regex: /(?<![\w:])(?:[0-9a-f]{1,4}(?::[0-9a-f]{1,4})*)?::(?:[0-9a-f]{1,4}(?::[0-9a-f]{1,4})*)?(?![\w:.])/gi, replacement: '[ip]' }
+    ]
+  },
+  {
+    name: 'ipv4',
+    patterns: [
+      { regex: /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/g, replacement: '[ip]' }
+    ]
+  },
+  {
+    name: 'hostname',
+    patterns: [
+      {
+        regex: /\b(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+(?:com|net|org|io|edu|gov|co|uk|de|fr|nl|us|ca|au|jp|tv|me|info|biz|cloud|local|lan|home|internal|corp)\b(?![.-]?\w)/gi,
+        replacement: '[hostname]'
+      }
+    ]
+  }
+];
+
+const RULE_NAMES = BUILTIN_RULES.map(rule => rule.name);
+
+// Rules from LOG_REDACT / LOG_REDACT_EXTRA style settings. Throws on an
+// invalid setting so a typo doesn't silently turn redaction off.
+function buildRules(selection = 'all', extra = []) {
+  const names = selection === 'all' ? RULE_NAMES
+    : selection === 'off' ? []
+      : selection.split(',').map(name => name.trim()).filter(Boolean);
+
+  const unknown = names.filter(name => !RULE_NAMES.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown redaction rules: ${unknown.join(', ')} (expected ${RULE_NAMES.join(', ')})`);
+  }
+
+  const rules = BUILTIN_RULES.filter(rule => names.includes(rule.name));
+
+  for (const custom of extra) {
+    if (!custom || typeof custom.name !== 'string' || typeof custom.pattern !== 'string') {
+      throw new Error('Extra redaction rules need a name and a pattern');
+    }
+    const flags = new Set(`${custom.flags || ''}g`);
+    rules.push({
+      name: custom.name,
+      patterns: [{
+        regex: new RegExp(custom.pattern, Array.from(flags).join('')),
+        replacement: custom.replacement || `[${custom.name}]`
+      }]
+    });
+  }
+  return rules;
+}
+
+class Redactor {
+  constructor(rules) {
+    this.rules = rules;
+  }
+
+  get names() {
+    return this.rules.map(rule => rule.name);
+  }
+
+  // Returns { text, counts } with counts per rule name
+  redact(text) {
+    const counts = {};
+    let result = text;
+
+    for (const rule of this.rules) {
+      for (const { regex, replacement } of rule.patterns) {
+        result = result.replace(regex, (...args) => {
+          counts[rule.name] = (counts[rule.name] || 0) + 1;
+          // Expand $1-style references against this match's groups
+          const groups = args.slice(1, -2);
+          return replacement.replace(/\$(\d)/g, (_, i) => groups[i - 1] ?? '');
+        });
+      }
+    }
+    return { text: result, counts };
+  }
+}
+
+module.exports = { Redactor, buildRules, RULE_NAMES };
@@ -0,0 +1,80 @@
+/**
+ * Share links for a single source on a registry host
+ *
+ * A host can give a guest a link to one of its sources without exposing the
+ * rest of the machine. The link carries an unguessable token of the form
+ * `<linkId>.<secret>`; only a SHA-256 hash of the secret is stored. Links
+ * expire on their own, and revoking one also ends the connections that were
+ * made with it.
+ */
+
+const crypto = require('crypto');
+const { customAlphabet } = require('nanoid');
+
+const generateLinkId = customAlphabet('abcdefghijklmnopqrstuvwxyz0123456789', 12);
+
+// Links last 24 hours unless asked otherwise, and at most 30 days
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+class ShareLinks {
+  constructor({ store }) {
+    this.store = store;
+  }
+
+  // Returns the link and its token (only ever shown once)
+  async create(hostId, sourceName, { ttlMs = DEFAULT_TTL_MS, label = null } = {}) {
+    const secret = crypto.randomBytes(24).toString('base64url');
+    const lifetime = Math.min(ttlMs, MAX_TTL_MS);
+
+    const link = {
+      linkId: generateLinkId(),
+      hostId,
+      sourceName,
+      label,
+      secretHash: hashSecret(secret),
+      createdAt: Date.now(),
+      expiresAt: Date.now() + lifetime
+    };
+    await this.store.set('sharelinks', link.linkId, link, { ttlMs: lifetime });
+    return { link, token: `${link.linkId}.${secret}` };
+  }
+
+  // The live link a token belongs to, or null
+  async resolve(token) {
+    if (!token || typeof token !== 'string') return null;
+    const [linkId, secret] = token.split('.');
+    if (!linkId || !secret) return null;
+
+    const link = await this.store.get('sharelinks', linkId);
+    if (!link) return null;
+
+    const expected = Buffer.from(link.secretHash, 'hex');
+    const actual = Buffer.from(hashSecret(secret), 'hex');
+    return crypto.timingSafeEqual(expected, actual) ? link : null;
+  }
+
+  async list(hostId) {
+    return (await this.store.list('sharelinks'))
+      .filter(link => link.hostId === hostId)
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  async revoke(hostId, linkId) {
+    const link = await this.store.get('sharelinks', linkId);
+    if (!link || link.hostId !== hostId) return false;
+    await this.store.delete('sharelinks', linkId);
+    return true;
+  }
+}
+
+// A link as shown to its host
+function describeLink({ linkId, sourceName, label, createdAt, expiresAt }) {
+  return { linkId, sourceName, label, createdAt, expiresAt };
+}
+
+module.exports = { ShareLinks, describeLink };
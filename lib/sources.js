@@ -0,0 +1,195 @@
+/**
+ * NDI source format metadata
+ *
+ * Besides its name, enabled flag and access level (lib/access.js), a source
+ * can describe its format so viewers can choose between sources before
+ * connecting:
+ *
+ *   resolution     { width, height } in pixels
+ *   frameRate      frames per second, e.g. 59.94
+ *   mode           full (SpeedHQ), hx (H.264/HEVC) or proxy (low bandwidth)
+ *   audioChannels  0 for video-only sources
+ *   tally          { program, preview }
+ *   thumbnail      JPEG, PNG or WebP data URL of up to 32 KB
+ *
+ * Every field is optional. One that is left out keeps its previous value and
+ * null clears it, so hosts only need to send what changed. Thumbnails are
+ * stored apart from the host record; sources only keep their size and hash.
+ */
+
+const crypto = require('crypto');
+const { isDeepStrictEqual } = require('util');
+
+const MODES = ['full', 'hx', 'proxy'];
+
+const THUMBNAIL_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_THUMBNAIL_BYTES = 32 * 1024;
+
+const MAX_DIMENSION = 16384;
+const MAX_FRAME_RATE = 1000;
+const MAX_AUDIO_CHANNELS = 64;
+
+const DATA_URL = /^data:([a-z]+\/[a-z0-9.+-]+);base64,([A-Za-z0-9+/]*={0,2})$/;
+
+// Each returns { value } or { error }
+const FIELDS = {
+  resolution(value) {
+    const valid = !!value && typeof value === 'object' &&
+      [value.width, value.height].every(n => Number.isInteger(n) && n > 0 && n <= MAX_DIMENSION);
+    return valid
+      ? { value: { width: value.width, height: value.height } }
+      : { error: `resolution must be { width, height } in pixels, up to ${MAX_DIMENSION}` };
+  },
+  frameRate(value) {
+    return typeof value === 'number' && value > 0 && value <= MAX_FRAME_RATE
+      ? { value }
+      : { error: `frameRate must be a number above 0 and up to ${MAX_FRAME_RATE}` };
+  },
+  mode(value) {
+    return MODES.includes(value) ? { value } : { error: `mode must be one of ${MODES.join(', ')}` };
+  },
+  audioChannels(value) {
+    return Number.isInteger(value) && value >= 0 && value <= MAX_AUDIO_CHANNELS
+      ? { value }
+      : { error: `audioChannels must be an integer from 0 to ${MAX_AUDIO_CHANNELS}` };
+  },
+  tally(value) {
+    const valid = !!value && typeof value === 'object' &&
+      ['program', 'preview'].every(key => value[key] === undefined || typeof value[key] === 'boolean');
+    return valid
+      ? { value: { program: !!value.program, preview: !!value.preview } }
+      : { error: 'tally must be { program, preview } with boolean values' };
+  }
+};
+
+// The fields whose change is reported as a format change
+const FORMAT_FIELDS = ['resolution', 'frameRate', 'mode', 'audioChannels'];
+
+// Decode a thumbnail data URL to { contentType, data } or { error }
+function parseThumbnail(value) {
+  const match = typeof value === 'string' ? DATA_URL.exec(value) : null;
+  if (!match || !THUMBNAIL_TYPES.includes(match[1])) {
+    return { error: `thumbnail must be a data URL of type ${THUMBNAIL_TYPES.join(', ')}` };
+  }
+  const data = Buffer.from(match[2], 'base64');
+  if (data.length === 0 || data.length > MAX_THUMBNAIL_BYTES) {
+    return { error: `thumbnail must be at most ${MAX_THUMBNAIL_BYTES} bytes` };
+  }
+  return { contentType: match[1], data };
+}
+
+// Validate the format fields of a source sent by a host, on top of the same
+// source's `previous` state. Returns { format, thumbnail } or { error }, where
+// `thumbnail` is the decoded image if a new one was sent.
+function normalizeFormat(input, previous = {}) {
+  const format = {};
+  for (const [field, check] of Object.entries(FIELDS)) {
+    const value = input[field];
+    if (value === undefined || value === null) {
+      format[field] = value === null ? null : previous[field] ?? null;
+      continue;
+    }
+    const checked = check(value);
+    if (checked.error) return { error: `${input.name}: ${checked.error}` };
+    format[field] = checked.value;
+  }
+
+  if (input.thumbnail === undefined || input.thumbnail === null) {
+    format.thumbnail = input.thumbnail === null ? null : previous.thumbnail ?? null;
+    return { format, thumbnail: null };
+  }
+
+  const thumbnail = parseThumbnail(input.thumbnail);
+  if (thumbnail.error) return { error: `${input.name}: ${thumbnail.error}` };
+  format.thumbnail = {
+    contentType: thumbnail.contentType,
+    size: thumbnail.data.length,
+    hash: crypto.createHash('sha256').update(thumbnail.data).digest('hex').slice(0, 16),
+    updatedAt: Date.now()
+  };
+  return { format, thumbnail };
+}
+
+// Merge heartbeat `sourceChanges` into a host's current sources. Each change
+// names a source and carries the fields that changed, or `removed: true`;
+// unknown names are added. Returns { sources } (still to be normalized) or
+// { error }.
+function applySourceChanges(current, changes) {
+  if (!Array.isArray(changes)) return { error: 'sourceChanges must be an array' };
+
+  // Stored thumbnails and password hashes aren't input; they carry over
+  const sources = current.map(({ thumbnail, passwordHash, ...source }) => source);
+  for (const change of changes) {
+    if (!change || typeof change.name !== 'string' || !change.name) {
+      return { error: 'Each source change needs a name' };
+    }
+
+    const index = sources.findIndex(s => s.name === change.name);
+    const { removed, ...fields } = change;
+    if (removed === true) {
+      if (index !== -1) sources.splice(index, 1);
+    } else if (index === -1) {
+      sources.push(fields);
+    } else {
+      sources[index] = { ...sources[index], ...fields };
+    }
+  }
+  return { sources };
+}
+
+// Differences between two source lists: sources added, names removed, and
+// for the rest the fields that changed, with `formatChanged` if any of them
+// is part of the format
+function diffSources(before, after) {
+  const added = after.filter(s => !before.some(b => b.name === s.name));
+  const removed = before.filter(s => !after.some(a => a.name === s.name)).map(s => s.name);
+
+  const changed = [];
+  for (const source of after) {
+    const previous = before.find(b => b.name === source.name);
+    if (!previous) continue;
+
+    const fields = ['enabled', 'access', ...Object.keys(FIELDS)]
+      .filter(field => !isDeepStrictEqual(previous[field] ?? null, source[field] ?? null));
+    if ((previous.thumbnail?.hash ?? null) !== (source.thumbnail?.hash ?? null)) fields.push('thumbnail');
+
+    if (fields.length > 0) {
+      changed.push({ source, fields, formatChanged: fields.some(f => FORMAT_FIELDS.includes(f)) });
+    }
+  }
+  return { added, removed, changed };
+}
+
+function thumbnailPath(hostId, sourceName, hash) {
+  return `/api/hosts/${encodeURIComponent(hostId)}/sources/${encodeURIComponent(sourceName)}/thumbnail?v=${hash}`;
+}
+
+// A source's format as shown to hosts and viewers
+function describeFormat(source, hostId) {
+  const { thumbnail } = source;
+  return {
+    resolution: source.resolution ?? null,
+    frameRate: source.frameRate ?? null,
+    mode: source.mode ?? null,
+    audioChannels: source.audioChannels ?? null,
+    tally: source.tally ?? null,
+    thumbnail: thumbnail
+      ? {
+          url: thumbnailPath(hostId, source.name, thumbnail.hash),
+          contentType: thumbnail.contentType,
+          size: thumbnail.size,
+          updatedAt: thumbnail.updatedAt
+        }
+      : null
+  };
+}
+
+module.exports = {
+  MODES,
+  FORMAT_FIELDS,
+  MAX_THUMBNAIL_BYTES,
+  normalizeFormat,
+  applySourceChanges,
+  diffSources,
+  describeFormat
+};
@@ -0,0 +1,35 @@
+/**
+ * State store factory
+ *
+ * Sessions, hosts and uploaded logs live behind a small async key/value API
+ * with per-key TTLs so they survive redeploys and can be shared between
+ * replicas, plus pub/sub for messages between replicas. Set REDIS_URL to use
+ * Redis; otherwise state is kept in memory.
+ *
+ * API (all methods return promises):
+ *   get(collection, id)                      -> value | null
+ *   has(collection, id)                      -> boolean
+ *   set(collection, id, value, { ttlMs, keepTtl })
+ *   update(collection, id, mutator, { ttlMs }) -> updated value | null
+ *   delete(collection, id)                   -> boolean
+ *   list(collection)                         -> values[]
+ *   count(collection)                        -> number
+ *   publish(channel, message)
+ *   subscribe(channel, handler)              -> unsubscribe()
+ *   close()
+ */
+
+const MemoryStore = require('./memory');
+const RedisStore = require('./redis');
+
+function createStore(options = {}) {
+  const url = options.url !== undefined ? options.url : process.env.REDIS_URL;
+  const prefix = options.prefix || process.env.REDIS_PREFIX;
+
+  if (options.client || url) {
+    return new RedisStore({ client: options.client, url, prefix });
+  }
+  return new MemoryStore(options);
+}
+
+module.exports = { createStore, MemoryStore, RedisStore };
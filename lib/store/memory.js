@@ -0,0 +1,138 @@
+/**
+ * In-memory state store
+ *
+ * Default backend when no REDIS_URL is configured. Values are kept as JSON
+ * strings so callers get the same copy semantics as the Redis backend:
+ * mutating a value returned by get() has no effect until it is written back.
+ * Pub/sub is in-process, so several servers sharing one MemoryStore behave
+ * like replicas sharing a Redis.
+ */
+
+const { EventEmitter } = require('events');
+
+// How often expired keys are swept (reads also expire lazily)
+const SWEEP_INTERVAL_MS = 15000;
+
+class MemoryStore {
+  constructor(options = {}) {
+    this.collections = new Map();
+    this.channels = new EventEmitter();
+    this.channels.setMaxListeners(0);
+
+    this.sweeper = setInterval(() => this.sweep(), options.sweepIntervalMs || SWEEP_INTERVAL_MS);
+    this.sweeper.unref();
+  }
+
+  _collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new Map());
+    }
+    return this.collections.get(name);
+  }
+
+  // Returns the live entry for a key, dropping it if its TTL has passed
+  _entry(collection, id) {
+    const items = this._collection(collection);
+    const entry = items.get(id);
+    if (!entry) return null;
+
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      items.delete(id);
+      return null;
+    }
+    return entry;
+  }
+
+  _write(collection, id, value, options = {}) {
+    const items = this._collection(collection);
+    const existing = this._entry(collection, id);
+
+    let expiresAt = null;
+    if (options.ttlMs) {
+      expiresAt = Date.now() + options.ttlMs;
+    } else if (options.keepTtl && existing) {
+      expiresAt = existing.expiresAt;
+    }
+
+    items.set(id, { json: JSON.stringify(value), expiresAt });
+  }
+
+  async get(collection, id) {
+    const entry = this._entry(collection, id);
+    return entry ? JSON.parse(entry.json) : null;
+  }
+
+  async has(collection, id) {
+    return this._entry(collection, id) !== null;
+  }
+
+  async set(collection, id, value, options = {}) {
+    this._write(collection, id, value, options);
+    return value;
+  }
+
+  // Read-modify-write. The mutator may edit the value in place or return a
+  // replacement; returns the stored value, or null if the key doesn't exist.
+  async update(collection, id, mutator, options = {}) {
+    const entry = this._entry(collection, id);
+    if (!entry) return null;
+
+    const current = JSON.parse(entry.json);
+    const result = mutator(current);
+    const next = result === undefined ? current : result;
+
+    this._write(collection, id, next, { keepTtl: true, ...options });
+    return next;
+  }
+
+  async delete(collection, id) {
+    const existed = this._entry(collection, id) !== null;
+    this._collection(collection).delete(id);
+    return existed;
+  }
+
+  async list(collection) {
+    const values = [];
+    for (const id of this._collection(collection).keys()) {
+      const entry = this._entry(collection, id);
+      if (entry) values.push(JSON.parse(entry.json));
+    }
+    return values;
+  }
+
+  async count(collection) {
+    let total = 0;
+    for (const id of this._collection(collection).keys()) {
+      if (this._entry(collection, id)) total++;
+    }
+    return total;
+  }
+
+  // Delivered asynchronously, like a Redis subscriber would receive it
+  async publish(channel, message) {
+    const json = JSON.stringify(message);
+    setImmediate(() => this.channels.emit(channel, JSON.parse(json)));
+  }
+
+  async subscribe(channel, handler) {
+    this.channels.on(channel, handler);
+    return async () => {
+      this.channels.off(channel, handler);
+    };
+  }
+
+  sweep() {
+    for (const [name, items] of this.collections.entries()) {
+      for (const id of items.keys()) {
+        this._entry(name, id);
+      }
+    }
+  }
+
+  async close() {
+    clearInterval(this.sweeper);
+    this.channels.removeAllListeners();
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,201 @@
+/**
+ * Redis state store
+ *
+ * Each record is a JSON string at `<prefix>:<collection>:<id>` with its TTL
+ * set via PX, plus a `<prefix>:<collection>` set used to enumerate a
+ * collection. Ids whose key has expired are pruned from the set on list().
+ *
+ * Requires Redis 6+ (SET ... KEEPTTL). Any Redis-protocol server works,
+ * and tests can pass an in-process fake such as ioredis-mock as `client`.
+ */
+
+const log = require('../logger').logger.child({ component: 'redis' });
+
+// Attempts before giving up on an update that keeps losing WATCH races
+const MAX_UPDATE_RETRIES = 10;
+
+class RedisStore {
+  constructor(options = {}) {
+    if (options.client) {
+      this.client = options.client;
+    } else {
+      const Redis = require('ioredis');
+      this.client = new Redis(options.url);
+    }
+
+    this.prefix = options.prefix || 'ndibridge';
+
+    // WATCH is per connection, so transactions get their own connection and
+    // are serialized locally; other nodes are handled by WATCH itself
+    this.txClient = null;
+    this.txQueue = Promise.resolve();
+
+    // A connection in subscriber mode can't run other commands
+    this.subClient = null;
+    this.handlers = new Map();
+
+    this.client.on('error', (err) => {
+      log.error('Redis error', { err });
+    });
+  }
+
+  _key(collection, id) {
+    return `${this.prefix}:${collection}:${id}`;
+  }
+
+  _indexKey(collection) {
+    return `${this.prefix}:${collection}`;
+  }
+
+  _setArgs(options) {
+    if (options.ttlMs) return ['PX', Math.ceil(options.ttlMs)];
+    if (options.keepTtl) return ['KEEPTTL'];
+    return [];
+  }
+
+  _tx(fn) {
+    if (!this.txClient) {
+      this.txClient = this.client.duplicate();
+    }
+    const run = this.txQueue.then(() => fn(this.txClient));
+    this.txQueue = run.catch(() => {});
+    return run;
+  }
+
+  async get(collection, id) {
+    const raw = await this.client.get(this._key(collection, id));
+    return raw === null ? null : JSON.parse(raw);
+  }
+
+  async has(collection, id) {
+    return (await this.client.exists(this._key(collection, id))) === 1;
+  }
+
+  async set(collection, id, value, options = {}) {
+    await this.client.multi()
+      .set(this._key(collection, id), JSON.stringify(value), ...this._setArgs(options))
+      .sadd(this._indexKey(collection), id)
+      .exec();
+    return value;
+  }
+
+  // Read-modify-write with optimistic locking. The mutator may edit the value
+  // in place or return a replacement, and may run more than once on conflict.
+  update(collection, id, mutator, options = {}) {
+    const key = this._key(collection, id);
+    const setArgs = this._setArgs({ keepTtl: true, ...options });
+
+    return this._tx(async (tx) => {
+      for (let attempt = 0; attempt < MAX_UPDATE_RETRIES; attempt++) {
+        await tx.watch(key);
+        const raw = await tx.get(key);
+        if (raw === null) {
+          await tx.unwatch();
+          return null;
+        }
+
+        const current = JSON.parse(raw);
+        let next;
+        try {
+          const result = mutator(current);
+          next = result === undefined ? current : result;
+        } catch (err) {
+          await tx.unwatch();
+          throw err;
+        }
+
+        const committed = await tx.multi()
+          .set(key, JSON.stringify(next), ...setArgs)
+          .exec();
+        if (committed !== null) return next;
+      }
+      throw new Error(`Too much contention updating ${key}`);
+    });
+  }
+
+  async delete(collection, id) {
+    const [[, removed]] = await this.client.multi()
+      .del(this._key(collection, id))
+      .srem(this._indexKey(collection), id)
+      .exec();
+    return removed === 1;
+  }
+
+  async list(collection) {
+    const ids = await this.client.smembers(this._indexKey(collection));
+    if (ids.length === 0) return [];
+
+    const raws = await this.client.mget(ids.map(id => this._key(collection, id)));
+    const values = [];
+    const expired = [];
+
+    raws.forEach((raw, i) => {
+      if (raw === null) {
+        expired.push(ids[i]);
+      } else {
+        values.push(JSON.parse(raw));
+      }
+    });
+
+    if (expired.length > 0) {
+      await this.client.srem(this._indexKey(collection), ...expired);
+    }
+    return values;
+  }
+
+  async count(collection) {
+    return (await this.list(collection)).length;
+  }
+
+  async publish(channel, message) {
+    await this.client.publish(this._key('channel', channel), JSON.stringify(message));
+  }
+
+  async subscribe(channel, handler) {
+    const key = this._key('channel', channel);
+
+    if (!this.subClient) {
+      this.subClient = this.client.duplicate();
+      this.subClient.on('error', (err) => {
+        log.error('Redis subscriber error', { err });
+      });
+      this.subClient.on('message', (ch, raw) => {
+        const handlers = this.handlers.get(ch);
+        if (!handlers) return;
+
+        let message;
+        try {
+          message = JSON.parse(raw);
+        } catch (err) {
+          log.error('Invalid pub/sub message', { channel: ch, err });
+          return;
+        }
+        handlers.forEach(h => h(message));
+      });
+    }
+
+    if (!this.handlers.has(key)) {
+      this.handlers.set(key, new Set());
+      await this.subClient.subscribe(key);
+    }
+    this.handlers.get(key).add(handler);
+
+    return async () => {
+      const handlers = this.handlers.get(key);
+      if (!handlers) return;
+      handlers.delete(handler);
+      if (handlers.size === 0) {
+        this.handlers.delete(key);
+        await this.subClient.unsubscribe(key);
+      }
+    };
+  }
+
+  async close() {
+    if (this.subClient) await this.subClient.quit();
+    if (this.txClient) await this.txClient.quit();
+    await this.client.quit();
+  }
+}
+
+module.exports = RedisStore;
@@ -0,0 +1,363 @@
+/**
+ * STUN message encoding/decoding (RFC 5389)
+ *
+ * Just enough of the wire format for a STUN/TURN server: header parsing with
+ * magic cookie and transaction ID, TLV attributes, (XOR-)MAPPED-ADDRESS,
+ * ERROR-CODE, UNKNOWN-ATTRIBUTES, SOFTWARE, MESSAGE-INTEGRITY, FINGERPRINT,
+ * the TURN (RFC 5766/8656) methods and attributes, and the RFC 5780 NAT
+ * behavior discovery attributes.
+ */
+
+const crypto = require('crypto');
+
+const MAGIC_COOKIE = 0x2112a442;
+const HEADER_LENGTH = 20;
+const FINGERPRINT_XOR = 0x5354554e;
+
+const METHOD = {
+  BINDING: 0x001,
+  // TURN
+  ALLOCATE: 0x003,
+  REFRESH: 0x004,
+  SEND: 0x006,
+  DATA: 0x007,
+  CREATE_PERMISSION: 0x008,
+  CHANNEL_BIND: 0x009
+};
+
+const CLASS = {
+  REQUEST: 0b00,
+  INDICATION: 0b01,
+  SUCCESS: 0b10,
+  ERROR: 0b11
+};
+
+const ATTR = {
+  MAPPED_ADDRESS: 0x0001,
+  // RFC 5780
+  CHANGE_REQUEST: 0x0003,
+  USERNAME: 0x0006,
+  MESSAGE_INTEGRITY: 0x0008,
+  ERROR_CODE: 0x0009,
+  UNKNOWN_ATTRIBUTES: 0x000a,
+  // TURN
+  CHANNEL_NUMBER: 0x000c,
+  LIFETIME: 0x000d,
+  XOR_PEER_ADDRESS: 0x0012,
+  DATA: 0x0013,
+  REALM: 0x0014,
+  NONCE: 0x0015,
+  XOR_RELAYED_ADDRESS: 0x0016,
+  REQUESTED_ADDRESS_FAMILY: 0x0017,
+  REQUESTED_TRANSPORT: 0x0019,
+  XOR_MAPPED_ADDRESS: 0x0020,
+  // ICE (RFC 8445) - some agents include these when probing a STUN server
+  PRIORITY: 0x0024,
+  USE_CANDIDATE: 0x0025,
+  SOFTWARE: 0x8022,
+  ALTERNATE_SERVER: 0x8023,
+  FINGERPRINT: 0x8028,
+  // RFC 5780
+  RESPONSE_ORIGIN: 0x802b,
+  OTHER_ADDRESS: 0x802c
+};
+
+// Attributes this server understands in requests. Anything else in the
+// comprehension-required range (0x0000-0x7FFF) must be rejected with a 420,
+// which is also how unsupported TURN options (EVEN-PORT, DONT-FRAGMENT,
+// RESERVATION-TOKEN) are refused.
+const KNOWN_ATTRIBUTES = new Set(Object.values(ATTR));
+
+const ERROR_REASONS = {
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  420: 'Unknown Attribute',
+  437: 'Allocation Mismatch',
+  438: 'Stale Nonce',
+  440: 'Address Family not Supported',
+  441: 'Wrong Credentials',
+  442: 'Unsupported Transport Protocol',
+  486: 'Allocation Quota Reached',
+  500: 'Server Error',
+  508: 'Insufficient Capacity'
+};
+
+// CRC-32 (IEEE) for FINGERPRINT
+const CRC_TABLE = new Int32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  CRC_TABLE[n] = c;
+}
+
+function crc32(buf) {
+  let crc = -1;
+  for (let i = 0; i < buf.length; i++) {
+    crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+function encodeType(method, cls) {
+  return (method & 0x000f) |
+    ((method & 0x0070) << 1) |
+    ((method & 0x0f80) << 2) |
+    ((cls & 0b01) << 4) |
+    ((cls & 0b10) << 7);
+}
+
+function decodeType(type) {
+  return {
+    method: (type & 0x000f) | ((type & 0x00e0) >> 1) | ((type & 0x3e00) >> 2),
+    cls: ((type & 0x0010) >> 4) | ((type & 0x0100) >> 7)
+  };
+}
+
+// Cheap check used to demultiplex STUN from other UDP traffic on the port
+function isStunMessage(buf) {
+  return buf.length >= HEADER_LENGTH &&
+    (buf[0] & 0xc0) === 0 &&
+    buf.readUInt32BE(4) === MAGIC_COOKIE &&
+    buf.readUInt16BE(2) % 4 === 0 &&
+    buf.readUInt16BE(2) + HEADER_LENGTH === buf.length;
+}
+
+// Parse a STUN message. Throws on malformed input.
+function decode(buf) {
+  if (!isStunMessage(buf)) {
+    throw new Error('Not a STUN message');
+  }
+
+  const { method, cls } = decodeType(buf.readUInt16BE(0));
+  const transactionId = buf.subarray(8, HEADER_LENGTH);
+  const attributes = [];
+  let signed = false;
+
+  let offset = HEADER_LENGTH;
+  while (offset + 4 <= buf.length) {
+    const type = buf.readUInt16BE(offset);
+    const length = buf.readUInt16BE(offset + 2);
+    const start = offset + 4;
+    if (start + length > buf.length) {
+      throw new Error('Truncated STUN attribute');
+    }
+
+    // MESSAGE-INTEGRITY doesn't cover what follows it, so everything after
+    // it but FINGERPRINT is ignored (RFC 5389 15.4). `offset` is kept so
+    // MESSAGE-INTEGRITY/FINGERPRINT can be verified.
+    if (!signed || type === ATTR.FINGERPRINT) {
+      attributes.push({ type, value: buf.subarray(start, start + length), offset });
+    }
+    if (type === ATTR.MESSAGE_INTEGRITY) signed = true;
+    offset = start + length + ((4 - (length % 4)) % 4);
+  }
+
+  return { method, cls, transactionId, attributes, raw: buf };
+}
+
+function getAttribute(message, type) {
+  const attr = message.attributes.find(a => a.type === type);
+  return attr ? attr.value : null;
+}
+
+// Comprehension-required attributes this server doesn't understand
+function unknownRequiredAttributes(message) {
+  return message.attributes
+    .map(a => a.type)
+    .filter(type => type < 0x8000 && !KNOWN_ATTRIBUTES.has(type));
+}
+
+// Verify FINGERPRINT if present (it must be the last attribute)
+function checkFingerprint(message) {
+  const last = message.attributes[message.attributes.length - 1];
+  if (!last || last.type !== ATTR.FINGERPRINT) return true;
+
+  const expected = (crc32(message.raw.subarray(0, last.offset)) ^ FINGERPRINT_XOR) >>> 0;
+  return last.value.length === 4 && last.value.readUInt32BE(0) === expected;
+}
+
+// Long-term credential key (RFC 5389 15.4)
+function longTermKey(username, realm, password) {
+  return crypto.createHash('md5').update(`${username}:${realm}:${password}`).digest();
+}
+
+// Returns an `integrity` function for encode() using the given key
+function hmacSha1(key) {
+  return (buf) => crypto.createHmac('sha1', key).update(buf).digest();
+}
+
+// Verify MESSAGE-INTEGRITY against a key. The HMAC covers the message up to
+// the attribute, with the header length adjusted to end just after it.
+function checkIntegrity(message, key) {
+  const attr = message.attributes.find(a => a.type === ATTR.MESSAGE_INTEGRITY);
+  if (!attr || attr.value.length !== 20) return false;
+
+  const signed = Buffer.from(message.raw.subarray(0, attr.offset));
+  signed.writeUInt16BE(attr.offset - HEADER_LENGTH + 24, 2);
+
+  const expected = hmacSha1(key)(signed);
+  return crypto.timingSafeEqual(expected, attr.value);
+}
+
+function encodeAddress(address, port, { xor = false, transactionId } = {}) {
+  const isIPv6 = address.includes(':');
+  const addr = isIPv6 ? ipv6ToBuffer(address) : ipv4ToBuffer(address);
+  const buf = Buffer.alloc(4 + addr.length);
+
+  buf[1] = isIPv6 ? 0x02 : 0x01;
+  buf.writeUInt16BE(xor ? port ^ (MAGIC_COOKIE >>> 16) : port, 2);
+
+  if (xor) {
+    const mask = Buffer.alloc(16);
+    mask.writeUInt32BE(MAGIC_COOKIE, 0);
+    transactionId.copy(mask, 4);
+    for (let i = 0; i < addr.length; i++) addr[i] ^= mask[i];
+  }
+  addr.copy(buf, 4);
+  return buf;
+}
+
+function decodeAddress(value, { xor = false, transactionId } = {}) {
+  const family = value[1];
+  const length = family === 0x02 ? 16 : 4;
+  if (value.length < 4 + length) {
+    throw new Error('Truncated STUN address');
+  }
+
+  let port = value.readUInt16BE(2);
+  const addr = Buffer.from(value.subarray(4, 4 + length));
+
+  if (xor) {
+    port ^= MAGIC_COOKIE >>> 16;
+    const mask = Buffer.alloc(16);
+    mask.writeUInt32BE(MAGIC_COOKIE, 0);
+    transactionId.copy(mask, 4);
+    for (let i = 0; i < addr.length; i++) addr[i] ^= mask[i];
+  }
+
+  const address = family === 0x02
+    ? Array.from({ length: 8 }, (_, i) => addr.readUInt16BE(i * 2).toString(16)).join(':')
+    : Array.from(addr).join('.');
+  return { address, port, family: family === 0x02 ? 'IPv6' : 'IPv4' };
+}
+
+function ipv4ToBuffer(address) {
+  // Unwrap IPv4-mapped IPv6 addresses such as ::ffff:203.0.113.5
+  const parts = address.replace(/^::ffff:/i, '').split('.').map(Number);
+  return Buffer.from(parts);
+}
+
+function ipv6ToBuffer(address) {
+  if (/^::ffff:\d+\.\d+\.\d+\.\d+$/i.test(address)) {
+    return ipv4ToBuffer(address);
+  }
+
+  const [head, tail = ''] = address.split('::');
+  const headParts = head ? head.split(':') : [];
+  const tailParts = tail ? tail.split(':') : [];
+  const missing = address.includes('::') ? 8 - headParts.length - tailParts.length : 0;
+  const groups = [...headParts, ...Array(missing).fill('0'), ...tailParts];
+
+  const buf = Buffer.alloc(16);
+  groups.forEach((group, i) => buf.writeUInt16BE(parseInt(group, 16) || 0, i * 2));
+  return buf;
+}
+
+// CHANGE-REQUEST flags (RFC 5780 7.2)
+function decodeChangeRequest(value) {
+  const flags = value && value.length >= 4 ? value.readUInt32BE(0) : 0;
+  return { changeIP: (flags & 0x4) !== 0, changePort: (flags & 0x2) !== 0 };
+}
+
+function encodeErrorCode(code, reason = ERROR_REASONS[code] || '') {
+  const text = Buffer.from(reason, 'utf8');
+  const buf = Buffer.alloc(4 + text.length);
+  buf[2] = Math.floor(code / 100);
+  buf[3] = code % 100;
+  text.copy(buf, 4);
+  return buf;
+}
+
+function encodeUnknownAttributes(types) {
+  const buf = Buffer.alloc(types.length * 2);
+  types.forEach((type, i) => buf.writeUInt16BE(type, i * 2));
+  return buf;
+}
+
+function writeAttribute(type, value) {
+  const padding = (4 - (value.length % 4)) % 4;
+  const buf = Buffer.alloc(4 + value.length + padding);
+  buf.writeUInt16BE(type, 0);
+  buf.writeUInt16BE(value.length, 2);
+  value.copy(buf, 4);
+  return buf;
+}
+
+// Build a STUN message. Options:
+//   integrity(buffer) -> 20-byte HMAC, appends MESSAGE-INTEGRITY
+//   fingerprint (default true), appends FINGERPRINT
+function encode({ method, cls, transactionId, attributes = [] }, options = {}) {
+  const { integrity = null, fingerprint = true } = options;
+
+  const header = Buffer.alloc(HEADER_LENGTH);
+  header.writeUInt16BE(encodeType(method, cls), 0);
+  header.writeUInt32BE(MAGIC_COOKIE, 4);
+  transactionId.copy(header, 8);
+
+  let body = Buffer.concat(attributes.map(({ type, value }) => writeAttribute(type, value)));
+
+  // Length fields cover attributes up to and including the one being added
+  if (integrity) {
+    header.writeUInt16BE(body.length + 24, 2);
+    const mac = integrity(Buffer.concat([header, body]));
+    body = Buffer.concat([body, writeAttribute(ATTR.MESSAGE_INTEGRITY, mac)]);
+  }
+
+  if (fingerprint) {
+    header.writeUInt16BE(body.length + 8, 2);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE((crc32(Buffer.concat([header, body])) ^ FINGERPRINT_XOR) >>> 0, 0);
+    body = Buffer.concat([body, writeAttribute(ATTR.FINGERPRINT, crc)]);
+  }
+
+  header.writeUInt16BE(body.length, 2);
+  return Buffer.concat([header, body]);
+}
+
+function errorResponse(request, code, extraAttributes = [], options = {}) {
+  return encode({
+    method: request.method,
+    cls: CLASS.ERROR,
+    transactionId: request.transactionId,
+    attributes: [
+      { type: ATTR.ERROR_CODE, value: encodeErrorCode(code) },
+      ...extraAttributes
+    ]
+  }, options);
+}
+
+module.exports = {
+  MAGIC_COOKIE,
+  METHOD,
+  CLASS,
+  ATTR,
+  crc32,
+  isStunMessage,
+  decode,
+  encode,
+  getAttribute,
+  unknownRequiredAttributes,
+  checkFingerprint,
+  longTermKey,
+  hmacSha1,
+  checkIntegrity,
+  encodeAddress,
+  decodeAddress,
+  decodeChangeRequest,
+  encodeErrorCode,
+  encodeUnknownAttributes,
+  errorResponse
+};
@@ -0,0 +1,160 @@
+/**
+ * Connection outcome telemetry
+ *
+ * Once a peer-to-peer connection attempt is over, each side can report how
+ * it ended: `direct` (hole-punched or on the same LAN), `relayed` (through
+ * TURN) or `failed`, with the time it took. Reports are stored with the host
+ * they were for, the reporter's network (see nat.networkOf) and NAT type,
+ * and expire after the retention period. summarize() aggregates them per
+ * host, network or NAT type.
+ */
+
+const crypto = require('crypto');
+const { NAT_TYPE } = require('./nat');
+
+const RESULT = {
+  DIRECT: 'direct',
+  RELAYED: 'relayed',
+  FAILED: 'failed'
+};
+
+// ICE candidate types of the pair that was finally used
+const CANDIDATE_TYPES = ['host', 'srflx', 'prflx', 'relay'];
+
+const GROUP_BY = {
+  host: report => report.hostId,
+  network: report => report.network,
+  natType: report => report.natType
+};
+
+const MAX_TIME_TO_CONNECT_MS = 10 * 60 * 1000;
+const MAX_ERROR_LENGTH = 200;
+
+const DURATION = /^(\d+(?:\.\d+)?)(m|h|d)$/;
+const DURATION_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Validate the fields a peer reports. Returns { report } or { error }.
+function normalizeReport(input) {
+  if (!input || typeof input !== 'object') return { error: 'Report must be an object' };
+
+  const { result, timeToConnectMs, candidateType, natType, error } = input;
+  if (!Object.values(RESULT).includes(result)) {
+    return { error: `result must be one of ${Object.values(RESULT).join(', ')}` };
+  }
+  if (timeToConnectMs !== undefined &&
+    !(Number.isInteger(timeToConnectMs) && timeToConnectMs >= 0 && timeToConnectMs <= MAX_TIME_TO_CONNECT_MS)) {
+    return { error: `timeToConnectMs must be an integer from 0 to ${MAX_TIME_TO_CONNECT_MS}` };
+  }
+  if (candidateType !== undefined && !CANDIDATE_TYPES.includes(candidateType)) {
+    return { error: `candidateType must be one of ${CANDIDATE_TYPES.join(', ')}` };
+  }
+  if (natType !== undefined && !Object.values(NAT_TYPE).includes(natType)) {
+    return { error: `natType must be one of ${Object.values(NAT_TYPE).join(', ')}` };
+  }
+  if (error !== undefined && (typeof error !== 'string' || error.length > MAX_ERROR_LENGTH)) {
+    return { error: `error must be a string of at most ${MAX_ERROR_LENGTH} characters` };
+  }
+
+  return {
+    report: {
+      result,
+      timeToConnectMs: timeToConnectMs ?? null,
+      candidateType: candidateType || null,
+      natType: natType || null,
+      error: error || null
+    }
+  };
+}
+
+// Filters for summarize() from a query string. Returns { filters } or { error }.
+function parseQuery(query) {
+  const filters = {};
+
+  for (const field of ['hostId', 'network', 'natType']) {
+    if (typeof query[field] === 'string' && query[field]) filters[field] = query[field];
+  }
+
+  if (query.since !== undefined) {
+    const match = DURATION.exec(query.since);
+    if (!match) return { error: 'since must be a duration like 30m, 24h or 7d' };
+    filters.from = Date.now() - parseFloat(match[1]) * DURATION_MS[match[2]];
+  }
+
+  if (query.groupBy !== undefined) {
+    if (!GROUP_BY[query.groupBy]) return { error: `groupBy must be one of ${Object.keys(GROUP_BY).join(', ')}` };
+    filters.groupBy = query.groupBy;
+  }
+  return { filters };
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+}
+
+// Counts, rates and time-to-connect percentiles for a set of reports
+function aggregate(reports) {
+  const counts = { direct: 0, relayed: 0, failed: 0 };
+  for (const report of reports) counts[report.result]++;
+
+  const times = reports
+    .filter(r => r.result !== RESULT.FAILED && r.timeToConnectMs !== null)
+    .map(r => r.timeToConnectMs)
+    .sort((a, b) => a - b);
+
+  const total = reports.length;
+  return {
+    reports: total,
+    ...counts,
+    successRate: total ? (counts.direct + counts.relayed) / total : null,
+    directRate: total ? counts.direct / total : null,
+    timeToConnectMs: { p50: percentile(times, 0.5), p90: percentile(times, 0.9) }
+  };
+}
+
+class ConnectionTelemetry {
+  constructor({ store, retentionMs }) {
+    this.store = store;
+    this.retentionMs = retentionMs;
+  }
+
+  // `report` from normalizeReport(), plus who reported it
+  async record(report, { hostId, sessionCode, role, network }) {
+    const record = {
+      id: crypto.randomBytes(8).toString('hex'),
+      ...report,
+      hostId: hostId || null,
+      sessionCode: sessionCode || null,
+      role,
+      network: network || null,
+      reportedAt: Date.now()
+    };
+    await this.store.set('outcomes', record.id, record, { ttlMs: this.retentionMs });
+    return record;
+  }
+
+  async summarize(filters = {}) {
+    const reports = (await this.store.list('outcomes')).filter(report =>
+      (!filters.hostId || report.hostId === filters.hostId) &&
+      (!filters.network || report.network === filters.network) &&
+      (!filters.natType || report.natType === filters.natType) &&
+      (!filters.from || report.reportedAt >= filters.from)
+    );
+
+    const summary = aggregate(reports);
+    if (!filters.groupBy) return summary;
+
+    const groups = new Map();
+    for (const report of reports) {
+      const key = GROUP_BY[filters.groupBy](report) ?? 'unknown';
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(report);
+    }
+
+    summary.groups = Array.from(groups, ([key, members]) => ({ [filters.groupBy]: key, ...aggregate(members) }))
+      .sort((a, b) => b.reports - a.reports);
+    return summary;
+  }
+}
+
+module.exports = { ConnectionTelemetry, RESULT, CANDIDATE_TYPES, normalizeReport, parseQuery };
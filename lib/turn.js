@@ -0,0 +1,620 @@
+/**
+ * TURN relay server (RFC 5766 / RFC 8656, UDP transport)
+ *
+ * Shares the STUN UDP socket: the server hands TURN requests and ChannelData
+ * to this module. Each allocation gets its own relay socket; traffic between
+ * the client and permitted peers is relayed through it as Send/Data
+ * indications or ChannelData.
+ *
+ * Authentication uses time-limited credentials in the "TURN REST API"
+ * format understood by WebRTC stacks:
+ *   username   = "<unix expiry>:<userId>"
+ *   credential = base64(HMAC-SHA1(secret, username))
+ * Nonces are stateless (timestamp + HMAC), so any node sharing the secret
+ * can validate them.
+ */
+
+const crypto = require('crypto');
+const dgram = require('dgram');
+const net = require('net');
+const os = require('os');
+const stun = require('./stun');
+const log = require('./logger').logger.child({ component: 'turn' });
+
+const DEFAULT_LIFETIME_S = 600;
+const MAX_LIFETIME_S = 3600;
+const PERMISSION_LIFETIME_MS = 300 * 1000;
+const CHANNEL_LIFETIME_MS = 600 * 1000;
+const NONCE_LIFETIME_MS = 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 30 * 1000;
+
+// Channel numbers clients may bind (RFC 8656 12). Keeping to 0x4000-0x4FFF
+// means ChannelData never starts with '{' like legacy JSON datagrams do.
+const MIN_CHANNEL = 0x4000;
+const MAX_CHANNEL = 0x4fff;
+
+// Methods handled here rather than by the STUN binding server
+const TURN_METHODS = new Set([
+  stun.METHOD.ALLOCATE,
+  stun.METHOD.REFRESH,
+  stun.METHOD.SEND,
+  stun.METHOD.CREATE_PERMISSION,
+  stun.METHOD.CHANNEL_BIND
+]);
+
+function isTurnMethod(method) {
+  return TURN_METHODS.has(method);
+}
+
+// ChannelData messages start with a channel number in 0x4000-0x4FFF
+function isChannelData(buf) {
+  return buf.length >= 4 && buf[0] >= 0x40 && buf[0] <= 0x4f;
+}
+
+// REQUESTED-TRANSPORT value for UDP
+const TRANSPORT_UDP = 17;
+
+// Peers a client may not relay to: this host, private networks and other
+// addresses that aren't reachable on the internet. Relaying there would let
+// any TURN user reach the server's internal network.
+const RESTRICTED_PEERS = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 3, 'ipv4'],
+  ['::', 127, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+// BlockList of CIDRs ("10.1.0.0/16", "192.168.1.20")
+function addressList(ranges) {
+  const list = new net.BlockList();
+  for (const [address, prefix, family] of ranges) list.addSubnet(address, prefix, family);
+  return list;
+}
+
+function parseRanges(specs) {
+  return specs.map((spec) => {
+    const [address, prefix] = String(spec).trim().split('/');
+    const family = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    if (!net.isIP(address)) throw new Error(`Invalid TURN peer range "${spec}"`);
+    return [address, prefix === undefined ? (family === 'ipv6' ? 128 : 32) : parseInt(prefix, 10), family];
+  });
+}
+
+// First non-internal IPv4 address, used when no external IP is configured
+function detectExternalIP() {
+  for (const addresses of Object.values(os.networkInterfaces())) {
+    for (const addr of addresses || []) {
+      if (addr.family === 'IPv4' && !addr.internal) return addr.address;
+    }
+  }
+  return '127.0.0.1';
+}
+
+// Simple token bucket measured in bytes
+class ByteBucket {
+  constructor(bytesPerSecond) {
+    this.rate = bytesPerSecond;
+    this.tokens = bytesPerSecond;
+    this.updatedAt = Date.now();
+  }
+
+  take(bytes) {
+    const now = Date.now();
+    this.tokens = Math.min(this.rate, this.tokens + ((now - this.updatedAt) / 1000) * this.rate);
+    this.updatedAt = now;
+
+    if (this.tokens < bytes) return false;
+    this.tokens -= bytes;
+    return true;
+  }
+}
+
+class TurnServer {
+  constructor(options) {
+    this.socket = options.socket;
+    this.secret = options.secret;
+    this.realm = options.realm || 'ndibridge';
+    this.software = options.software;
+    this.externalIP = options.externalIP || detectExternalIP();
+    this.publicHost = options.publicHost || this.externalIP;
+    this.port = options.port;
+    this.credentialTtlS = options.credentialTtlS || 24 * 60 * 60;
+    this.maxAllocations = options.maxAllocations || 500;
+    this.maxAllocationsPerUser = options.maxAllocationsPerUser || 10;
+    this.maxBytesPerSecond = Math.floor((options.maxKbps || 20000) * 1000 / 8);
+    this.minPort = options.minPort || 0;
+    this.maxPort = options.maxPort || 0;
+
+    // Restricted peer addresses can be opened up with allowedPeers (CIDRs),
+    // e.g. for relaying between hosts on the same private network
+    this.restrictedPeers = addressList(RESTRICTED_PEERS);
+    this.allowedPeers = addressList(parseRanges(options.allowedPeers || []));
+
+    // Allocations keyed by client 5-tuple ("address:port" on our one socket)
+    this.allocations = new Map();
+
+    this.sweeper = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweeper.unref();
+  }
+
+  // Time-limited credentials for the REST endpoints to hand out
+  createCredentials(userId) {
+    const expiresAt = Math.floor(Date.now() / 1000) + this.credentialTtlS;
+    const username = `${expiresAt}:${userId}`;
+
+    return {
+      urls: [
+        `stun:${this.publicHost}:${this.port}`,
+        `turn:${this.publicHost}:${this.port}?transport=udp`
+      ],
+      username,
+      credential: this._password(username),
+      ttl: this.credentialTtlS
+    };
+  }
+
+  get allocationCount() {
+    return this.allocations.size;
+  }
+
+  // Entry point for TURN-method STUN messages
+  async handleMessage(message, rinfo) {
+    const key = `${rinfo.address}:${rinfo.port}`;
+
+    if (message.cls === stun.CLASS.INDICATION) {
+      if (message.method === stun.METHOD.SEND) this._handleSend(key, message);
+      return;
+    }
+    if (message.cls !== stun.CLASS.REQUEST) return;
+
+    const auth = this._authenticate(message, rinfo);
+    if (!auth) return;
+
+    const allocation = this.allocations.get(key);
+    if (allocation && message.method !== stun.METHOD.ALLOCATE && allocation.username !== auth.username) {
+      this._reply(rinfo, stun.errorResponse(message, 441, [], { integrity: auth.integrity }));
+      return;
+    }
+
+    switch (message.method) {
+      case stun.METHOD.ALLOCATE:
+        await this._handleAllocate(key, message, rinfo, auth);
+        break;
+      case stun.METHOD.REFRESH:
+        this._handleRefresh(key, message, rinfo, auth);
+        break;
+      case stun.METHOD.CREATE_PERMISSION:
+        this._handleCreatePermission(key, message, rinfo, auth);
+        break;
+      case stun.METHOD.CHANNEL_BIND:
+        this._handleChannelBind(key, message, rinfo, auth);
+        break;
+      default:
+        this._reply(rinfo, stun.errorResponse(message, 400, [], { integrity: auth.integrity }));
+    }
+  }
+
+  // ChannelData from a client: 2-byte channel number, 2-byte length, data
+  handleChannelData(msg, rinfo) {
+    if (msg.length < 4) return;
+
+    const allocation = this.allocations.get(`${rinfo.address}:${rinfo.port}`);
+    if (!allocation) return;
+
+    const channel = allocation.channels.get(msg.readUInt16BE(0));
+    const length = msg.readUInt16BE(2);
+    if (!channel || channel.expiresAt <= Date.now() || msg.length < 4 + length) return;
+
+    this._relayToPeer(allocation, msg.subarray(4, 4 + length), channel.address, channel.port);
+  }
+
+  async close() {
+    clearInterval(this.sweeper);
+    for (const key of Array.from(this.allocations.keys())) {
+      this._deallocate(key);
+    }
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, allocation] of this.allocations.entries()) {
+      if (allocation.expiresAt <= now) {
+        log.info('TURN allocation expired', { allocation: key });
+        this._deallocate(key);
+        continue;
+      }
+      for (const [ip, expiresAt] of allocation.permissions.entries()) {
+        if (expiresAt <= now) allocation.permissions.delete(ip);
+      }
+      for (const [number, channel] of allocation.channels.entries()) {
+        if (channel.expiresAt <= now) {
+          allocation.channels.delete(number);
+          allocation.peerChannels.delete(`${channel.address}:${channel.port}`);
+        }
+      }
+    }
+  }
+
+  _password(username) {
+    return crypto.createHmac('sha1', this.secret).update(username).digest('base64');
+  }
+
+  _nonce() {
+    const timestamp = Date.now().toString(36);
+    const mac = crypto.createHmac('sha1', this.secret).update(timestamp).digest('hex').slice(0, 16);
+    return `${timestamp}.${mac}`;
+  }
+
+  _nonceState(nonce) {
+    const [timestamp, mac] = nonce.split('.');
+    const expected = crypto.createHmac('sha1', this.secret).update(timestamp || '').digest('hex').slice(0, 16);
+    const given = Buffer.from(mac || '');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, Buffer.from(expected))) return 'invalid';
+    if (Date.now() - parseInt(timestamp, 36) > NONCE_LIFETIME_MS) return 'stale';
+    return 'valid';
+  }
+
+  _challenge(message, rinfo, code) {
+    this._reply(rinfo, stun.errorResponse(message, code, [
+      { type: stun.ATTR.REALM, value: Buffer.from(this.realm) },
+      { type: stun.ATTR.NONCE, value: Buffer.from(this._nonce()) }
+    ]));
+  }
+
+  // Long-term credential check (RFC 5389 10.2). Sends the error response
+  // and returns null when the request isn't authenticated.
+  _authenticate(message, rinfo) {
+    const username = stun.getAttribute(message, stun.ATTR.USERNAME);
+    const realm = stun.getAttribute(message, stun.ATTR.REALM);
+    const nonce = stun.getAttribute(message, stun.ATTR.NONCE);
+    const hasIntegrity = !!stun.getAttribute(message, stun.ATTR.MESSAGE_INTEGRITY);
+
+    if (!hasIntegrity) {
+      this._challenge(message, rinfo, 401);
+      return null;
+    }
+    if (!username || !realm || !nonce) {
+      this._reply(rinfo, stun.errorResponse(message, 400));
+      return null;
+    }
+
+    const nonceState = this._nonceState(nonce.toString('utf8'));
+    if (nonceState === 'invalid') {
+      this._challenge(message, rinfo, 401);
+      return null;
+    }
+
+    const name = username.toString('utf8');
+    const key = stun.longTermKey(name, realm.toString('utf8'), this._password(name));
+    if (realm.toString('utf8') !== this.realm || !stun.checkIntegrity(message, key)) {
+      this._challenge(message, rinfo, 401);
+      return null;
+    }
+    if (nonceState === 'stale') {
+      this._challenge(message, rinfo, 438);
+      return null;
+    }
+
+    // Credentials only need to be current when the allocation is created
+    const expiresAt = parseInt(name.split(':')[0], 10);
+    if (message.method === stun.METHOD.ALLOCATE && !(expiresAt * 1000 > Date.now())) {
+      this._challenge(message, rinfo, 401);
+      return null;
+    }
+
+    return { username: name, integrity: stun.hmacSha1(key) };
+  }
+
+  _reply(rinfo, buffer) {
+    this.socket.send(buffer, rinfo.port, rinfo.address, (err) => {
+      if (err) log.error('Failed to send TURN response', { remoteIP: rinfo.address, remotePort: rinfo.port, err });
+    });
+  }
+
+  _success(message, rinfo, auth, attributes = []) {
+    const response = stun.encode({
+      method: message.method,
+      cls: stun.CLASS.SUCCESS,
+      transactionId: message.transactionId,
+      attributes: [...attributes, { type: stun.ATTR.SOFTWARE, value: Buffer.from(this.software) }]
+    }, { integrity: auth.integrity });
+    this._reply(rinfo, response);
+    return response;
+  }
+
+  _lifetime(message) {
+    const value = stun.getAttribute(message, stun.ATTR.LIFETIME);
+    const requested = value && value.length === 4 ? value.readUInt32BE(0) : DEFAULT_LIFETIME_S;
+    return Math.min(requested, MAX_LIFETIME_S);
+  }
+
+  _lifetimeAttr(seconds) {
+    const value = Buffer.alloc(4);
+    value.writeUInt32BE(seconds, 0);
+    return { type: stun.ATTR.LIFETIME, value };
+  }
+
+  _peerAddresses(message) {
+    return message.attributes
+      .filter(a => a.type === stun.ATTR.XOR_PEER_ADDRESS)
+      .map(a => stun.decodeAddress(a.value, { xor: true, transactionId: message.transactionId }));
+  }
+
+  // Answer an Allocate for a 5-tuple that already has an allocation
+  _replyExisting(existing, message, rinfo, auth) {
+    // Retransmission of the request that created it gets the same answer
+    if (existing.transactionId.equals(message.transactionId)) {
+      this._reply(rinfo, existing.allocateResponse);
+    } else {
+      this._reply(rinfo, stun.errorResponse(message, 437, [], { integrity: auth.integrity }));
+    }
+  }
+
+  async _handleAllocate(key, message, rinfo, auth) {
+    const existing = this.allocations.get(key);
+    if (existing) {
+      this._replyExisting(existing, message, rinfo, auth);
+      return;
+    }
+
+    const transport = stun.getAttribute(message, stun.ATTR.REQUESTED_TRANSPORT);
+    if (!transport) {
+      this._reply(rinfo, stun.errorResponse(message, 400, [], { integrity: auth.integrity }));
+      return;
+    }
+    if (transport[0] !== TRANSPORT_UDP) {
+      this._reply(rinfo, stun.errorResponse(message, 442, [], { integrity: auth.integrity }));
+      return;
+    }
+
+    const family = stun.getAttribute(message, stun.ATTR.REQUESTED_ADDRESS_FAMILY);
+    if (family && family[0] !== 0x01) {
+      this._reply(rinfo, stun.errorResponse(message, 440, [], { integrity: auth.integrity }));
+      return;
+    }
+
+    const userAllocations = Array.from(this.allocations.values()).filter(a => a.username === auth.username);
+    if (userAllocations.length >= this.maxAllocationsPerUser) {
+      this._reply(rinfo, stun.errorResponse(message, 486, [], { integrity: auth.integrity }));
+      return;
+    }
+
+    let relaySocket;
+    try {
+      if (this.allocations.size >= this.maxAllocations) throw new Error('Allocation limit reached');
+      relaySocket = await this._bindRelaySocket();
+    } catch (err) {
+      log.warn('TURN allocation refused', { allocation: key, err });
+      this._reply(rinfo, stun.errorResponse(message, 508, [], { integrity: auth.integrity }));
+      return;
+    }
+
+    // Another Allocate from the same 5-tuple (a retransmission) may have
+    // finished while the relay socket was being bound
+    const raced = this.allocations.get(key);
+    if (raced) {
+      relaySocket.close();
+      this._replyExisting(raced, message, rinfo, auth);
+      return;
+    }
+
+    const lifetime = Math.max(this._lifetime(message), 1);
+    const allocation = {
+      key,
+      client: { address: rinfo.address, port: rinfo.port },
+      username: auth.username,
+      transactionId: Buffer.from(message.transactionId),
+      relaySocket,
+      relayPort: relaySocket.address().port,
+      expiresAt: Date.now() + lifetime * 1000,
+      permissions: new Map(),   // peer IP -> expiry
+      channels: new Map(),      // channel number -> { address, port, expiresAt }
+      peerChannels: new Map(),  // "ip:port" -> channel number
+      bandwidth: new ByteBucket(this.maxBytesPerSecond),
+      allocateResponse: null
+    };
+
+    relaySocket.on('message', (data, peer) => this._relayToClient(allocation, data, peer));
+    this.allocations.set(key, allocation);
+
+    allocation.allocateResponse = this._success(message, rinfo, auth, [
+      {
+        type: stun.ATTR.XOR_RELAYED_ADDRESS,
+        value: stun.encodeAddress(this.externalIP, allocation.relayPort, { xor: true, transactionId: message.transactionId })
+      },
+      this._lifetimeAttr(lifetime),
+      {
+        type: stun.ATTR.XOR_MAPPED_ADDRESS,
+        value: stun.encodeAddress(rinfo.address, rinfo.port, { xor: true, transactionId: message.transactionId })
+      }
+    ]);
+
+    log.info('TURN allocation created', { allocation: key, username: auth.username, relayPort: allocation.relayPort });
+  }
+
+  _handleRefresh(key, message, rinfo, auth) {
+    const allocation = this.allocations.get(key);
+    if (!allocation) {
+      this._reply(rinfo, stun.errorResponse(message, 437, [], { integrity: auth.integrity }));
+      return;
+    }
+
+    const lifetime = this._lifetime(message);
+    if (lifetime === 0) {
+      this._deallocate(key);
+      log.info('TURN allocation released', { allocation: key });
+    } else {
+      allocation.expiresAt = Date.now() + lifetime * 1000;
+    }
+
+    this._success(message, rinfo, auth, [this._lifetimeAttr(lifetime)]);
+  }
+
+  _handleCreatePermission(key, message, rinfo, auth) {
+    const allocation = this.allocations.get(key);
+    if (!allocation) {
+      this._reply(rinfo, stun.errorResponse(message, 437, [], { integrity: auth.integrity }));
+      return;
+    }
+
+    const peers = this._peerAddresses(message);
+    if (peers.length === 0) {
+      this._reply(rinfo, stun.errorResponse(message, 400, [], { integrity: auth.integrity }));
+      return;
+    }
+
+    if (!peers.every(peer => this._peerAllowed(peer.address))) {
+      this._reply(rinfo, stun.errorResponse(message, 403, [], { integrity: auth.integrity }));
+      return;
+    }
+
+    peers.forEach(peer => {
+      allocation.permissions.set(peer.address, Date.now() + PERMISSION_LIFETIME_MS);
+    });
+
+    this._success(message, rinfo, auth);
+  }
+
+  _handleChannelBind(key, message, rinfo, auth) {
+    const allocation = this.allocations.get(key);
+    if (!allocation) {
+      this._reply(rinfo, stun.errorResponse(message, 437, [], { integrity: auth.integrity }));
+      return;
+    }
+
+    const numberAttr = stun.getAttribute(message, stun.ATTR.CHANNEL_NUMBER);
+    const [peer] = this._peerAddresses(message);
+    const number = numberAttr && numberAttr.length >= 2 ? numberAttr.readUInt16BE(0) : 0;
+
+    const peerKey = peer && `${peer.address}:${peer.port}`;
+    const boundChannel = peer && allocation.channels.get(number);
+    const boundPeer = peer && allocation.peerChannels.get(peerKey);
+
+    // The channel must be in range and neither side may already be bound elsewhere
+    const invalid = !peer ||
+      number < MIN_CHANNEL || number > MAX_CHANNEL ||
+      (boundChannel && `${boundChannel.address}:${boundChannel.port}` !== peerKey) ||
+      (boundPeer !== undefined && boundPeer !== number);
+
+    if (invalid) {
+      this._reply(rinfo, stun.errorResponse(message, 400, [], { integrity: auth.integrity }));
+      return;
+    }
+    if (!this._peerAllowed(peer.address)) {
+      this._reply(rinfo, stun.errorResponse(message, 403, [], { integrity: auth.integrity }));
+      return;
+    }
+
+    const now = Date.now();
+    allocation.channels.set(number, { address: peer.address, port: peer.port, expiresAt: now + CHANNEL_LIFETIME_MS });
+    allocation.peerChannels.set(peerKey, number);
+    allocation.permissions.set(peer.address, now + PERMISSION_LIFETIME_MS);
+
+    this._success(message, rinfo, auth);
+  }
+
+  _handleSend(key, message) {
+    const allocation = this.allocations.get(key);
+    const data = stun.getAttribute(message, stun.ATTR.DATA);
+    const [peer] = this._peerAddresses(message);
+    if (!allocation || !data || !peer) return;
+
+    this._relayToPeer(allocation, data, peer.address, peer.port);
+  }
+
+  _peerAllowed(address) {
+    const family = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    return !this.restrictedPeers.check(address, family) || this.allowedPeers.check(address, family);
+  }
+
+  _hasPermission(allocation, address) {
+    const expiresAt = allocation.permissions.get(address);
+    return expiresAt !== undefined && expiresAt > Date.now();
+  }
+
+  _relayToPeer(allocation, data, address, port) {
+    if (!this._peerAllowed(address) || !this._hasPermission(allocation, address)) return;
+    if (!allocation.bandwidth.take(data.length)) return;
+
+    allocation.relaySocket.send(data, port, address);
+  }
+
+  _relayToClient(allocation, data, peer) {
+    if (!this._hasPermission(allocation, peer.address)) return;
+    if (!allocation.bandwidth.take(data.length)) return;
+
+    const { client } = allocation;
+    const channel = allocation.peerChannels.get(`${peer.address}:${peer.port}`);
+
+    if (channel !== undefined) {
+      const header = Buffer.alloc(4);
+      header.writeUInt16BE(channel, 0);
+      header.writeUInt16BE(data.length, 2);
+      this.socket.send(Buffer.concat([header, data]), client.port, client.address);
+      return;
+    }
+
+    const transactionId = crypto.randomBytes(12);
+    const indication = stun.encode({
+      method: stun.METHOD.DATA,
+      cls: stun.CLASS.INDICATION,
+      transactionId,
+      attributes: [
+        {
+          type: stun.ATTR.XOR_PEER_ADDRESS,
+          value: stun.encodeAddress(peer.address, peer.port, { xor: true, transactionId })
+        },
+        { type: stun.ATTR.DATA, value: data }
+      ]
+    });
+    this.socket.send(indication, client.port, client.address);
+  }
+
+  // Bind a relay socket, within the configured port range if there is one
+  async _bindRelaySocket() {
+    const bind = (port) => new Promise((resolve, reject) => {
+      const socket = dgram.createSocket('udp4');
+      socket.once('error', (err) => {
+        socket.close();
+        reject(err);
+      });
+      socket.bind(port, () => {
+        socket.removeAllListeners('error');
+        socket.on('error', (err) => log.error('TURN relay socket error', { err }));
+        resolve(socket);
+      });
+    });
+
+    if (!this.minPort || !this.maxPort) return bind(0);
+
+    const span = this.maxPort - this.minPort + 1;
+    const start = crypto.randomInt(span);
+    for (let i = 0; i < span; i++) {
+      try {
+        return await bind(this.minPort + ((start + i) % span));
+      } catch (err) {
+        if (err.code !== 'EADDRINUSE') throw err;
+      }
+    }
+    throw new Error('No relay ports available');
+  }
+
+  _deallocate(key) {
+    const allocation = this.allocations.get(key);
+    if (!allocation) return;
+    this.allocations.delete(key);
+    allocation.relaySocket.close();
+  }
+}
+
+module.exports = { TurnServer, isTurnMethod, isChannelData };
@@ -0,0 +1,140 @@
+/**
+ * REST API versions and minimum app versions
+ *
+ * Routes are served under /api/v1/... and /api/v2/... Unversioned /api/...
+ * paths are the legacy routes shipped apps still call: they keep working,
+ * answer like v1 unless an `X-API-Version` header picks another version, and
+ * carry `Deprecation` (RFC 9745), `Sunset` (RFC 8594) and a `Link` to the
+ * versioned route. On versioned paths the header may only repeat the path's
+ * version. Every /api response says which version answered in
+ * `X-API-Version`; handlers read it from `req.apiVersion`.
+ *
+ * Differences between versions:
+ *   2   heartbeat returns `clients` (pending and accepted, with `state`)
+ *       instead of `pendingClients`
+ *
+ * Versioned requests are rewritten to the unversioned path, so routes are
+ * registered once and only branch on req.apiVersion where versions differ.
+ *
+ * Apps that send their `appVersion` (X-App-Version header, JSON body field
+ * or WebSocket `register`) can be turned away below a minimum version with
+ * a message telling the user to update.
+ */
+
+const API_VERSIONS = [1, 2];
+const CURRENT_API_VERSION = 2;
+const LEGACY_API_VERSION = 1;
+
+// Default for when the unversioned routes were deprecated: the release that
+// added /api/v1 and /api/v2. Deployments can override it with the
+// `deprecatedAt` option (LEGACY_API_DEPRECATED_AT in server.js).
+const LEGACY_DEPRECATED_AT = Date.parse('2026-10-19T00:00:00Z');
+
+const VERSIONED_PATH = /^\/api\/v(\d+)(\/.*)?$/;
+
+// Leading numeric parts of a version, e.g. "2.4.1 (build 88)" -> [2, 4, 1].
+// Null when it doesn't start with a number.
+function parseAppVersion(value) {
+  const match = /^\s*v?(\d+(?:\.\d+)*)/.exec(String(value ?? ''));
+  return match ? match[1].split('.').map(Number) : null;
+}
+
+// <0, 0 or >0 like a sort comparator; missing parts count as 0
+function compareAppVersions(a, b) {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const diff = (a[i] || 0) - (b[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+// Null when `appVersion` is allowed: at or above `minimum`, or either one
+// missing or unparseable. Otherwise the details for an upgrade message.
+function checkAppVersion(appVersion, { minimum, updateUrl } = {}) {
+  const required = parseAppVersion(minimum);
+  const actual = parseAppVersion(appVersion);
+  if (!required || !actual || compareAppVersions(actual, required) >= 0) return null;
+
+  return {
+    appVersion: String(appVersion),
+    minimumVersion: String(minimum),
+    updateUrl: updateUrl || null,
+    message: `NDI Bridge ${appVersion} is no longer supported. Update to version ${minimum} or later` +
+      (updateUrl ? ` from ${updateUrl}` : '') + ' to keep connecting.'
+  };
+}
+
+function unsupportedVersion(res, requested) {
+  res.status(400).json({
+    success: false,
+    code: 'unsupported_api_version',
+    message: `API version ${requested} is not supported; use ${API_VERSIONS.join(' or ')}`,
+    supportedVersions: API_VERSIONS
+  });
+}
+
+// Express middleware: picks req.apiVersion, rewrites /api/vN/... to /api/...
+// and marks unversioned routes deprecated. `deprecatedAt` is when they were
+// deprecated (epoch ms) and `sunset` a Date after which they may be removed,
+// or null.
+function apiVersioning({ sunset = null, deprecatedAt = LEGACY_DEPRECATED_AT } = {}) {
+  return (req, res, next) => {
+    if (req.path !== '/api' && !req.path.startsWith('/api/')) return next();
+
+    const versioned = VERSIONED_PATH.exec(req.path);
+    const header = req.headers['x-api-version'];
+    let version;
+
+    if (versioned) {
+      version = Number(versioned[1]);
+      if (!API_VERSIONS.includes(version)) return unsupportedVersion(res, versioned[1]);
+      if (header !== undefined && Number(header) !== version) {
+        return res.status(400).json({
+          success: false,
+          code: 'conflicting_api_version',
+          message: `X-API-Version ${header} conflicts with /api/v${version}; send one or make them match`
+        });
+      }
+      req.url = `/api${versioned[2] || ''}${req.url.slice(req.path.length)}`;
+    } else {
+      version = header === undefined ? LEGACY_API_VERSION : Number(header);
+      if (!API_VERSIONS.includes(version)) return unsupportedVersion(res, header);
+
+      res.set('Deprecation', `@${Math.floor(deprecatedAt / 1000)}`);
+      if (sunset) res.set('Sunset', sunset.toUTCString());
+      res.append('Link', `</api/v${version}${req.path.slice('/api'.length)}>; rel="successor-version"`);
+    }
+
+    req.apiVersion = version;
+    res.set('X-API-Version', String(version));
+    next();
+  };
+}
+
+// Express middleware turning away apps older than `minimum` with 426 and
+// an upgrade message. Runs after body parsing so `appVersion` in JSON
+// bodies counts.
+function requireAppVersion({ minimum, updateUrl, exempt = () => false }) {
+  return (req, res, next) => {
+    if (!minimum || exempt(req)) return next();
+
+    const appVersion = req.headers['x-app-version'] ?? req.body?.appVersion;
+    const outdated = checkAppVersion(appVersion, { minimum, updateUrl });
+    if (!outdated) return next();
+
+    req.log.info('Outdated app turned away', { appVersion: outdated.appVersion, minimumVersion: minimum });
+    res.status(426).json({ success: false, code: 'client_outdated', ...outdated });
+  };
+}
+
+module.exports = {
+  API_VERSIONS,
+  CURRENT_API_VERSION,
+  LEGACY_API_VERSION,
+  LEGACY_DEPRECATED_AT,
+  parseAppVersion,
+  compareAppVersions,
+  checkAppVersion,
+  apiVersioning,
+  requireAppVersion
+};
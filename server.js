@@ -8,7 +8,36 @@
  * - Auto-discovery of available NDI hosts (no join codes needed!)
  * - Host registry with heartbeat-based presence
  * - P2P UDP connection coordination
- * - Session management for active connections
+ * - RFC 5389 STUN binding server on the UDP port
+ * - Built-in TURN relay for peers that can't hole-punch
+ * - Signed host and client tokens for authenticated actions
+ * - Private host directories for organizations/teams
+ * - Host-side approval with accept/reject and connection policies
+ * - Per-source access levels and revocable share links for single sources
+ * - Source format metadata (resolution, frame rate, mode, audio, tally,
+ *   thumbnail) with heartbeat diffs and change notifications
+ * - Tally, PTZ and NDI metadata relay from viewers to a host's sources,
+ *   with tally aggregated across viewers
+ * - Session management for active connections, with inactivity expiry
+ *   and host-controlled close and extension
+ * - One host model: join-code sessions and registry hosts share a record,
+ *   and registered hosts can mint join codes for single sources
+ * - OpenAPI 3 document (/api/openapi.json) with request validation and
+ *   an HTML reference (/api/docs)
+ * - Versioned REST routes (/api/v1, /api/v2) with deprecation headers on
+ *   the unversioned ones and a minimum app version
+ * - Versioned, validated WebSocket signaling with message acks
+ * - Resumable WebSocket peers with a reconnect grace period
+ * - Server-side WebSocket keepalive with RTT measurement
+ * - Server-Sent Events and long-poll (`?wait=`) for HTTP-only clients
+ * - Per-IP/per-identity rate limits on REST, WebSocket and UDP
+ * - Prometheus metrics on /metrics
+ * - Connection outcome telemetry and RFC 5780 NAT classification
+ * - Admin dashboard (/admin) and management API
+ * - Structured JSON logs with per-request and per-connection correlation IDs
+ * - Parsed log uploads (JSON, text, gzip, multipart) with search and retention
+ * - Admin-only log search, uploader access tokens and server-side redaction
+ * - Multi-instance signaling (shared state and cross-node fan-out via Redis)
  */
 
 const express = require('express');
@@ -16,6 +45,32 @@ const WebSocket = require('ws');
 const cors = require('cors');
 const { customAlphabet } = require('nanoid');
 const dgram = require('dgram');
+const crypto = require('crypto');
+const path = require('path');
+const { createStore } = require('./lib/store');
+const { Cluster } = require('./lib/cluster');
+const stun = require('./lib/stun');
+const { TurnServer, isTurnMethod, isChannelData } = require('./lib/turn');
+const { Auth } = require('./lib/auth');
+const { Organizations } = require('./lib/orgs');
+const approval = require('./lib/approval');
+const { RateLimiter, httpRateLimit } = require('./lib/ratelimit');
+const { Events, parseWait, openEventStream } = require('./lib/events');
+const protocol = require('./lib/protocol');
+const { JoinCodes } = require('./lib/joincodes');
+const { LogStore, decodeUpload, parseQuery } = require('./lib/logs');
+const { Redactor, buildRules } = require('./lib/redact');
+const { ShareLinks, describeLink } = require('./lib/sharelinks');
+const access = require('./lib/access');
+const sourceModel = require('./lib/sources');
+const controlModel = require('./lib/control');
+const { Registry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./lib/metrics');
+const { NatClassifier, networkOf } = require('./lib/nat');
+const { ConnectionTelemetry, normalizeReport, parseQuery: parseOutcomeQuery } = require('./lib/telemetry');
+const { logger } = require('./lib/logger');
+const openapi = require('./lib/openapi');
+const versions = require('./lib/versions');
+const { version: SERVICE_VERSION } = require('./package.json');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -24,509 +79,2788 @@ const UDP_PORT = process.env.UDP_PORT || 3478; // STUN standard port
 // Generate readable codes (uppercase letters + numbers, no ambiguous chars)
 const generateCode = customAlphabet('ABCDEFGHJKLMNPQRSTUVWXYZ23456789', 6);
 const generateHostId = customAlphabet('abcdefghijklmnopqrstuvwxyz0123456789', 16);
+const generateConnectionId = customAlphabet('abcdefghijklmnopqrstuvwxyz0123456789', 12);
+const generateMessageId = customAlphabet('abcdefghijklmnopqrstuvwxyz0123456789', 16);
+const generateLogId = customAlphabet('abcdefghijklmnopqrstuvwxyz0123456789', 20);
+const generateRequestId = customAlphabet('abcdefghijklmnopqrstuvwxyz0123456789', 16);
+
+// Identifies this replica for cross-node message routing
+const NODE_ID = process.env.NODE_ID || generateHostId();
+
+// Structured logs (LOG_LEVEL, LOG_FORMAT) carry the node they came from
+logger.setFields({ nodeId: NODE_ID });
+
+// Correlation IDs: each HTTP request and WebSocket connection gets one, and
+// everything logged while handling it carries it as `requestId`. A well-formed
+// X-Request-Id from the caller or a proxy is kept so the IDs line up.
+const REQUEST_ID = /^[\w.-]{1,64}$/;
+
+function requestIdFrom(req) {
+  const header = req.headers['x-request-id'];
+  return typeof header === 'string' && REQUEST_ID.test(header) ? header : generateRequestId();
+}
 
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use((req, res, next) => {
+  const start = Date.now();
+  req.id = requestIdFrom(req);
+  res.set('X-Request-Id', req.id);
+  req.log = logger.child({ requestId: req.id, method: req.method, path: req.path, remoteIP: getClientIP(req) });
+
+  // Routine successful requests (heartbeats, polls) are only logged at debug
+  res.on('finish', () => {
+    req.log[res.statusCode >= 400 ? 'info' : 'debug']('Request completed', {
+      status: res.statusCode,
+      durationMs: Date.now() - start
+    });
+  });
+  next();
+});
 
-// In-memory storage (use Redis for production scaling)
-const sessions = new Map();
+app.use(cors({ exposedHeaders: ['X-Request-Id', 'X-API-Version', 'Deprecation', 'Sunset', 'Link'] }));
+
+// /api/v1/... and /api/v2/... are served by the same routes as the
+// unversioned /api/... paths, which are deprecated since
+// LEGACY_API_DEPRECATED_AT and may go away after LEGACY_API_SUNSET (HTTP or
+// ISO dates)
+function legacyApiDate(name) {
+  if (!process.env[name]) return null;
+  const date = new Date(process.env[name]);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid ${name} "${process.env[name]}", expected a date`);
+  }
+  return date;
+}
+const LEGACY_API_SUNSET = legacyApiDate('LEGACY_API_SUNSET');
+const LEGACY_API_DEPRECATED_AT = legacyApiDate('LEGACY_API_DEPRECATED_AT');
+app.use(versions.apiVersioning({
+  sunset: LEGACY_API_SUNSET,
+  deprecatedAt: LEGACY_API_DEPRECATED_AT ? LEGACY_API_DEPRECATED_AT.getTime() : versions.LEGACY_DEPRECATED_AT
+}));
+
+// Log uploads have their own body parsers with a larger limit. Routes that
+// take a host's sources get more room for thumbnails.
+const jsonBody = express.json();
+const sourcesBody = express.json({ limit: '1mb' });
+const carriesSources = (path) =>
+  path === '/api/hosts/register' || path === '/api/session/create' || path.startsWith('/api/hosts/heartbeat/');
+
+app.use((req, res, next) => {
+  if (req.path === '/api/logs/upload') return next();
+  return (carriesSources(req.path) ? sourcesBody : jsonBody)(req, res, next);
+});
+
+// Shared state: sessions, hosts (auto-discovery registry) and uploaded logs.
+// In memory by default, Redis when REDIS_URL is set. Expiry is TTL-based.
+const store = createStore();
+
+// Live WebSocket connections are sockets and can only be held by this process;
+// the cluster tracks which node holds each one and routes messages between nodes
 const connections = new Map();
-const hosts = new Map();  // Host registry for auto-discovery
+const cluster = new Cluster({
+  store,
+  nodeId: NODE_ID,
+  deliverLocal: sendToConnection,
+  evictLocal: evictConnection,
+  kickLocal: kickConnection
+});
 
-// Host timeout - remove hosts that haven't sent heartbeat in 45 seconds
+// Registry/session change notifications for SSE and long-poll clients
+const events = new Events({ store });
+
+// Host timeout - hosts that haven't sent a heartbeat in 45 seconds expire
 const HOST_TIMEOUT_MS = 45000;
 
-// Session cleanup - remove expired sessions (30 min timeout)
-setInterval(() => {
-  const now = Date.now();
-  for (const [code, session] of sessions.entries()) {
-    if (now - session.createdAt > 30 * 60 * 1000) {
-      console.log(`🧹 Cleaning up expired session: ${code}`);
-      sessions.delete(code);
-    }
-  }
-}, 5 * 60 * 1000); // Check every 5 minutes
+// Sessions close after SESSION_IDLE_MINUTES without activity (WebSocket
+// messages and pongs, polls, endpoint updates) and, for sessions created by
+// code, SESSION_MAX_HOURS after creation unless the host extends them. Peers
+// are warned SESSION_WARNING_SECONDS before.
+const SESSION_IDLE_MS = (parseFloat(process.env.SESSION_IDLE_MINUTES) || 30) * 60 * 1000;
+const SESSION_MAX_LIFETIME_MS = (parseFloat(process.env.SESSION_MAX_HOURS) || 12) * 60 * 60 * 1000;
+const SESSION_WARNING_MS = (parseFloat(process.env.SESSION_WARNING_SECONDS) || 120) * 1000;
+
+// Store TTL of a session record, renewed with its activity. The sweeper
+// closes sessions before this; it only cleans up if no sweeper ran.
+const SESSION_STORE_TTL_MS = SESSION_IDLE_MS + 5 * 60 * 1000;
+
+// Uploaded logs: kept LOG_RETENTION_HOURS, at most LOG_MAX_UPLOAD_BYTES each
+// (uncompressed) and LOG_MAX_TOTAL_BYTES altogether, oldest dropped first
+const LOG_RETENTION_MS = (parseFloat(process.env.LOG_RETENTION_HOURS) || 24) * 60 * 60 * 1000;
+const LOG_MAX_UPLOAD_BYTES = parseInt(process.env.LOG_MAX_UPLOAD_BYTES, 10) || 10 * 1024 * 1024;
+const LOG_MAX_TOTAL_BYTES = parseInt(process.env.LOG_MAX_TOTAL_BYTES, 10) || 256 * 1024 * 1024;
+
+// Redaction rules for uploaded logs (see lib/redact.js)
+const logRedactor = new Redactor(buildRules(
+  process.env.LOG_REDACT || 'all',
+  process.env.LOG_REDACT_EXTRA ? JSON.parse(process.env.LOG_REDACT_EXTRA) : []
+));
+
+const logStore = new LogStore({
+  store,
+  redactor: logRedactor,
+  retentionMs: LOG_RETENTION_MS,
+  maxTotalBytes: LOG_MAX_TOTAL_BYTES,
+  maxLineLength: 4000
+});
 
-// Host cleanup - remove hosts that haven't sent heartbeat
-setInterval(() => {
-  const now = Date.now();
-  for (const [hostId, host] of hosts.entries()) {
-    if (now - host.lastHeartbeat > HOST_TIMEOUT_MS) {
-      console.log(`🧹 Removing stale host: ${host.computerName} (${hostId})`);
-      hosts.delete(hostId);
-    }
-  }
-}, 15000); // Check every 15 seconds
+// Connection outcome reports are kept OUTCOME_RETENTION_DAYS
+const OUTCOME_RETENTION_MS = (parseFloat(process.env.OUTCOME_RETENTION_DAYS) || 7) * 24 * 60 * 60 * 1000;
+const telemetry = new ConnectionTelemetry({ store, retentionMs: OUTCOME_RETENTION_MS });
+const natClassifier = new NatClassifier({ store });
 
-// REST API Routes
+// Express 4 doesn't catch rejected promises from async handlers
+const asyncRoute = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
 
-app.get('/', (req, res) => {
-  res.json({
-    service: 'NDI Bridge Rendezvous',
-    version: '1.0.0',
-    status: 'online',
-    activeSessions: sessions.size,
-    activeConnections: connections.size
-  });
+// Host/client tokens. AUTH_SECRET must be the same on every replica.
+const auth = new Auth({
+  secret: process.env.AUTH_SECRET || (() => {
+    logger.warn('AUTH_SECRET not set, issued tokens will not survive a restart');
+    return crypto.randomBytes(32).toString('hex');
+  })()
 });
 
-// Create a new hosting session
-app.post('/api/session/create', (req, res) => {
-  const { hostId, bridgeName, sources } = req.body;
+// Does a token belong to the current host of this host/session record?
+function isHostToken(claims, scope, id, record) {
+  return !!claims &&
+    claims.role === 'host' &&
+    claims.scope === scope &&
+    claims.sub === id &&
+    !!record?.tokenId &&
+    claims.jti === record.tokenId;
+}
 
-  const code = generateCode();
+// Does a token belong to a client of this host/session?
+function isClientToken(claims, scope, target, clientId) {
+  return !!claims &&
+    claims.role === 'client' &&
+    claims.scope === scope &&
+    (scope === 'registry' ? claims.hostId === target : claims.code === target) &&
+    (!clientId || claims.sub === clientId);
+}
+
+// The clientId for a connect or join. A client keeps the id it asks for
+// only with a client token issued for that id (`Authorization: Bearer`),
+// so nobody can claim an allowlisted id or replace another client's
+// request; otherwise it gets a new one.
+function claimedClientId(req, clientId) {
+  if (!clientId) return generateCode();
 
-  const session = {
+  const claims = auth.fromRequest(req);
+  if (claims?.role === 'client' && claims.sub === clientId) return clientId;
+
+  req.log.info('Unproven clientId replaced', { claimedClientId: clientId });
+  return generateCode();
+}
+
+function unauthorized(res, message = 'Missing or invalid token') {
+  return res.status(401).json({ success: false, message });
+}
+
+// Operators authenticate with `X-Admin-Key: <ADMIN_API_KEY>`. Admin routes
+// are disabled when ADMIN_API_KEY isn't set.
+const ADMIN_KEY_HASH = process.env.ADMIN_API_KEY
+  ? crypto.createHash('sha256').update(process.env.ADMIN_API_KEY).digest()
+  : null;
+
+function isAdmin(req) {
+  const key = req.headers['x-admin-key'];
+  if (!ADMIN_KEY_HASH || typeof key !== 'string') return false;
+  return crypto.timingSafeEqual(crypto.createHash('sha256').update(key).digest(), ADMIN_KEY_HASH);
+}
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_KEY_HASH) {
+    return res.status(403).json({ success: false, message: 'Admin access is not configured' });
+  }
+  if (!isAdmin(req)) {
+    return unauthorized(res, 'Admin key required');
+  }
+  next();
+}
+
+// Require the registry host token for :hostId. Unknown hosts get a 404.
+const requireHostToken = (notFoundMessage = 'Host not found') => asyncRoute(async (req, res, next) => {
+  const { hostId } = req.params;
+  const host = await store.get('hosts', hostId);
+  if (!host) {
+    return res.status(404).json({ success: false, message: notFoundMessage });
+  }
+  if (!isHostToken(auth.fromRequest(req), 'registry', hostId, host)) {
+    return unauthorized(res, 'Host token required');
+  }
+  next();
+});
+
+// ===== HOSTS AND SESSIONS =====
+//
+// A host registry entry is the single record for a machine sharing NDI
+// sources, and signaling for it happens in a session. /api/session/create
+// makes a host entry and its session together; a host registered through
+// /api/hosts/register gets a session when it first needs one. Clients join
+// a session with its own code (sessions from /api/session/create) or with a
+// join code a registered host minted for one of its sources.
+
+const joinCodes = new JoinCodes({ store });
+const shareLinks = new ShareLinks({ store });
+
+function newSession({ code, hostId, origin, bridgeName = null, sources = [], tokenId = null }) {
+  return {
     code,
     hostId,
+    origin, // 'session' (created by code) or 'registry' (a registered host's)
     bridgeName,
-    sources: sources || [],
+    sources,
     host: null,
     clients: [],
+    tokenId,
     createdAt: Date.now(),
+    lastActivityAt: Date.now(),
+    // Hard deadline; registered hosts' sessions last as long as they're used
+    expiresAt: origin === 'session' ? Date.now() + SESSION_MAX_LIFETIME_MS : null,
+    warnedFor: null, // deadline peers were last sent `session_expiring` for
     status: 'waiting' // waiting, active, closed
   };
+}
 
-  sessions.set(code, session);
+function enabledSourceNames(host) {
+  return host.sources.filter(s => s.enabled).map(s => s.name);
+}
 
-  console.log(`✅ Session created: ${code} by ${bridgeName}`);
+// Who sees a host's listed sources: its organization when the host is
+// private to it, else anyone
+function sourceAudience(host) {
+  return host.orgId && !host.public ? host.orgId : null;
+}
 
-  res.json({
-    success: true,
-    code,
-    message: 'Session created successfully'
-  });
-});
+// The source names a session publishes: only those listed to the host's
+// viewers, so link-only and team sources aren't named to guests. Clients
+// also see the source they were granted (see clientSourceNames).
+function listedSourceNames(host) {
+  return host.sources.filter(s => access.isListed(host, s, sourceAudience(host))).map(s => s.name);
+}
 
-// Join an existing session
-app.post('/api/session/join', (req, res) => {
-  const { code, clientId, clientName } = req.body;
+// A source as shown to viewers
+function describeListedSource(host, source) {
+  return {
+    name: source.name,
+    passwordRequired: source.access === access.ACCESS.PASSWORD,
+    ...sourceModel.describeFormat(source, host.hostId)
+  };
+}
 
-  const session = sessions.get(code);
+// Source thumbnails are kept out of host records, which are rewritten on
+// every heartbeat. Hosts only resend one when it changes.
+const THUMBNAIL_TTL_MS = 24 * 60 * 60 * 1000;
 
-  if (!session) {
-    return res.status(404).json({
-      success: false,
-      message: 'Session not found. Please check the code.'
+function thumbnailKey(hostId, sourceName) {
+  return `${encodeURIComponent(hostId)}:${encodeURIComponent(sourceName)}`;
+}
+
+async function saveThumbnails(hostId, thumbnails) {
+  for (const { name, contentType, data } of thumbnails) {
+    await store.set('thumbnails', thumbnailKey(hostId, name), { contentType, data: data.toString('base64') },
+      { ttlMs: THUMBNAIL_TTL_MS });
+  }
+}
+
+async function deleteThumbnails(hostId, sources) {
+  for (const source of sources) {
+    if (source.thumbnail) await store.delete('thumbnails', thumbnailKey(hostId, source.name));
+  }
+}
+
+// A host's sources changed from `before`: drop thumbnails that are gone and
+// send viewers `sources_changed` on the host's topic and to its session's
+// clients. Only sources listed to the host's viewers are included, so
+// disabling a source or making it link-only shows up as its removal.
+async function publishSourceChanges(host, before) {
+  await deleteThumbnails(host.hostId, before.filter(old => {
+    const current = host.sources.find(s => s.name === old.name);
+    return !current?.thumbnail;
+  }));
+
+  const listed = sources => sources.filter(s => access.isListed(host, s, sourceAudience(host)));
+  const { added, removed, changed } = sourceModel.diffSources(listed(before), listed(host.sources));
+  if (added.length === 0 && removed.length === 0 && changed.length === 0) return;
+
+  const event = {
+    hostId: host.hostId,
+    added: added.map(s => describeListedSource(host, s)),
+    removed,
+    changed: changed.map(({ source, fields, formatChanged }) => ({
+      ...describeListedSource(host, source),
+      fields,
+      formatChanged
+    }))
+  };
+  await events.publish(`host:${host.hostId}`, 'sources_changed', event);
+
+  const session = host.sessionCode && await store.get('sessions', host.sessionCode);
+  if (session) await notifySession(session.code, session.clients, { type: 'sources_changed', ...event });
+}
+
+// The signaling session of a host entry, created or renewed as needed
+async function ensureHostSession(hostId) {
+  const host = await store.get('hosts', hostId);
+  if (!host) return null;
+
+  const sync = (session) => {
+    session.bridgeName = host.computerName;
+    session.sources = listedSourceNames(host);
+  };
+
+  if (host.sessionCode) {
+    const session = await store.update('sessions', host.sessionCode, sync);
+    if (session) return session;
+  }
+
+  const session = newSession({ code: host.sessionCode || generateCode(), hostId, origin: 'registry' });
+  sync(session);
+  await store.set('sessions', session.code, session, { ttlMs: SESSION_STORE_TTL_MS });
+  if (!host.sessionCode) {
+    await store.update('hosts', hostId, (host) => {
+      host.sessionCode = session.code;
     });
   }
+  return session;
+}
 
-  console.log(`🔗 Client joining session: ${code}`);
+// Resolve a code to { session, joinCode }, or null. Registered hosts' own
+// session codes aren't join codes: they only resolve for token-checked
+// callers (`internal`), who may also have been given them in `registered`.
+async function resolveSession(code, { internal = false } = {}) {
+  if (!code || typeof code !== 'string') return null;
 
-  res.json({
-    success: true,
-    session: {
-      code: session.code,
-      bridgeName: session.bridgeName,
-      sources: session.sources,
-      hostConnected: !!session.host
+  const session = await store.get('sessions', code);
+  if (session) {
+    return session.origin === 'registry' && !internal ? null : { session, joinCode: null };
+  }
+
+  const joinCode = await joinCodes.get(code);
+  if (!joinCode) return null;
+
+  const linked = await ensureHostSession(joinCode.hostId);
+  return linked ? { session: linked, joinCode } : null;
+}
+
+// Session hosts use the token from /api/session/create; registered hosts
+// can use their registry host token
+async function isSessionHost(claims, session) {
+  if (isHostToken(claims, 'session', session.code, session)) return true;
+  if (!session.hostId || claims?.scope !== 'registry') return false;
+  return isHostToken(claims, 'registry', session.hostId, await store.get('hosts', session.hostId));
+}
+
+// Clients that joined by code use the token from /api/session/join; clients
+// accepted through the registry can use their registry client token. For
+// sessions with a host entry either needs the client's accepted request
+// there, so it stops working once the host rejects, revokes or releases
+// the client, or the request is gone.
+async function isSessionClient(claims, session) {
+  const bySession = isClientToken(claims, 'session', session.code);
+  const byRegistry = !!session.hostId && isClientToken(claims, 'registry', session.hostId);
+  if (!bySession && !byRegistry) return false;
+  if (!session.hostId) return true;
+
+  const host = await store.get('hosts', session.hostId);
+  const request = host?.connectedClients.find(c => c.clientId === claims.sub);
+  return request?.state === approval.STATE.ACCEPTED;
+}
+
+// WebSocket `register` by hostId may create the host's session, so the
+// token (or resume token) is checked against the host entry first; the full
+// check against the session follows. Returns { session }, or { unauthorized }.
+async function sessionForHostId(hostId, data) {
+  const host = await store.get('hosts', hostId);
+  if (!host) return { session: null };
+
+  const current = host.sessionCode ? await store.get('sessions', host.sessionCode) : null;
+  const claims = auth.verify(data.resumeToken || data.token);
+  let allowed;
+  if (data.resumeToken) {
+    allowed = claims?.role === 'resume' && !!host.sessionCode && claims.code === host.sessionCode;
+  } else if (data.role === 'host') {
+    allowed = isHostToken(claims, 'registry', hostId, host) ||
+      (!!current && isHostToken(claims, 'session', current.code, current));
+  } else {
+    allowed = isClientToken(claims, 'registry', hostId) ||
+      (!!current && isClientToken(claims, 'session', current.code));
+  }
+  if (!allowed) return { unauthorized: true };
+
+  return { session: await ensureHostSession(hostId) };
+}
+
+// Kick the WebSocket connections of registry clients whose access ended
+async function kickHostClients(hostId, clientIds, reason) {
+  const host = await store.get('hosts', hostId);
+  const session = host?.sessionCode && await store.get('sessions', host.sessionCode);
+  if (!session || clientIds.length === 0) return;
+
+  for (const connectionId of session.clients) {
+    const presence = await store.get('presence', connectionId);
+    if (presence && clientIds.includes(presence.clientId)) {
+      await cluster.kick(connectionId, reason);
     }
-  });
+  }
+}
+
+// Require a host token for the session behind :code (res.locals.session)
+const requireSessionHostToken = asyncRoute(async (req, res, next) => {
+  const resolved = await resolveSession(req.params.code, { internal: true });
+  if (!resolved) {
+    return sessionGone(res, req.params.code);
+  }
+  if (!(await isSessionHost(auth.fromRequest(req), resolved.session))) {
+    return unauthorized(res, 'Host token required');
+  }
+  res.locals.session = resolved.session;
+  next();
 });
 
-// Get session info
-app.get('/api/session/:code', (req, res) => {
-  const session = sessions.get(req.params.code);
+// ===== SESSION LIFECYCLE =====
+//
+// A session closes at the earlier of its idle deadline (last activity plus
+// SESSION_IDLE_MS) and its expiresAt, which the host can push back. Every
+// replica runs the sweeper: it sends peers `session_expiring` shortly before
+// the deadline and closes the session once it has passed. A closed session's
+// code answers 410 with the reason for a while afterwards.
 
-  if (!session) {
-    return res.status(404).json({
-      success: false,
-      message: 'Session not found'
-    });
+// Often enough that no session slips through its warning window
+const SESSION_SWEEP_INTERVAL_MS = Math.min(15 * 1000, SESSION_WARNING_MS / 2);
+
+// Activity is written to the store at most this often per session and node
+const SESSION_ACTIVITY_WRITE_MS = Math.min(15 * 1000, SESSION_IDLE_MS / 4);
+
+const CLOSED_SESSION_TTL_MS = 10 * 60 * 1000;
+
+const CLOSE_REASONS = {
+  idle: 'The session expired after a period of inactivity',
+  max_lifetime: 'The session reached its maximum lifetime',
+  closed_by_host: 'The host closed the session',
+  closed_by_operator: 'The session was closed by an operator',
+  host_removed: 'The host was removed by an operator'
+};
+
+const EXPIRING_MESSAGES = {
+  idle: 'The session will close soon unless there is activity',
+  max_lifetime: 'The session will reach its maximum lifetime soon'
+};
+
+// Last activity this node wrote per session code
+const sessionActivityWrites = new Map();
+
+// When a session will close if nothing changes, and why
+function sessionDeadline(session) {
+  const idleAt = (session.lastActivityAt || session.createdAt) + SESSION_IDLE_MS;
+  return session.expiresAt && session.expiresAt < idleAt
+    ? { at: session.expiresAt, reason: 'max_lifetime' }
+    : { at: idleAt, reason: 'idle' };
+}
+
+function sessionMembers(session) {
+  return [session.host, ...session.clients].filter(Boolean);
+}
+
+// Record activity on a session, which pushes back its idle deadline. Peers
+// that were warned about the old deadline are told it moved.
+async function touchSession(code) {
+  const now = Date.now();
+  if (!code || now - (sessionActivityWrites.get(code) || 0) < SESSION_ACTIVITY_WRITE_MS) return;
+  sessionActivityWrites.set(code, now);
+
+  let extended = false;
+  const session = await store.update('sessions', code, (session) => {
+    session.lastActivityAt = now;
+    extended = session.warnedFor !== null && session.warnedFor !== undefined &&
+      session.warnedFor !== sessionDeadline(session).at;
+    if (extended) session.warnedFor = null;
+  }, { ttlMs: SESSION_STORE_TTL_MS });
+
+  if (session && extended) await announceSessionDeadline(session);
+}
+
+function announceSessionDeadline(session) {
+  return notifySession(session.code, sessionMembers(session), {
+    type: 'session_extended',
+    code: session.code,
+    closesAt: sessionDeadline(session).at,
+    expiresAt: session.expiresAt
+  });
+}
+
+// Close a session now: its peers get `session_closed` and are disconnected,
+// and its code is remembered as closed for CLOSED_SESSION_TTL_MS
+async function closeSession(code, reason, message = CLOSE_REASONS[reason]) {
+  const session = await store.get('sessions', code);
+  // When replicas race to close it, only the one that deleted it goes on
+  if (!session || !(await store.delete('sessions', code))) return null;
+  sessionActivityWrites.delete(code);
+
+  const closed = { code, status: 'closed', reason, message, closedAt: Date.now() };
+  await store.set('closedsessions', code, closed, { ttlMs: CLOSED_SESSION_TTL_MS });
+  await events.publish(`session:${code}`, 'session_closed', closed);
+  metric.sessionsClosed.inc({ reason });
+
+  const members = sessionMembers(session);
+  for (const connectionId of members) {
+    await cluster.kick(connectionId, message, 'session_closed');
   }
+  return { session, disconnected: members.length };
+}
 
-  res.json({
-    success: true,
-    session: {
-      code: session.code,
-      bridgeName: session.bridgeName,
-      sources: session.sources,
-      hostConnected: !!session.host,
-      clientCount: session.clients.length,
-      status: session.status
-    }
+// 404 for an unknown session code, 410 for one that was closed recently
+async function sessionGone(res, code, notFoundMessage = 'Session not found') {
+  const closed = typeof code === 'string' ? await store.get('closedsessions', code) : null;
+  if (closed) {
+    return res.status(410).json({ success: false, status: 'closed', reason: closed.reason, message: closed.message });
+  }
+  return res.status(404).json({ success: false, message: notFoundMessage });
+}
+
+// Tell a session's peers it is about to close, once per deadline
+async function warnSessionExpiring(code, now) {
+  let deadline = null;
+  const session = await store.update('sessions', code, (session) => {
+    const current = sessionDeadline(session);
+    const due = current.at > now && current.at - now <= SESSION_WARNING_MS && session.warnedFor !== current.at;
+    deadline = due ? current : null;
+    if (due) session.warnedFor = current.at;
   });
-});
+  if (!session || !deadline) return;
 
-// Stats endpoint
-app.get('/api/stats', (req, res) => {
-  res.json({
-    activeSessions: sessions.size,
-    activeConnections: connections.size,
-    activeHosts: hosts.size,
-    uptime: process.uptime()
+  await notifySession(code, sessionMembers(session), {
+    type: 'session_expiring',
+    code,
+    closesAt: deadline.at,
+    reason: deadline.reason,
+    message: EXPIRING_MESSAGES[deadline.reason]
   });
+}
+
+async function sweepSessions() {
+  const now = Date.now();
+  for (const listed of await store.list('sessions')) {
+    const deadline = sessionDeadline(listed);
+    if (deadline.at > now) {
+      if (deadline.at - now <= SESSION_WARNING_MS && listed.warnedFor !== deadline.at) {
+        await warnSessionExpiring(listed.code, now);
+      }
+      continue;
+    }
+
+    // It may have seen activity on another replica since it was listed
+    const session = await store.get('sessions', listed.code);
+    const current = session && sessionDeadline(session);
+    if (!current || current.at > now) continue;
+
+    if (await closeSession(session.code, current.reason)) {
+      logger.info('Session expired', { sessionCode: session.code, hostId: session.hostId, reason: current.reason });
+    }
+  }
+
+  for (const [code, writtenAt] of sessionActivityWrites) {
+    if (now - writtenAt >= SESSION_ACTIVITY_WRITE_MS) sessionActivityWrites.delete(code);
+  }
+}
+
+const sessionSweeper = setInterval(() => {
+  sweepSessions().catch((err) => logger.error('Session sweep failed', { err }));
+}, SESSION_SWEEP_INTERVAL_MS);
+sessionSweeper.unref();
+
+// ===== METRICS =====
+//
+// Served in Prometheus format on /metrics. Set METRICS_TOKEN to require
+// `Authorization: Bearer <METRICS_TOKEN>` from the scraper.
+
+const metrics = new Registry();
+
+const metric = {
+  httpRequests: metrics.counter({
+    name: 'ndibridge_http_requests_total',
+    help: 'HTTP requests by method, route and status',
+    labelNames: ['method', 'route', 'status']
+  }),
+  httpDuration: metrics.histogram({
+    name: 'ndibridge_http_request_duration_seconds',
+    help: 'HTTP request latency by method and route (event streams excluded)',
+    labelNames: ['method', 'route']
+  }),
+  wsMessages: metrics.counter({
+    name: 'ndibridge_ws_messages_received_total',
+    help: 'WebSocket messages received by type',
+    labelNames: ['type']
+  }),
+  wsDropped: metrics.counter({
+    name: 'ndibridge_ws_messages_dropped_total',
+    help: 'WebSocket messages dropped by the per-connection rate limit'
+  }),
+  stunRequests: metrics.counter({
+    name: 'ndibridge_stun_requests_total',
+    help: 'STUN/TURN requests received on the UDP port (legacy = JSON stun_request)',
+    labelNames: ['protocol']
+  }),
+  stunResponses: metrics.counter({
+    name: 'ndibridge_stun_responses_total',
+    help: 'STUN responses sent by kind',
+    labelNames: ['kind']
+  }),
+  stunErrors: metrics.counter({
+    name: 'ndibridge_stun_errors_total',
+    help: 'STUN requests that failed or were dropped, by reason',
+    labelNames: ['reason']
+  }),
+  connectionRequests: metrics.counter({
+    name: 'ndibridge_connection_requests_total',
+    help: 'Client connection requests made to registry hosts'
+  }),
+  connectionOutcomes: metrics.counter({
+    name: 'ndibridge_connection_request_outcomes_total',
+    help: 'Connection requests reaching a final state (accepted, rejected, expired) by reason',
+    labelNames: ['state', 'reason']
+  }),
+  heartbeatLateness: metrics.histogram({
+    name: 'ndibridge_host_heartbeat_lateness_seconds',
+    help: `Seconds since a host's previous keepalive when the next one arrives (hosts expire after ${HOST_TIMEOUT_MS / 1000})`,
+    buckets: [1, 5, 10, 15, 20, 25, 30, 35, 40, 45, 60]
+  }),
+  p2pOutcomes: metrics.counter({
+    name: 'ndibridge_p2p_outcomes_total',
+    help: 'Peer-to-peer connection outcomes reported by peers, by result and NAT type',
+    labelNames: ['result', 'nat_type']
+  }),
+  timeToConnect: metrics.histogram({
+    name: 'ndibridge_p2p_time_to_connect_seconds',
+    help: 'Reported time from first signal to a working connection',
+    labelNames: ['result'],
+    buckets: [0.25, 0.5, 1, 2, 3, 5, 10, 20, 30, 60]
+  }),
+  natClassifications: metrics.counter({
+    name: 'ndibridge_nat_classifications_total',
+    help: 'Peers classified by NAT mapping behavior',
+    labelNames: ['nat_type']
+  }),
+  sessionsClosed: metrics.counter({
+    name: 'ndibridge_sessions_closed_total',
+    help: 'Sessions closed, by reason',
+    labelNames: ['reason']
+  }),
+  controlMessages: metrics.counter({
+    name: 'ndibridge_control_messages_total',
+    help: 'Tally, PTZ and metadata messages from viewers, by type and result',
+    labelNames: ['type', 'result']
+  }),
+  logUploads: metrics.counter({
+    name: 'ndibridge_log_uploads_total',
+    help: 'Diagnostic logs stored'
+  }),
+  logUploadBytes: metrics.counter({
+    name: 'ndibridge_log_upload_bytes_total',
+    help: 'Bytes of diagnostic logs stored, uncompressed and after redaction'
+  })
+};
+
+metrics.gauge({
+  name: 'ndibridge_sessions',
+  help: 'Signaling sessions in the cluster',
+  collect: async gauge => gauge.set(await store.count('sessions'))
+});
+metrics.gauge({
+  name: 'ndibridge_hosts',
+  help: 'Registered hosts in the cluster',
+  collect: async gauge => gauge.set(await store.count('hosts'))
+});
+metrics.gauge({
+  name: 'ndibridge_connection_request_states',
+  help: 'Connection requests currently held by hosts, by state',
+  labelNames: ['state'],
+  collect: async (gauge) => {
+    const counts = await requestStateCounts();
+    for (const [state, count] of Object.entries(counts)) gauge.set({ state }, count);
+  }
+});
+metrics.gauge({
+  name: 'ndibridge_ws_connections',
+  help: 'WebSocket connections in the cluster',
+  collect: async gauge => gauge.set(await cluster.count())
+});
+metrics.gauge({
+  name: 'ndibridge_ws_local_connections',
+  help: 'WebSocket connections on this replica',
+  collect: gauge => gauge.set(connections.size)
+});
+metrics.gauge({
+  name: 'ndibridge_turn_allocations',
+  help: 'TURN allocations on this replica',
+  collect: gauge => gauge.set(turnServer ? turnServer.allocationCount : 0)
 });
 
-// ===== HOST REGISTRY API (Auto-Discovery) =====
+// Requests per approval state across all hosts
+async function requestStateCounts() {
+  const counts = Object.fromEntries(Object.values(approval.STATE).map(state => [state, 0]));
+  for (const host of await store.list('hosts')) {
+    for (const client of host.connectedClients || []) {
+      if (counts[client.state] !== undefined) counts[client.state]++;
+    }
+  }
+  return counts;
+}
 
-// Helper to get client IP from request (handles proxies like Railway)
-function getClientIP(req) {
-  // Railway and other proxies set X-Forwarded-For header
-  const forwarded = req.headers['x-forwarded-for'];
-  if (forwarded) {
-    // X-Forwarded-For can contain multiple IPs, first one is the client
-    return forwarded.split(',')[0].trim();
+// Count a request that was just created or decided
+function recordRequestOutcome(request) {
+  if (request.state === approval.STATE.PENDING) return;
+  metric.connectionOutcomes.inc({ state: request.state, reason: request.reason || 'none' });
+}
+
+// The route pattern a request matched, so IDs don't end up in labels
+function routeLabel(req) {
+  if (!req.route) return 'unmatched';
+  const path = Array.isArray(req.route.path) ? req.route.path.join(',') : String(req.route.path);
+  return req.baseUrl + path;
+}
+
+app.use((req, res, next) => {
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    const route = routeLabel(req);
+    metric.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    // Streams stay open for as long as the client listens
+    if (!String(res.getHeader('Content-Type') || '').startsWith('text/event-stream')) {
+      metric.httpDuration.observe({ method: req.method, route }, Number(process.hrtime.bigint() - start) / 1e9);
+    }
+  });
+  next();
+});
+
+app.get('/metrics', asyncRoute(async (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token) {
+    const expected = crypto.createHash('sha256').update(`Bearer ${token}`).digest();
+    const actual = crypto.createHash('sha256').update(req.headers.authorization || '').digest();
+    if (!crypto.timingSafeEqual(expected, actual)) return unauthorized(res, 'Metrics token required');
   }
-  // Fall back to direct connection IP
-  return req.ip || req.connection?.remoteAddress || null;
+  res.set('Content-Type', METRICS_CONTENT_TYPE).send(await metrics.render());
+}));
+
+// ===== RATE LIMITING =====
+
+// Token-bucket limits as "<requests>/<seconds>" per route family, overridable
+// with RATE_LIMIT_<FAMILY> (per IP) and RATE_LIMIT_<FAMILY>_IDENTITY (per
+// host/client token or API key). RATE_LIMIT_ENABLED=false turns them all off.
+const RATE_LIMITS = {
+  session: { ip: '30/60', identity: '60/60' },
+  hosts: { ip: '240/60', identity: '120/60' },
+  polling: { ip: '300/60', identity: '120/60' },
+  orgs: { ip: '20/60', identity: '60/60' },
+  logs: { ip: '10/60', identity: null },
+  api: { ip: '300/60', identity: null }
+};
+
+function limitFromEnv(name, fallback) {
+  if (process.env.RATE_LIMIT_ENABLED === 'false') return null;
+  return process.env[name] || fallback;
 }
 
-// Register a host with its available NDI sources
-app.post('/api/hosts/register', (req, res) => {
-  const { hostId, computerName, sources, publicIP, publicPort } = req.body;
+// Number of reverse proxies in front of the service (Railway adds one). Only
+// the X-Forwarded-For entries they appended are trusted for rate limiting;
+// anything before them is client-supplied and could be forged.
+const TRUST_PROXY_HOPS = parseInt(process.env.TRUST_PROXY_HOPS ?? '1', 10) || 0;
+
+function rateLimitIP(req) {
+  const forwarded = (req.headers['x-forwarded-for'] || '')
+    .split(',')
+    .map(ip => ip.trim())
+    .filter(Boolean);
+  const chain = [...forwarded, req.socket?.remoteAddress];
+  return chain[Math.max(0, chain.length - 1 - TRUST_PROXY_HOPS)] || 'unknown';
+}
 
-  if (!computerName || !sources || !Array.isArray(sources)) {
-    return res.status(400).json({
-      success: false,
-      message: 'computerName and sources array required'
-    });
+// Host/client token subject, else a hash of the API key
+function rateLimitIdentity(req) {
+  const claims = auth.fromRequest(req);
+  if (claims) return `${claims.role}:${claims.sub}`;
+
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey) return `key:${crypto.createHash('sha256').update(String(apiKey)).digest('hex').slice(0, 16)}`;
+  return null;
+}
+
+function rateLimitFamily(path) {
+  if (path.startsWith('/api/session/')) return 'session';
+  if (path === '/api/hosts' || path.startsWith('/api/hosts/')) return 'hosts';
+  if (path.startsWith('/api/host/') || path.startsWith('/api/client/')) return 'polling';
+  if (path === '/api/orgs' || path.startsWith('/api/orgs/')) return 'orgs';
+  // Reading and searching logs falls under `api`
+  if (path === '/api/logs/upload') return 'logs';
+  return 'api';
+}
+
+const httpLimits = {};
+for (const [family, defaults] of Object.entries(RATE_LIMITS)) {
+  const envName = `RATE_LIMIT_${family.toUpperCase()}`;
+  httpLimits[family] = httpRateLimit({
+    perIp: new RateLimiter(limitFromEnv(envName, defaults.ip)),
+    perIdentity: new RateLimiter(limitFromEnv(`${envName}_IDENTITY`, defaults.identity)),
+    clientIP: rateLimitIP,
+    identify: rateLimitIdentity
+  });
+}
+
+app.use((req, res, next) => httpLimits[rateLimitFamily(req.path)](req, res, next));
+
+// Wrong passwords per host source, across callers
+const passwordLimiter = new RateLimiter(limitFromEnv('RATE_LIMIT_PASSWORD_ATTEMPTS', '5/60'));
+
+// Requests to documented routes are checked against the OpenAPI document
+// before they reach the handlers. Responses are only checked (and
+// mismatches logged) with OPENAPI_VALIDATE_RESPONSES=true.
+if (process.env.OPENAPI_VALIDATE_RESPONSES === 'true') {
+  app.use(openapi.validateResponses());
+}
+app.use(openapi.validateRequests());
+
+// Apps older than MIN_APP_VERSION are told to update, except when
+// uploading logs for support
+const MIN_APP_VERSION = process.env.MIN_APP_VERSION || null;
+const APP_UPDATE_URL = process.env.APP_UPDATE_URL || null;
+app.use(versions.requireAppVersion({
+  minimum: MIN_APP_VERSION,
+  updateUrl: APP_UPDATE_URL,
+  exempt: req => !req.path.startsWith('/api/') || req.path === '/api/logs/upload'
+}));
+
+// REST API Routes
+
+app.get('/', asyncRoute(async (req, res) => {
+  res.json({
+    service: 'NDI Bridge Rendezvous',
+    version: SERVICE_VERSION,
+    apiVersions: versions.API_VERSIONS,
+    currentApiVersion: versions.CURRENT_API_VERSION,
+    minAppVersion: MIN_APP_VERSION,
+    status: 'online',
+    activeSessions: await store.count('sessions'),
+    activeConnections: await cluster.count()
+  });
+}));
+
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openapi.document);
+});
+
+let docsPage = null;
+app.get('/api/docs', (req, res) => {
+  docsPage = docsPage || openapi.renderHtml(openapi.document);
+  res.type('html').send(docsPage);
+});
+
+// Create a new hosting session. The host also gets a registry entry, listed
+// in discovery only with `discoverable: true`.
+app.post('/api/session/create', asyncRoute(async (req, res) => {
+  const { hostId, bridgeName, sources, discoverable } = req.body;
+
+  // Plain names are enabled public sources; objects are shared only with
+  // `enabled: true`, as on register
+  const normalized = await access.normalizeSources((sources || []).map(s => (typeof s === 'string' ? { name: s, enabled: true } : s)));
+  if (normalized.error) {
+    return res.status(400).json({ success: false, message: normalized.error });
   }
 
-  // Generate hostId if not provided (first registration)
-  const id = hostId || generateHostId();
+  const code = generateCode();
+  const tokenId = auth.newTokenId();
 
-  // Auto-detect public IP from HTTP request if not provided
-  const detectedIP = publicIP || getClientIP(req);
+  // A hostId already taken by another registry entry isn't reused
+  const requestedId = typeof hostId === 'string' && hostId.length <= 64 ? hostId : null;
+  const id = requestedId && !(await store.has('hosts', requestedId)) ? requestedId : generateHostId();
 
   const host = {
     hostId: id,
-    computerName,
-    sources,  // Array of { name: "NDI Source Name", enabled: true/false }
-    publicIP: detectedIP,
-    publicPort: publicPort || 5990,  // Default NDI Bridge port
-    registeredAt: hosts.has(id) ? hosts.get(id).registeredAt : Date.now(),
+    computerName: bridgeName || 'NDI Bridge',
+    sources: normalized.sources,
+    publicIP: getClientIP(req),
+    publicPort: 5990,
+    registeredAt: Date.now(),
     lastHeartbeat: Date.now(),
-    connectedClients: []
+    connectedClients: [],
+    tally: {},
+    controlQueue: [],
+    orgId: null,
+    public: false,
+    policy: { ...approval.DEFAULT_POLICY },
+    tokenId,
+    sessionCode: code,
+    unlisted: discoverable !== true
   };
+  await store.set('hosts', id, host, { ttlMs: HOST_TIMEOUT_MS });
 
-  hosts.set(id, host);
+  await saveThumbnails(id, normalized.thumbnails);
 
-  const enabledSources = sources.filter(s => s.enabled);
-  console.log(`📡 Host registered: ${computerName} with ${enabledSources.length} sources (${id}) - IP: ${detectedIP}`);
+  const session = newSession({ code, hostId: id, origin: 'session', bridgeName, sources: listedSourceNames(host), tokenId });
+  await store.set('sessions', code, session, { ttlMs: SESSION_STORE_TTL_MS });
+
+  req.log.info('Session created', { sessionCode: code, hostId: id, bridgeName });
 
   res.json({
     success: true,
+    code,
     hostId: id,
-    publicIP: detectedIP,
-    message: 'Host registered successfully'
+    // Required for WebSocket `register` as host and for /api/host/endpoint
+    hostToken: auth.issueHostToken('session', code, tokenId),
+    // For the registry API (/api/hosts/:hostId/...)
+    registryHostToken: auth.issueHostToken('registry', id, tokenId),
+    message: 'Session created successfully'
   });
-});
+}));
+
+// Record a code join on the host's registry entry. Codes come from the host,
+// so the request is accepted straight away unless the source is full.
+// Returns { request } ({ request: null } if the host has no entry any more)
+// or { status, message }.
+async function admitCodeJoin(hostId, { clientId, clientName, sourceName, publicIP }) {
+  let outcome = { request: null };
+  let expired = [];
+
+  await store.update('hosts', hostId, (host) => {
+    expired = approval.pruneRequests(host);
+
+    if (sourceName && !host.sources.some(s => s.name === sourceName && s.enabled)) {
+      outcome = { status: 404, message: 'Source not found or not shared' };
+      return;
+    }
 
-// Host heartbeat - keeps host in registry and updates endpoint
-app.post('/api/hosts/heartbeat/:hostId', (req, res) => {
-  const { hostId } = req.params;
-  const { publicIP, publicPort, sources } = req.body;
+    const request = {
+      clientId,
+      clientName: clientName || 'Unknown Client',
+      requestedSource: sourceName || enabledSourceNames(host)[0] || null,
+      // The session code covers every source, e.g. for control messages
+      allSources: !sourceName,
+      publicIP,
+      publicPort: null,
+      requestedAt: Date.now(),
+      state: approval.STATE.PENDING,
+      acknowledged: false
+    };
+    host.connectedClients = host.connectedClients.filter(c => c.clientId !== clientId);
+
+    if (approval.isSourceFull(host, request.requestedSource)) {
+      approval.decide(request, approval.STATE.REJECTED, approval.REASON.MAX_VIEWERS,
+        'This source has reached its maximum number of viewers');
+    } else {
+      approval.decide(request, approval.STATE.ACCEPTED, approval.REASON.JOIN_CODE);
+    }
 
-  const host = hosts.get(hostId);
-  if (!host) {
-    return res.status(404).json({
-      success: false,
-      message: 'Host not found. Please re-register.'
+    host.connectedClients.push(request);
+    outcome = { request };
+  });
+  expired.forEach(recordRequestOutcome);
+
+  if (outcome.request) {
+    metric.connectionRequests.inc();
+    recordRequestOutcome(outcome.request);
+    await events.publish(`host:${hostId}`, 'client_request', {
+      ...describeRequest(outcome.request),
+      state: outcome.request.state,
+      reason: outcome.request.reason
     });
   }
+  return outcome;
+}
 
-  // Update host info
-  host.lastHeartbeat = Date.now();
-  // Update IP - prefer explicit, then auto-detect from request
-  const detectedIP = publicIP || getClientIP(req);
-  if (detectedIP) host.publicIP = detectedIP;
-  if (publicPort) host.publicPort = publicPort;
-  if (sources) host.sources = sources;
+// Join an existing session, by session code or by a host's join code
+app.post('/api/session/join', asyncRoute(async (req, res) => {
+  const { code, clientId, clientName } = req.body;
 
-  // Return any pending client connection requests
-  const pendingClients = host.connectedClients.filter(c => !c.acknowledged);
+  const resolved = await resolveSession(code);
+  const session = resolved && await refreshSessionPresence(resolved.session.code);
 
-  res.json({
-    success: true,
-    pendingClients: pendingClients.map(c => ({
-      clientId: c.clientId,
-      clientName: c.clientName,
-      publicIP: c.publicIP,
-      publicPort: c.publicPort,
-      requestedSource: c.requestedSource
-    }))
+  if (!session) {
+    return sessionGone(res, code, 'Session not found. Please check the code.');
+  }
+  await touchSession(session.code);
+
+  const id = claimedClientId(req, clientId);
+  req.log.info('Client joining session', {
+    sessionCode: session.code,
+    hostId: session.hostId,
+    clientId: id,
+    joinCode: resolved.joinCode?.code
+  });
+
+  const sourceName = resolved.joinCode ? resolved.joinCode.sourceName : null;
+
+  // The join also shows up as an accepted request on the host's entry
+  let request = null;
+  if (session.hostId) {
+    const admitted = await admitCodeJoin(session.hostId, { clientId: id, clientName, sourceName, publicIP: getClientIP(req) });
+    if (admitted.status) {
+      return res.status(admitted.status).json({ success: false, message: admitted.message });
+    }
+    request = admitted.request;
+    if (request?.state === approval.STATE.REJECTED) {
+      return res.status(409).json({
+        success: false,
+        clientId: id,
+        state: request.state,
+        reason: request.reason,
+        message: request.reasonMessage
+      });
+    }
+  }
+
+  res.json({
+    success: true,
+    clientId: id,
+    // Required for WebSocket `register` as client and for /api/client/endpoint
+    clientToken: auth.issueClientToken('session', id, session.code),
+    session: {
+      code: resolved.joinCode ? resolved.joinCode.code : session.code,
+      bridgeName: session.bridgeName,
+      sources: sourceName ? [sourceName] : session.sources,
+      hostConnected: !!session.host
+    },
+    hostId: session.hostId || null,
+    sourceName,
+    // The same connection as seen by the registry (/api/hosts/:hostId/status)
+    registry: request ? {
+      hostId: session.hostId,
+      state: request.state,
+      clientToken: auth.issueClientToken('registry', id, session.hostId)
+    } : null,
+    // Relay credentials in case hole-punching fails
+    turn: turnServer ? turnServer.createCredentials(id) : null
+  });
+}));
+
+// Get session info
+app.get('/api/session/:code', asyncRoute(async (req, res) => {
+  const resolved = await resolveSession(req.params.code);
+  const session = resolved && await refreshSessionPresence(resolved.session.code);
+
+  if (!session) {
+    return sessionGone(res, req.params.code);
+  }
+
+  const sourceName = resolved.joinCode ? resolved.joinCode.sourceName : null;
+  const sources = sourceName ? [sourceName] : session.sources;
+  const host = session.hostId && await store.get('hosts', session.hostId);
+
+  res.json({
+    success: true,
+    session: {
+      code: resolved.joinCode ? resolved.joinCode.code : session.code,
+      bridgeName: session.bridgeName,
+      sources,
+      // Formats as last reported by the host
+      sourceDetails: host
+        ? host.sources.filter(s => s.enabled && sources.includes(s.name)).map(s => describeListedSource(host, s))
+        : [],
+      hostConnected: !!session.host,
+      clientCount: session.clients.length,
+      status: session.status,
+      hostId: session.hostId || null,
+      lastActivityAt: session.lastActivityAt || null,
+      expiresAt: session.expiresAt || null,
+      closesAt: sessionDeadline(session).at
+    }
+  });
+}));
+
+// Host closes its session: peers get `session_closed` and are disconnected
+app.post('/api/session/:code/close', requireSessionHostToken, asyncRoute(async (req, res) => {
+  const { code, hostId } = res.locals.session;
+  const { message } = req.body;
+
+  if (message !== undefined && (typeof message !== 'string' || message.length > 200)) {
+    return res.status(400).json({ success: false, message: 'message must be a string of at most 200 characters' });
+  }
+
+  const closed = await closeSession(code, 'closed_by_host', message || undefined);
+  if (!closed) {
+    return sessionGone(res, code);
+  }
+
+  req.log.info('Session closed by host', { sessionCode: code, hostId });
+  res.json({ success: true, disconnected: closed.disconnected });
+}));
+
+// Host keeps its session open: the idle timer restarts and expiresAt moves
+// `minutes` later, but never past SESSION_MAX_HOURS from now
+app.post('/api/session/:code/extend', requireSessionHostToken, asyncRoute(async (req, res) => {
+  const { code, hostId } = res.locals.session;
+  const { minutes = 60 } = req.body;
+  const maxMinutes = SESSION_MAX_LIFETIME_MS / 60000;
+
+  if (typeof minutes !== 'number' || !(minutes > 0) || minutes > maxMinutes) {
+    return res.status(400).json({ success: false, message: `minutes must be a positive number of at most ${maxMinutes}` });
+  }
+
+  const now = Date.now();
+  const session = await store.update('sessions', code, (session) => {
+    session.lastActivityAt = now;
+    session.warnedFor = null;
+    if (session.expiresAt) {
+      session.expiresAt = Math.min(Math.max(session.expiresAt, now) + minutes * 60000, now + SESSION_MAX_LIFETIME_MS);
+    }
+  }, { ttlMs: SESSION_STORE_TTL_MS });
+  if (!session) {
+    return sessionGone(res, code);
+  }
+  sessionActivityWrites.set(code, now);
+
+  await announceSessionDeadline(session);
+
+  req.log.info('Session extended', { sessionCode: code, hostId, expiresAt: session.expiresAt });
+  res.json({ success: true, expiresAt: session.expiresAt, closesAt: sessionDeadline(session).at });
+}));
+
+// Stats endpoint. /metrics has the full set in Prometheus format.
+app.get('/api/stats', asyncRoute(async (req, res) => {
+  res.json({
+    activeSessions: await store.count('sessions'),
+    activeConnections: await cluster.count(),
+    activeHosts: await store.count('hosts'),
+    connectionRequests: await requestStateCounts(),
+    storedLogs: await store.count('logs'),
+    turnAllocations: turnServer ? turnServer.allocationCount : 0,
+    nodeId: NODE_ID,
+    localConnections: connections.size,
+    uptime: process.uptime()
   });
+}));
+
+// ===== ORGANIZATIONS (Private Host Directories) =====
+
+const orgs = new Organizations({ store });
+
+// Resolve the caller's organization from the X-API-Key header. Callers
+// without a key are anonymous; an unknown or revoked key is rejected.
+const resolveOrg = asyncRoute(async (req, res, next) => {
+  const apiKey = req.headers['x-api-key'];
+  res.locals.orgId = null;
+
+  if (apiKey) {
+    res.locals.orgId = await orgs.resolveApiKey(apiKey);
+    if (!res.locals.orgId) {
+      return res.status(401).json({ success: false, message: 'Invalid API key' });
+    }
+  }
+  next();
 });
 
+// Require an API key for the :orgId in the URL
+const requireOrgKey = [resolveOrg, (req, res, next) => {
+  if (res.locals.orgId !== req.params.orgId) {
+    return res.status(403).json({ success: false, message: 'API key for this organization required' });
+  }
+  next();
+}];
+
+// Create an organization. The returned API key is only shown once.
+app.post('/api/orgs', asyncRoute(async (req, res) => {
+  const { name } = req.body;
+
+  if (!name || typeof name !== 'string') {
+    return res.status(400).json({ success: false, message: 'name required' });
+  }
+
+  const { org, apiKey } = await orgs.create(name);
+  req.log.info('Organization created', { orgId: org.orgId, name });
+
+  res.json({
+    success: true,
+    orgId: org.orgId,
+    name: org.name,
+    apiKey
+  });
+}));
+
+// Create an invite code that hosts can register with, or that teammates
+// can exchange for their own API key
+app.post('/api/orgs/:orgId/invites', requireOrgKey, asyncRoute(async (req, res) => {
+  const { maxUses, expiresInHours } = req.body;
+
+  const invite = await orgs.createInvite(req.params.orgId, {
+    maxUses: Number.isInteger(maxUses) && maxUses > 0 ? maxUses : null,
+    ttlMs: expiresInHours > 0 ? expiresInHours * 60 * 60 * 1000 : undefined
+  });
+
+  res.json({
+    success: true,
+    inviteCode: invite.code,
+    maxUses: invite.maxUses,
+    expiresAt: invite.expiresAt
+  });
+}));
+
+// Exchange an invite code for an API key
+app.post('/api/orgs/join', asyncRoute(async (req, res) => {
+  const { inviteCode, label } = req.body;
+
+  const orgId = await orgs.redeemInvite(inviteCode);
+  if (!orgId) {
+    return res.status(403).json({ success: false, message: 'Invite code is invalid or expired' });
+  }
+
+  const org = await orgs.get(orgId);
+  const apiKey = await orgs.createApiKey(orgId, label);
+  req.log.info('New member joined organization', { orgId });
+
+  res.json({
+    success: true,
+    orgId,
+    name: org ? org.name : null,
+    apiKey
+  });
+}));
+
+app.get('/api/orgs/:orgId/keys', requireOrgKey, asyncRoute(async (req, res) => {
+  res.json({
+    success: true,
+    keys: await orgs.listApiKeys(req.params.orgId)
+  });
+}));
+
+app.delete('/api/orgs/:orgId/keys/:keyId', requireOrgKey, asyncRoute(async (req, res) => {
+  const revoked = await orgs.revokeApiKey(req.params.orgId, req.params.keyId);
+  if (!revoked) {
+    return res.status(404).json({ success: false, message: 'API key not found' });
+  }
+  res.json({ success: true });
+}));
+
+// ===== HOST REGISTRY API (Auto-Discovery) =====
+
+// Helper to get client IP from request (handles proxies like Railway)
+function getClientIP(req) {
+  // Railway and other proxies set X-Forwarded-For header
+  const forwarded = req.headers['x-forwarded-for'];
+  if (forwarded) {
+    // X-Forwarded-For can contain multiple IPs, first one is the client
+    return forwarded.split(',')[0].trim();
+  }
+  // Fall back to direct connection IP
+  return req.ip || req.connection?.remoteAddress || null;
+}
+
+// Register a host with its available NDI sources
+app.post('/api/hosts/register', resolveOrg, asyncRoute(async (req, res) => {
+  const { hostId, computerName, sources, publicIP, publicPort, inviteCode, policy } = req.body;
+
+  if (!computerName || !sources || !Array.isArray(sources)) {
+    return res.status(400).json({
+      success: false,
+      message: 'computerName and sources array required'
+    });
+  }
+
+  // Generate hostId if not provided (first registration)
+  const id = hostId || generateHostId();
+
+  // Auto-detect public IP from HTTP request if not provided
+  const detectedIP = publicIP || getClientIP(req);
+
+  const existing = await store.get('hosts', id);
+
+  // Only the current holder of the host token may take over a live hostId
+  if (existing && !isHostToken(auth.fromRequest(req), 'registry', id, existing)) {
+    return unauthorized(res, 'Host token required to re-register this hostId');
+  }
+
+  // Namespace: the caller's API key, else the org the host is already in,
+  // else an invite code. Hosts without one are in the public directory.
+  let orgId = res.locals.orgId || existing?.orgId || null;
+  if (!orgId && inviteCode) {
+    orgId = await orgs.redeemInvite(inviteCode);
+    if (!orgId) {
+      return res.status(403).json({ success: false, message: 'Invite code is invalid or expired' });
+    }
+  }
+
+  // Hosts in an organization are private unless they opt in to discovery
+  const isPublic = typeof req.body.public === 'boolean' ? req.body.public : !!existing?.public;
+
+  // Connection policy carries over from the previous registration
+  const merged = approval.mergePolicy(existing?.policy, policy || {});
+  if (merged.error) {
+    return res.status(400).json({ success: false, message: merged.error });
+  }
+
+  // Source passwords carry over too unless new ones are sent
+  const normalized = await access.normalizeSources(sources, existing?.sources);
+  if (normalized.error) {
+    return res.status(400).json({ success: false, message: normalized.error });
+  }
+
+  const tokenId = auth.newTokenId();
+
+  const host = {
+    hostId: id,
+    computerName,
+    sources: normalized.sources,  // Array of { name, enabled, access, passwordHash?, ...format }
+    publicIP: detectedIP,
+    publicPort: publicPort || 5990,  // Default NDI Bridge port
+    registeredAt: existing ? existing.registeredAt : Date.now(),
+    lastHeartbeat: Date.now(),
+    connectedClients: [],
+    // Viewers' tally and undelivered control messages (see SOURCE CONTROL)
+    tally: {},
+    controlQueue: [],
+    orgId,
+    public: isPublic,
+    policy: merged.policy,
+    tokenId,
+    // Signaling session, kept across registrations (see ensureHostSession)
+    sessionCode: existing?.sessionCode || null
+  };
+
+  await saveThumbnails(id, normalized.thumbnails);
+  await store.set('hosts', id, host, { ttlMs: HOST_TIMEOUT_MS });
+  if (existing) await publishSourceChanges(host, existing.sources);
+
+  if (existing && (existing.publicIP !== host.publicIP || existing.publicPort !== host.publicPort)) {
+    await events.publish(`host:${id}`, 'host_endpoint', {
+      hostId: id,
+      publicIP: host.publicIP,
+      publicPort: host.publicPort
+    });
+  }
+
+  const enabledSources = host.sources.filter(s => s.enabled);
+  req.log.info('Host registered', { hostId: id, computerName, sources: enabledSources.length, publicIP: detectedIP });
+
+  res.json({
+    success: true,
+    hostId: id,
+    publicIP: detectedIP,
+    orgId,
+    public: isPublic,
+    policy: merged.policy,
+    sources: host.sources.map(s => access.describeSource(s, id)),
+    // Send as `Authorization: Bearer <hostToken>` on heartbeat, acknowledge,
+    // delete and re-register. Registering again issues a new token.
+    hostToken: auth.issueHostToken('registry', id, tokenId),
+    message: 'Host registered successfully'
+  });
+}));
+
+// A connection request as shown to the host
+function describeRequest(c) {
+  return {
+    clientId: c.clientId,
+    clientName: c.clientName,
+    publicIP: c.publicIP,
+    publicPort: c.publicPort,
+    requestedSource: c.requestedSource,
+    expiresAt: c.requestedAt + approval.PENDING_TIMEOUT_MS
+  };
+}
+
+function pendingClientList(host) {
+  return host.connectedClients
+    .filter(c => c.state === approval.STATE.PENDING)
+    .map(describeRequest);
+}
+
+// API v2 heartbeat: waiting and connected clients together, with their state
+function liveClientList(host) {
+  return host.connectedClients
+    .filter(c => c.state === approval.STATE.PENDING || c.state === approval.STATE.ACCEPTED)
+    .map(c => ({
+      ...describeRequest(c),
+      state: c.state,
+      expiresAt: c.state === approval.STATE.PENDING ? c.requestedAt + approval.PENDING_TIMEOUT_MS : null
+    }));
+}
+
+// Refresh a host's presence, expire stale requests and optionally update its
+// endpoint/sources. Publishes `host_endpoint` if the endpoint moved and
+// `sources_changed` if the sources did.
+async function touchHost(hostId, { publicIP, publicPort, sources } = {}) {
+  let moved = false;
+  let previousSources = null;
+  let sinceLast = null;
+  let expired = [];
+  let tallyLapsed = [];
+  const host = await store.update('hosts', hostId, (host) => {
+    const now = Date.now();
+    sinceLast = now - host.lastHeartbeat;
+    host.lastHeartbeat = now;
+    moved = (!!publicIP && host.publicIP !== publicIP) || (!!publicPort && host.publicPort !== publicPort);
+    if (publicIP) host.publicIP = publicIP;
+    if (publicPort) host.publicPort = publicPort;
+    if (sources) {
+      previousSources = host.sources;
+      host.sources = sources;
+    }
+    expired = approval.pruneRequests(host);
+    tallyLapsed = host.tally ? controlModel.pruneTally(host.tally, { now }) : [];
+    if (host.controlQueue) host.controlQueue = freshControl(host.controlQueue, now);
+  }, { ttlMs: HOST_TIMEOUT_MS });
+
+  if (host) metric.heartbeatLateness.observe(sinceLast / 1000);
+  expired.forEach(recordRequestOutcome);
+
+  // A live host keeps its signaling session (and so its join codes) usable
+  if (host?.sessionCode) await ensureHostSession(hostId);
+
+  if (host && previousSources) await publishSourceChanges(host, previousSources);
+  if (host && tallyLapsed.length > 0) await sendTallyState(host, tallyLapsed);
+
+  if (host && moved) {
+    await events.publish(`host:${hostId}`, 'host_endpoint', {
+      hostId,
+      publicIP: host.publicIP,
+      publicPort: host.publicPort
+    });
+  }
+  return host;
+}
+
+// Host heartbeat - keeps host in registry and updates endpoint. With
+// `?wait=<seconds>` and nothing pending, the response is held until a client
+// requests a connection or sends a control message.
+app.post('/api/hosts/heartbeat/:hostId', requireHostToken('Host not found. Please re-register.'), asyncRoute(async (req, res) => {
+  const { hostId } = req.params;
+  const { publicIP, publicPort } = req.body;
+  const waitMs = parseWait(req.query);
+
+  // The full list in `sources`, or only what changed in `sourceChanges`
+  let sources;
+  if (req.body.sources !== undefined && req.body.sourceChanges !== undefined) {
+    return res.status(400).json({ success: false, message: 'Send sources or sourceChanges, not both' });
+  }
+  if (req.body.sources !== undefined || req.body.sourceChanges !== undefined) {
+    const current = (await store.get('hosts', hostId))?.sources || [];
+    const input = req.body.sourceChanges !== undefined
+      ? sourceModel.applySourceChanges(current, req.body.sourceChanges)
+      : { sources: req.body.sources };
+    const normalized = input.error ? input : await access.normalizeSources(input.sources, current);
+    if (normalized.error) {
+      return res.status(400).json({ success: false, message: normalized.error });
+    }
+    await saveThumbnails(hostId, normalized.thumbnails);
+    sources = normalized.sources;
+  }
+
+  const waiter = waitMs
+    ? await events.waiter(`host:${hostId}`, e => e.type === 'client_request' || HOST_CONTROL_EVENTS.includes(e.type))
+    : null;
+
+  // Update IP - prefer explicit, then auto-detect from request
+  let host = await touchHost(hostId, { publicIP: publicIP || getClientIP(req), publicPort, sources });
+
+  if (host && waiter && pendingClientList(host).length === 0 && !host.controlQueue?.length) {
+    res.on('close', waiter.cancel);
+    if (await waiter.wait(waitMs)) host = await store.get('hosts', hostId);
+  } else if (waiter) {
+    waiter.cancel();
+  }
+
+  if (!host) {
+    return res.status(404).json({
+      success: false,
+      message: 'Host not found. Please re-register.'
+    });
+  }
+
+  // Return any pending client connection requests (in v2 with the accepted
+  // clients), viewers' tally and control messages that weren't delivered
+  // over WebSocket
+  const clients = req.apiVersion >= 2
+    ? { clients: liveClientList(host) }
+    : { pendingClients: pendingClientList(host) };
+  res.json({
+    success: true,
+    ...clients,
+    tally: controlModel.tallySummary(host.tally),
+    control: await takeQueuedControl(host)
+  });
+}));
+
+// Host event stream (SSE): `pending_clients` on connect, then
+// `client_request`, `connection_decided`, `client_left` and `host_endpoint`.
+// An open stream keeps the host registered, like a heartbeat.
+app.get('/api/hosts/:hostId/events', requireHostToken(), asyncRoute(async (req, res) => {
+  const { hostId } = req.params;
+  const tokenId = auth.fromRequest(req).jti;
+
+  let stream = null;
+  const unsubscribe = await events.subscribe(`host:${hostId}`, (event) => {
+    if (event.type === 'host_offline') {
+      stream.send('host_offline', event);
+      stream.close();
+      return;
+    }
+    stream.send(event.type, event);
+  });
+
+  let lastPending = null;
+  const refresh = async () => {
+    const host = await touchHost(hostId);
+    // Gone, or re-registered with a new token
+    if (!host || host.tokenId !== tokenId) {
+      stream.send('host_offline', { type: 'host_offline', hostId });
+      stream.close();
+      return;
+    }
+    const pendingClients = pendingClientList(host);
+    const snapshot = JSON.stringify(pendingClients.map(c => c.clientId));
+    if (snapshot !== lastPending) {
+      lastPending = snapshot;
+      stream.send('pending_clients', { pendingClients });
+    }
+  };
+
+  stream = openEventStream(res, { onTick: refresh });
+  stream.onClose(unsubscribe);
+  await refresh();
+}));
+
 // Host goes offline
-app.delete('/api/hosts/:hostId', (req, res) => {
+app.delete('/api/hosts/:hostId', asyncRoute(async (req, res) => {
   const { hostId } = req.params;
 
-  if (hosts.has(hostId)) {
-    const host = hosts.get(hostId);
-    console.log(`👋 Host unregistered: ${host.computerName} (${hostId})`);
-    hosts.delete(hostId);
+  const host = await store.get('hosts', hostId);
+  if (host && !isHostToken(auth.fromRequest(req), 'registry', hostId, host)) {
+    return unauthorized(res, 'Host token required');
+  }
+  if (host) {
+    req.log.info('Host unregistered', { hostId, computerName: host.computerName });
+    await store.delete('hosts', hostId);
+    await deleteThumbnails(hostId, host.sources);
+    await events.publish(`host:${hostId}`, 'host_offline', { hostId });
   }
 
   res.json({ success: true });
-});
+}));
+
+// Mint a join code for one of the host's sources
+app.post('/api/hosts/:hostId/codes', requireHostToken(), asyncRoute(async (req, res) => {
+  const { hostId } = req.params;
+  const { sourceName, expiresInHours } = req.body;
+
+  const host = await store.get('hosts', hostId);
+  if (!host?.sources.some(s => s.name === sourceName && s.enabled)) {
+    return res.status(404).json({ success: false, message: 'Source not found or not shared' });
+  }
+  if (expiresInHours !== undefined && !(typeof expiresInHours === 'number' && expiresInHours > 0)) {
+    return res.status(400).json({ success: false, message: 'expiresInHours must be a positive number' });
+  }
+
+  const joinCode = await joinCodes.create(hostId, sourceName, {
+    ttlMs: expiresInHours ? expiresInHours * 60 * 60 * 1000 : undefined
+  });
+  await ensureHostSession(hostId);
+
+  req.log.info('Join code created', { hostId, joinCode: joinCode.code, sourceName });
+
+  res.json({
+    success: true,
+    code: joinCode.code,
+    sourceName,
+    expiresAt: joinCode.expiresAt
+  });
+}));
+
+// List the host's join codes
+app.get('/api/hosts/:hostId/codes', requireHostToken(), asyncRoute(async (req, res) => {
+  const codes = await joinCodes.list(req.params.hostId);
+  res.json({
+    success: true,
+    codes: codes.map(({ code, sourceName, createdAt, expiresAt }) => ({ code, sourceName, createdAt, expiresAt }))
+  });
+}));
+
+// Revoke a join code. Clients that already joined keep their connection.
+app.delete('/api/hosts/:hostId/codes/:code', requireHostToken(), asyncRoute(async (req, res) => {
+  if (!(await joinCodes.revoke(req.params.hostId, req.params.code))) {
+    return res.status(404).json({ success: false, message: 'Join code not found' });
+  }
+  res.json({ success: true });
+}));
+
+// Create a share link to one of the host's sources. The token is only
+// returned here.
+app.post('/api/hosts/:hostId/links', requireHostToken(), asyncRoute(async (req, res) => {
+  const { hostId } = req.params;
+  const { sourceName, expiresInHours, label } = req.body;
+
+  const host = await store.get('hosts', hostId);
+  if (!host?.sources.some(s => s.name === sourceName && s.enabled)) {
+    return res.status(404).json({ success: false, message: 'Source not found or not shared' });
+  }
+  if (expiresInHours !== undefined && !(typeof expiresInHours === 'number' && expiresInHours > 0)) {
+    return res.status(400).json({ success: false, message: 'expiresInHours must be a positive number' });
+  }
+  if (label !== undefined && typeof label !== 'string') {
+    return res.status(400).json({ success: false, message: 'label must be a string' });
+  }
+
+  const { link, token } = await shareLinks.create(hostId, sourceName, {
+    ttlMs: expiresInHours ? expiresInHours * 60 * 60 * 1000 : undefined,
+    label: label || null
+  });
+
+  req.log.info('Share link created', { hostId, linkId: link.linkId, sourceName });
+
+  res.json({
+    success: true,
+    ...describeLink(link),
+    // Give this to the guest; it works with /api/share/:token and as
+    // `shareToken` on /api/hosts/:hostId/connect
+    token
+  });
+}));
+
+// List the host's live share links (without their tokens)
+app.get('/api/hosts/:hostId/links', requireHostToken(), asyncRoute(async (req, res) => {
+  const links = await shareLinks.list(req.params.hostId);
+  res.json({ success: true, links: links.map(describeLink) });
+}));
+
+// Revoke a share link. Clients connected through it are rejected and their
+// signaling connections closed.
+app.delete('/api/hosts/:hostId/links/:linkId', requireHostToken(), asyncRoute(async (req, res) => {
+  const { hostId, linkId } = req.params;
+
+  if (!(await shareLinks.revoke(hostId, linkId))) {
+    return res.status(404).json({ success: false, message: 'Share link not found' });
+  }
+
+  const message = 'Access to this source was revoked';
+  let revoked = [];
+  await store.update('hosts', hostId, (host) => {
+    revoked = host.connectedClients.filter(c => c.shareLinkId === linkId &&
+      (c.state === approval.STATE.ACCEPTED || c.state === approval.STATE.PENDING));
+    revoked.forEach(c => approval.decide(c, approval.STATE.REJECTED, approval.REASON.ACCESS_REVOKED, message));
+  });
+
+  for (const client of revoked) {
+    recordRequestOutcome(client);
+    await events.publish(`host:${hostId}`, 'connection_decided', {
+      clientId: client.clientId,
+      state: client.state,
+      reason: client.reason,
+      reasonMessage: client.reasonMessage
+    });
+  }
+  await kickHostClients(hostId, revoked.map(c => c.clientId), message);
+
+  req.log.info('Share link revoked', { hostId, linkId, clientsRemoved: revoked.length });
+
+  res.json({ success: true, revokedClients: revoked.length });
+}));
+
+// What a share link points to, for showing the guest before connecting
+app.get('/api/share/:token', asyncRoute(async (req, res) => {
+  const link = await shareLinks.resolve(req.params.token);
+  const host = link && await store.get('hosts', link.hostId);
+  const source = host?.sources.find(s => s.name === link.sourceName && s.enabled);
+
+  if (!source) {
+    return res.status(404).json({ success: false, message: 'Share link is invalid, expired or revoked' });
+  }
+
+  res.json({
+    success: true,
+    hostId: host.hostId,
+    computerName: host.computerName,
+    sourceName: source.name,
+    label: link.label,
+    expiresAt: link.expiresAt,
+    online: (Date.now() - host.lastHeartbeat) < HOST_TIMEOUT_MS
+  });
+}));
 
 // Get list of all available hosts (for clients to browse)
-app.get('/api/hosts', (req, res) => {
+app.get('/api/hosts', resolveOrg, asyncRoute(async (req, res) => {
   const now = Date.now();
   const availableHosts = [];
 
-  for (const [hostId, host] of hosts.entries()) {
+  for (const host of await store.list('hosts')) {
+    // Only hosts in the caller's organization or public ones
+    if (!orgs.canSee(host, res.locals.orgId)) continue;
+
+    // Hosts made with /api/session/create are reached by code unless they
+    // asked to be discoverable
+    if (host.unlisted) continue;
+
     // Only include hosts with recent heartbeat
     if (now - host.lastHeartbeat < HOST_TIMEOUT_MS) {
-      const enabledSources = host.sources.filter(s => s.enabled);
-      if (enabledSources.length > 0) {
+      const listedSources = host.sources.filter(s => access.isListed(host, s, res.locals.orgId));
+      if (listedSources.length > 0) {
         availableHosts.push({
-          hostId,
+          hostId: host.hostId,
           computerName: host.computerName,
-          sources: enabledSources.map(s => s.name),
+          sources: listedSources.map(s => s.name),
+          sourceDetails: listedSources.map(s => describeListedSource(host, s)),
+          // Sources that need `password` on connect
+          passwordRequired: listedSources.filter(s => s.access === access.ACCESS.PASSWORD).map(s => s.name),
           online: true,
           publicIP: host.publicIP,
           publicPort: host.publicPort,
-          lastSeen: host.lastHeartbeat
+          lastSeen: host.lastHeartbeat,
+          orgId: host.orgId || null,
+          public: !host.orgId || !!host.public
         });
       }
     }
   }
 
-  console.log(`📋 Host list requested: ${availableHosts.length} hosts available`);
+  req.log.debug('Host list requested', { hosts: availableHosts.length });
+
+  res.json({
+    success: true,
+    hosts: availableHosts
+  });
+}));
+
+// A source's thumbnail. Visible to the host, its clients, and anyone who
+// can see the source in the host list.
+app.get('/api/hosts/:hostId/sources/:sourceName/thumbnail', resolveOrg, asyncRoute(async (req, res) => {
+  const { hostId, sourceName } = req.params;
+  const notFound = () => res.status(404).json({ success: false, message: 'Thumbnail not found' });
+
+  const host = await store.get('hosts', hostId);
+  const source = host?.sources.find(s => s.name === sourceName);
+  if (!source?.thumbnail) return notFound();
+
+  const claims = auth.fromRequest(req);
+  const allowed = isHostToken(claims, 'registry', hostId, host) ||
+    isClientToken(claims, 'registry', hostId) ||
+    (!!host.sessionCode && isClientToken(claims, 'session', host.sessionCode)) ||
+    (!host.unlisted && orgs.canSee(host, res.locals.orgId) && access.isListed(host, source, res.locals.orgId));
+  if (!allowed) return notFound();
+
+  const thumbnail = await store.get('thumbnails', thumbnailKey(hostId, sourceName));
+  if (!thumbnail) return notFound();
+
+  res.set('Content-Type', thumbnail.contentType);
+  // The URL carries the image hash, so a new thumbnail gets a new URL
+  res.set('Cache-Control', 'private, max-age=300');
+  res.send(Buffer.from(thumbnail.data, 'base64'));
+}));
+
+// Client requests to connect to a specific host/source. `shareToken` (from a
+// share link) or `password` unlock sources that aren't public.
+app.post('/api/hosts/:hostId/connect', resolveOrg, asyncRoute(async (req, res) => {
+  const { hostId } = req.params;
+  const { clientId, clientName, sourceName, publicIP, publicPort, shareToken, password } = req.body;
+
+  const link = shareToken ? await shareLinks.resolve(shareToken) : null;
+  if (shareToken && !link) {
+    return res.status(404).json({ success: false, message: 'Share link is invalid, expired or revoked' });
+  }
+  const viaLink = !!link && link.hostId === hostId && link.sourceName === sourceName;
+
+  // Hosts outside the caller's namespace look exactly like missing ones,
+  // unless the host shared a link to them
+  const host = await store.get('hosts', hostId);
+  if (!host || (!viaLink && !orgs.canSee(host, res.locals.orgId))) {
+    return res.status(404).json({
+      success: false,
+      message: 'Host not found or offline'
+    });
+  }
+
+  // Check if source exists and is enabled
+  const source = host.sources.find(s => s.name === sourceName && s.enabled);
+  if (!source) {
+    return res.status(404).json({
+      success: false,
+      message: 'Source not found or not shared'
+    });
+  }
+
+  // Wrong passwords are counted per source: each attempt takes a token up
+  // front, so concurrent guesses can't all get through, and a right one
+  // gives it back. Once they run out, guesses are turned away unhashed.
+  const attemptKey = `${hostId}\n${sourceName}`;
+  const guarded = source.access === access.ACCESS.PASSWORD && !viaLink && password !== undefined;
+  const attempts = guarded ? passwordLimiter.take(attemptKey) : { allowed: true };
+  if (!attempts.allowed) {
+    const retryAfter = Math.ceil(attempts.retryAfterMs / 1000);
+    req.log.warn('Password attempts limited', { hostId, sourceName });
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+      success: false,
+      message: 'Too many wrong passwords for this source, try again later',
+      passwordRequired: true,
+      retryAfter
+    });
+  }
+
+  const denied = await access.checkAccess(host, source, { orgId: res.locals.orgId, password, link });
+  if (guarded && !denied) passwordLimiter.refund(attemptKey);
+  if (denied) {
+    return res.status(denied.status).json({
+      success: false,
+      message: denied.message,
+      ...(denied.passwordRequired ? { passwordRequired: true } : {})
+    });
+  }
+
+  // Add client to host's connection requests, applying the host's policy
+  const id = claimedClientId(req, clientId);
+  let connectionRequest;
+  let expired = [];
+  const updated = await store.update('hosts', hostId, (host) => {
+    expired = approval.pruneRequests(host);
+
+    connectionRequest = {
+      clientId: id,
+      clientName: clientName || 'Unknown Client',
+      requestedSource: sourceName,
+      publicIP,
+      publicPort,
+      requestedAt: Date.now(),
+      state: approval.STATE.PENDING,
+      acknowledged: false,
+      // Revoking the link ends this connection
+      shareLinkId: viaLink ? link.linkId : null
+    };
+
+    // A repeated request from the same client replaces its earlier one
+    host.connectedClients = host.connectedClients.filter(c => c.clientId !== connectionRequest.clientId);
+
+    if (approval.isSourceFull(host, sourceName)) {
+      approval.decide(connectionRequest, approval.STATE.REJECTED, approval.REASON.MAX_VIEWERS,
+        'This source has reached its maximum number of viewers');
+    } else if (viaLink) {
+      approval.decide(connectionRequest, approval.STATE.ACCEPTED, approval.REASON.SHARE_LINK);
+    } else if (approval.shouldAutoAccept(host, connectionRequest, res.locals.orgId)) {
+      approval.decide(connectionRequest, approval.STATE.ACCEPTED, approval.REASON.AUTO_ACCEPTED);
+    }
+
+    host.connectedClients.push(connectionRequest);
+  });
+  if (!updated) {
+    return res.status(404).json({
+      success: false,
+      message: 'Host not found or offline'
+    });
+  }
+  expired.forEach(recordRequestOutcome);
+  metric.connectionRequests.inc();
+  recordRequestOutcome(connectionRequest);
+
+  if (connectionRequest.state === approval.STATE.REJECTED) {
+    req.log.info('Connection refused, source full', { hostId, clientId: connectionRequest.clientId, sourceName });
+    return res.status(409).json({
+      success: false,
+      clientId: connectionRequest.clientId,
+      state: connectionRequest.state,
+      reason: connectionRequest.reason,
+      message: connectionRequest.reasonMessage
+    });
+  }
+
+  req.log.info('Connection request', {
+    hostId,
+    clientId: connectionRequest.clientId,
+    clientName: connectionRequest.clientName,
+    sourceName,
+    state: connectionRequest.state
+  });
+
+  await events.publish(`host:${hostId}`, 'client_request', {
+    ...describeRequest(connectionRequest),
+    state: connectionRequest.state,
+    reason: connectionRequest.reason || null
+  });
+
+  res.json({
+    success: true,
+    clientId: connectionRequest.clientId,
+    state: connectionRequest.state,
+    hostEndpoint: {
+      publicIP: updated.publicIP,
+      publicPort: updated.publicPort
+    },
+    // Send as `Authorization: Bearer <clientToken>` when polling status
+    clientToken: auth.issueClientToken('registry', connectionRequest.clientId, hostId),
+    // Relay credentials in case hole-punching fails
+    turn: turnServer ? turnServer.createCredentials(connectionRequest.clientId) : null,
+    message: 'Connection request sent to host'
+  });
+}));
+
+// Current status of a client's connection request, as { status } on
+// success or { code, message } for an error response
+async function clientStatus(hostId, clientId, orgId) {
+  const host = await store.get('hosts', hostId);
+  const sharedWith = host?.connectedClients.some(c => c.clientId === clientId && c.shareLinkId);
+  if (!host || (!sharedWith && !orgs.canSee(host, orgId))) {
+    return { code: 404, message: 'Host not found or offline' };
+  }
+
+  // Report timeouts even if the host hasn't sent a heartbeat since
+  approval.pruneRequests(host);
+
+  const client = host.connectedClients.find(c => c.clientId === clientId);
+  if (!client) {
+    return { code: 404, message: 'Connection request not found' };
+  }
+
+  return {
+    status: {
+      hostOnline: (Date.now() - host.lastHeartbeat) < HOST_TIMEOUT_MS,
+      hostEndpoint: {
+        publicIP: host.publicIP,
+        publicPort: host.publicPort
+      },
+      acknowledged: client.acknowledged,
+      state: client.state,
+      reason: client.reason || null,
+      reasonMessage: client.reasonMessage || null
+    }
+  };
+}
+
+// Registry events that change what a client's status looks like
+const affectsClient = clientId => e =>
+  e.clientId === clientId || e.type === 'host_endpoint' || e.type === 'host_offline';
+
+// Client polls for connection status. With `?wait=<seconds>` a pending
+// request is held until the host decides or the host's endpoint changes.
+app.get('/api/hosts/:hostId/status/:clientId', resolveOrg, asyncRoute(async (req, res) => {
+  const { hostId, clientId } = req.params;
+  const waitMs = parseWait(req.query);
+
+  if (!isClientToken(auth.fromRequest(req), 'registry', hostId, clientId)) {
+    return unauthorized(res, 'Client token required');
+  }
+
+  const waiter = waitMs ? await events.waiter(`host:${hostId}`, affectsClient(clientId)) : null;
+  let result = await clientStatus(hostId, clientId, res.locals.orgId);
+
+  if (waiter && result.status?.state === approval.STATE.PENDING) {
+    res.on('close', waiter.cancel);
+    if (await waiter.wait(waitMs)) result = await clientStatus(hostId, clientId, res.locals.orgId);
+  } else if (waiter) {
+    waiter.cancel();
+  }
+
+  if (!result.status) {
+    return res.status(result.code).json({ success: false, message: result.message });
+  }
+  res.json({ success: true, ...result.status });
+}));
+
+// Client event stream (SSE): a `status` event (same fields as the status
+// route) on connect and whenever it changes, and `host_offline` before the
+// stream ends if the host goes away.
+app.get('/api/hosts/:hostId/status/:clientId/events', resolveOrg, asyncRoute(async (req, res) => {
+  const { hostId, clientId } = req.params;
+  const orgId = res.locals.orgId;
+
+  if (!isClientToken(auth.fromRequest(req), 'registry', hostId, clientId)) {
+    return unauthorized(res, 'Client token required');
+  }
+
+  const initial = await clientStatus(hostId, clientId, orgId);
+  if (!initial.status) {
+    return res.status(initial.code).json({ success: false, message: initial.message });
+  }
+
+  let stream = null;
+  let last = null;
+  const refresh = async () => {
+    const result = await clientStatus(hostId, clientId, orgId);
+    if (stream.closed) return;
+    if (!result.status) {
+      stream.send('host_offline', { type: 'host_offline', hostId, message: result.message });
+      stream.close();
+      return;
+    }
+    const snapshot = JSON.stringify(result.status);
+    if (snapshot !== last) {
+      last = snapshot;
+      stream.send('status', result.status);
+    }
+  };
+
+  const unsubscribe = await events.subscribe(`host:${hostId}`, (event) => {
+    if (event.type === 'sources_changed') {
+      stream.send('sources_changed', event);
+      return;
+    }
+    if (!affectsClient(clientId)(event)) return;
+    refresh().catch((err) => req.log.error('Status stream refresh failed', { err }));
+  });
+
+  stream = openEventStream(res, { onTick: refresh });
+  stream.onClose(unsubscribe);
+  await refresh();
+}));
+
+// Host accepts or rejects a client connection request. Returns the HTTP
+// status and message to send if the decision can't be applied.
+async function decideConnectionRequest(hostId, clientId, state, reason, message) {
+  let outcome;
+  let revoked = false;
+  let changed = false;
+  let expired = [];
+  const host = await store.update('hosts', hostId, (host) => {
+    expired = approval.pruneRequests(host);
+    outcome = null;
+    revoked = false;
+    changed = false;
+
+    const client = host.connectedClients.find(c => c.clientId === clientId);
+    if (!client) {
+      outcome = { status: 404, message: 'Connection request not found' };
+      return;
+    }
+
+    if (state === approval.STATE.ACCEPTED) {
+      if (client.state === approval.STATE.ACCEPTED) {
+        outcome = { client };
+        return;
+      }
+      if (client.state !== approval.STATE.PENDING) {
+        outcome = { status: 409, message: `Connection request is already ${client.state}` };
+        return;
+      }
+      if (approval.isSourceFull(host, client.requestedSource)) {
+        outcome = { status: 409, message: 'This source has reached its maximum number of viewers' };
+        return;
+      }
+    }
+
+    revoked = client.state === approval.STATE.ACCEPTED && state === approval.STATE.REJECTED;
+    changed = client.state !== state;
+    approval.decide(client, state, reason, message);
+    outcome = { client };
+  });
+
+  if (!host) return { status: 404, message: 'Host not found' };
+  expired.forEach(recordRequestOutcome);
+  if (changed) recordRequestOutcome(outcome.client);
+  if (outcome.client) {
+    await events.publish(`host:${hostId}`, 'connection_decided', {
+      clientId,
+      state: outcome.client.state,
+      reason: outcome.client.reason || null,
+      reasonMessage: outcome.client.reasonMessage || null
+    });
+  }
+  // Rejecting an accepted client also ends its signaling connection
+  if (revoked) await kickHostClients(hostId, [clientId], message);
+  return { host, ...outcome };
+}
+
+// Host accepts a client connection (`acknowledge` is the original name)
+app.post(['/api/hosts/:hostId/acknowledge/:clientId', '/api/hosts/:hostId/accept/:clientId'], requireHostToken(), asyncRoute(async (req, res) => {
+  const { hostId, clientId } = req.params;
+
+  const result = await decideConnectionRequest(hostId, clientId,
+    approval.STATE.ACCEPTED, approval.REASON.ACCEPTED_BY_HOST);
+
+  if (result.status) {
+    return res.status(result.status).json({ success: false, message: result.message });
+  }
+
+  req.log.info('Connection accepted', { hostId, clientId });
+
+  res.json({ success: true, state: result.client.state });
+}));
+
+// Host rejects a client connection, or revokes an accepted one
+app.post('/api/hosts/:hostId/reject/:clientId', requireHostToken(), asyncRoute(async (req, res) => {
+  const { hostId, clientId } = req.params;
+  const { reason } = req.body;
+
+  if (reason !== undefined && typeof reason !== 'string') {
+    return res.status(400).json({ success: false, message: 'reason must be a string' });
+  }
+
+  const result = await decideConnectionRequest(hostId, clientId,
+    approval.STATE.REJECTED, approval.REASON.REJECTED_BY_HOST, reason || 'The host declined the connection');
+
+  if (result.status) {
+    return res.status(result.status).json({ success: false, message: result.message });
+  }
+
+  req.log.info('Connection rejected', { hostId, clientId });
+
+  res.json({ success: true, state: result.client.state });
+}));
+
+// Client leaves (client token) or host releases a viewer slot (host token)
+app.delete('/api/hosts/:hostId/clients/:clientId', asyncRoute(async (req, res) => {
+  const { hostId, clientId } = req.params;
+  const claims = auth.fromRequest(req);
+
+  const host = await store.get('hosts', hostId);
+  if (!host) {
+    return res.status(404).json({ success: false, message: 'Host not found' });
+  }
+  if (!isHostToken(claims, 'registry', hostId, host) && !isClientToken(claims, 'registry', hostId, clientId)) {
+    return unauthorized(res);
+  }
+
+  await store.update('hosts', hostId, (host) => {
+    host.connectedClients = host.connectedClients.filter(c => c.clientId !== clientId);
+  });
+  await events.publish(`host:${hostId}`, 'client_left', { clientId });
+
+  res.json({ success: true });
+}));
+
+// Host connection policy
+app.get('/api/hosts/:hostId/policy', requireHostToken(), asyncRoute(async (req, res) => {
+  const host = await store.get('hosts', req.params.hostId);
+  res.json({ success: true, policy: { ...approval.DEFAULT_POLICY, ...host?.policy } });
+}));
+
+app.put('/api/hosts/:hostId/policy', requireHostToken(), asyncRoute(async (req, res) => {
+  let error = null;
+  const host = await store.update('hosts', req.params.hostId, (host) => {
+    const merged = approval.mergePolicy(host.policy, req.body);
+    error = merged.error || null;
+    if (!error) host.policy = merged.policy;
+  });
+
+  if (!host) {
+    return res.status(404).json({ success: false, message: 'Host not found' });
+  }
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+
+  res.json({ success: true, policy: host.policy });
+}));
+
+// Log upload endpoint. Accepts JSON, plain text, gzip and multipart bodies
+// (see decodeUpload in lib/logs.js).
+const logUploadBody = [
+  express.json({ limit: LOG_MAX_UPLOAD_BYTES }),
+  express.text({ type: 'text/*', limit: LOG_MAX_UPLOAD_BYTES }),
+  express.raw({
+    type: ['application/gzip', 'application/x-gzip', 'application/octet-stream', 'multipart/form-data'],
+    limit: LOG_MAX_UPLOAD_BYTES
+  })
+];
+
+app.post('/api/logs/upload', logUploadBody, asyncRoute(async (req, res) => {
+  const upload = decodeUpload(req, { maxBytes: LOG_MAX_UPLOAD_BYTES });
+  if (upload.status) {
+    return res.status(upload.status).json({ success: false, message: upload.message });
+  }
+  if (!upload.text) {
+    return res.status(400).json({ success: false, message: 'No log contents provided' });
+  }
+
+  // Long enough that log IDs can't be enumerated
+  const logId = generateLogId();
+
+  const log = await logStore.add(logId, upload.meta, upload.text);
+  metric.logUploads.inc();
+  metric.logUploadBytes.inc({}, log.size);
+
+  req.log.info('Log uploaded', { logId, deviceName: log.deviceName, lines: log.lineCount });
+
+  res.json({
+    success: true,
+    logId,
+    lineCount: log.lineCount,
+    levels: log.levels,
+    redactions: log.redactions,
+    // Send as `Authorization: Bearer <accessToken>` to read the log back
+    accessToken: auth.issueLogToken(logId, Math.ceil(LOG_RETENTION_MS / 1000)),
+    expiresAt: log.uploadedAt + LOG_RETENTION_MS,
+    message: 'Logs uploaded successfully'
+  });
+}));
+
+// A log can be read by admins and by its uploader
+function canReadLog(req, logId) {
+  if (isAdmin(req)) return true;
+  const claims = auth.fromRequest(req);
+  return claims?.role === 'uploader' && claims.scope === 'log' && claims.sub === logId;
+}
+
+// Search uploaded logs by device, platform, version, time range, level and
+// text/regex. Returns matching logs with their matching lines. Admin only.
+app.get('/api/logs/search', requireAdmin, asyncRoute(async (req, res) => {
+  const parsed = parseQuery(req.query);
+  if (parsed.error) {
+    return res.status(400).json({ success: false, message: parsed.error });
+  }
+
+  const result = await logStore.search(parsed.filters);
+
+  res.json({
+    success: true,
+    count: result.logs.length,
+    matchCount: result.matchCount,
+    truncated: result.truncated,
+    logs: result.logs
+  });
+}));
+
+// Get uploaded log by ID (admin key or the uploader's access token).
+// `?lines=true` adds the parsed lines.
+app.get('/api/logs/:logId', asyncRoute(async (req, res) => {
+  const { logId } = req.params;
+  if (!canReadLog(req, logId)) {
+    return unauthorized(res, 'Admin key or log access token required');
+  }
+
+  const log = await logStore.get(logId);
+  const logContents = log && await logStore.contents(logId);
+
+  if (!log || logContents === null) {
+    return res.status(404).json({ success: false, message: 'Log not found' });
+  }
+
+  res.json({
+    success: true,
+    log: {
+      ...log,
+      logContents,
+      ...(req.query.lines === 'true' ? { lines: await logStore.lines(logId) } : {})
+    }
+  });
+}));
+
+// Delete an uploaded log (admin key or the uploader's access token)
+app.delete('/api/logs/:logId', asyncRoute(async (req, res) => {
+  const { logId } = req.params;
+  if (!canReadLog(req, logId)) {
+    return unauthorized(res, 'Admin key or log access token required');
+  }
+  if (!(await logStore.get(logId))) {
+    return res.status(404).json({ success: false, message: 'Log not found' });
+  }
+
+  await logStore.remove(logId);
+  res.json({ success: true });
+}));
+
+// List uploaded logs, optionally filtered by deviceName, platform,
+// appVersion and time range (same parameters as search). Admin only.
+app.get('/api/logs', requireAdmin, asyncRoute(async (req, res) => {
+  const parsed = parseQuery(req.query);
+  if (parsed.error) {
+    return res.status(400).json({ success: false, message: parsed.error });
+  }
+
+  const logs = await logStore.list(parsed.filters);
+
+  res.json({
+    success: true,
+    count: logs.length,
+    logs
+  });
+}));
+
+// ===== SOURCE CONTROL (Tally, PTZ, Metadata) =====
+//
+// Accepted viewers send tally, PTZ and NDI metadata for a source over
+// WebSocket or POST /api/hosts/:hostId/control (see lib/control.js). Hosts
+// get them on their WebSocket and event stream; PTZ and metadata that no
+// WebSocket took wait for the next heartbeat.
+
+// Camera moves that arrive late do more harm than good
+const CONTROL_QUEUE_TTL_MS = 10 * 1000;
+const CONTROL_QUEUE_MAX = 50;
+
+// Tally sent over HTTP stops counting unless it's sent again within this time
+const HTTP_TALLY_TTL_MS = 60 * 1000;
+
+// Events on a host's topic that carry control for it
+const HOST_CONTROL_EVENTS = ['ptz', 'metadata', 'tally_state'];
+
+const CONTROL_HTTP_STATUS = {
+  [protocol.ERROR.INVALID_MESSAGE]: 400,
+  [protocol.ERROR.FORBIDDEN]: 403,
+  [protocol.ERROR.SESSION_NOT_FOUND]: 404
+};
+
+function freshControl(queue, now = Date.now()) {
+  return queue.filter(message => now - message.queuedAt < CONTROL_QUEUE_TTL_MS);
+}
+
+// Viewers may control the source they were accepted for, or any enabled
+// source if they joined with the session code, and only with the control
+// types the host's policy allows. Returns null or { code, message }.
+function checkControlAccess(host, clientId, control) {
+  const request = clientId && host.connectedClients.find(c =>
+    c.clientId === clientId && c.state === approval.STATE.ACCEPTED);
+  if (!request) {
+    return { code: protocol.ERROR.FORBIDDEN, message: 'Only accepted viewers can control sources' };
+  }
+
+  const source = host.sources.find(s => s.name === control.sourceName && s.enabled);
+  if (!source || (!request.allSources && request.requestedSource !== control.sourceName)) {
+    return { code: protocol.ERROR.FORBIDDEN, message: 'Not a viewer of this source' };
+  }
+
+  const { control: allowed } = { ...approval.DEFAULT_POLICY, ...host.policy };
+  if (!allowed.includes(control.type)) {
+    return { code: protocol.ERROR.FORBIDDEN, message: `The host doesn't accept ${control.type} control` };
+  }
+  return null;
+}
+
+// Send a message to a host's WebSocket, if it has one, and its event
+// stream. With `queue`, a message the WebSocket didn't take is kept for the
+// next heartbeat. Returns whether the WebSocket took it.
+async function deliverToHost(host, message, { queue = false } = {}) {
+  const session = host.sessionCode && await store.get('sessions', host.sessionCode);
+  const delivered = session?.host ? await cluster.send(session.host, message) : false;
+
+  if (!delivered && queue) {
+    await store.update('hosts', host.hostId, (host) => {
+      host.controlQueue = [...freshControl(host.controlQueue || []), { ...message, queuedAt: Date.now() }]
+        .slice(-CONTROL_QUEUE_MAX);
+    });
+  }
+  // After queueing, so a heartbeat woken by this finds the message
+  await events.publish(`host:${host.hostId}`, message.type, message);
+  return delivered;
+}
+
+// Tell a host the aggregate tally of some of its sources. Returns whether
+// its WebSocket took every update.
+async function sendTallyState(host, sourceNames) {
+  let delivered = true;
+  for (const sourceName of sourceNames) {
+    const tally = controlModel.aggregateTally(host.tally, sourceName);
+    delivered = await deliverToHost(host, { type: 'tally_state', hostId: host.hostId, sourceName, ...tally }) && delivered;
+  }
+  return delivered;
+}
+
+// Validate, authorize and pass on a control message from client `clientId`.
+// `viewerId` keys the sender's tally, which lapses after HTTP_TALLY_TTL_MS
+// when sent over HTTP. Returns { messageId, delivered } or
+// { error: { code, message } }.
+async function relayControl(hostId, clientId, input, { viewerId, viaHttp = false, log = logger }) {
+  const normalized = controlModel.normalizeControl(input);
+  if (normalized.error) {
+    return { error: { code: protocol.ERROR.INVALID_MESSAGE, message: normalized.error } };
+  }
+  const { control } = normalized;
+
+  const host = hostId && await store.get('hosts', hostId);
+  if (!host) {
+    return { error: { code: protocol.ERROR.SESSION_NOT_FOUND, message: 'Host not found' } };
+  }
+
+  const denied = checkControlAccess(host, clientId, control);
+  if (denied) {
+    metric.controlMessages.inc({ type: control.type, result: 'rejected' });
+    log.info('Control message rejected', { hostId, clientId, sourceName: control.sourceName, reason: denied.message });
+    return { error: denied };
+  }
+
+  if (control.type === 'tally') {
+    let before = null;
+    let after = null;
+    const updated = await store.update('hosts', hostId, (host) => {
+      host.tally = host.tally || {};
+      before = controlModel.aggregateTally(host.tally, control.sourceName);
+      controlModel.setTally(host.tally, control.sourceName, viewerId, control, {
+        expiresAt: viaHttp ? Date.now() + HTTP_TALLY_TTL_MS : null
+      });
+      after = controlModel.aggregateTally(host.tally, control.sourceName);
+    });
+    if (!updated) {
+      return { error: { code: protocol.ERROR.SESSION_NOT_FOUND, message: 'Host not found' } };
+    }
+
+    // Only changes to the aggregate reach the host
+    const changed = JSON.stringify(before) !== JSON.stringify(after);
+    const delivered = changed ? await sendTallyState(updated, [control.sourceName]) : false;
+    metric.controlMessages.inc({ type: 'tally', result: changed ? (delivered ? 'delivered' : 'queued') : 'unchanged' });
+    log.debug('Tally updated', { hostId, sourceName: control.sourceName, ...after });
+    return { messageId: null, delivered };
+  }
+
+  const message = { ...control, hostId, clientId, messageId: generateMessageId(), sentAt: Date.now() };
+  const delivered = await deliverToHost(host, message, { queue: true });
+  metric.controlMessages.inc({ type: control.type, result: delivered ? 'delivered' : 'queued' });
+  log.debug('Control message relayed', {
+    hostId,
+    sourceName: control.sourceName,
+    forwardedId: message.messageId,
+    delivered
+  });
+  return { messageId: message.messageId, delivered };
+}
 
-  res.json({
-    success: true,
-    hosts: availableHosts
+// A viewer went away: its tally stops counting
+async function dropViewerTally(hostId, viewerId) {
+  let affected = [];
+  const host = await store.update('hosts', hostId, (host) => {
+    affected = host.tally ? controlModel.pruneTally(host.tally, { viewerId }) : [];
   });
-});
+  if (host && affected.length > 0) await sendTallyState(host, affected);
+}
+
+// PTZ and metadata held for a host without a WebSocket, oldest first. They
+// are handed out once.
+async function takeQueuedControl(host) {
+  if (!host.controlQueue?.length) return [];
 
-// Client requests to connect to a specific host/source
-app.post('/api/hosts/:hostId/connect', (req, res) => {
+  let messages = [];
+  await store.update('hosts', host.hostId, (host) => {
+    messages = freshControl(host.controlQueue || []).map(({ queuedAt, ...message }) => message);
+    host.controlQueue = [];
+  });
+  return messages;
+}
+
+// Client sends tally, PTZ or metadata for a source over HTTP
+app.post('/api/hosts/:hostId/control', asyncRoute(async (req, res) => {
   const { hostId } = req.params;
-  const { clientId, clientName, sourceName, publicIP, publicPort } = req.body;
+  const claims = auth.fromRequest(req);
 
-  const host = hosts.get(hostId);
-  if (!host) {
-    return res.status(404).json({
-      success: false,
-      message: 'Host not found or offline'
-    });
+  const host = await store.get('hosts', hostId);
+  const authorized = isClientToken(claims, 'registry', hostId) ||
+    (!!host?.sessionCode && isClientToken(claims, 'session', host.sessionCode));
+  if (!authorized) {
+    return unauthorized(res, 'Client token required');
   }
 
-  // Check if source exists and is enabled
-  const source = host.sources.find(s => s.name === sourceName && s.enabled);
-  if (!source) {
-    return res.status(404).json({
-      success: false,
-      message: 'Source not found or not shared'
-    });
+  const result = await relayControl(hostId, claims.sub, req.body, {
+    viewerId: `http:${claims.sub}`,
+    viaHttp: true,
+    log: req.log
+  });
+  if (result.error) {
+    return res.status(CONTROL_HTTP_STATUS[result.error.code] || 400)
+      .json({ success: false, code: result.error.code, message: result.error.message });
   }
 
-  // Add client to host's pending connections
-  const connectionRequest = {
-    clientId: clientId || generateCode(),
-    clientName: clientName || 'Unknown Client',
-    requestedSource: sourceName,
-    publicIP,
-    publicPort,
-    requestedAt: Date.now(),
-    acknowledged: false
-  };
+  res.json({ success: true, messageId: result.messageId, delivered: result.delivered });
+}));
+
+// Host reads its sources' aggregate tally
+app.get('/api/hosts/:hostId/tally', requireHostToken(), asyncRoute(async (req, res) => {
+  const host = await store.get('hosts', req.params.hostId);
+  res.json({ success: true, tally: controlModel.tallySummary(host?.tally) });
+}));
+
+// ===== CONNECTION TELEMETRY =====
+//
+// Peers report how their P2P connection attempt ended over REST or as a
+// `connection_outcome` WebSocket message. Reports without a natType pick up
+// the reporter's classification from the STUN probe (lib/nat.js).
+
+// Store a report for a peer and count it. `peerId` is the id the peer used
+// in its STUN USERNAME.
+async function recordOutcome(report, { hostId, sessionCode, role, peerId, publicIP, log = logger }) {
+  if (!report.natType && sessionCode && peerId) {
+    report.natType = await natClassifier.get(`${sessionCode}:${peerId}`);
+  }
 
-  host.connectedClients.push(connectionRequest);
+  const record = await telemetry.record(report, { hostId, sessionCode, role, network: networkOf(publicIP) });
 
-  console.log(`🔗 Connection request: ${clientName} -> ${host.computerName}/${sourceName}`);
+  metric.p2pOutcomes.inc({ result: record.result, nat_type: record.natType || 'unknown' });
+  if (record.timeToConnectMs !== null) {
+    metric.timeToConnect.observe({ result: record.result }, record.timeToConnectMs / 1000);
+  }
+  log.info('Connection outcome reported', { result: record.result, role, hostId, sessionCode, natType: record.natType });
+  return record;
+}
 
-  res.json({
-    success: true,
-    clientId: connectionRequest.clientId,
-    hostEndpoint: {
-      publicIP: host.publicIP,
-      publicPort: host.publicPort
-    },
-    message: 'Connection request sent to host'
-  });
-});
+// Who is reporting, from `code` (session peers) or `hostId` (registry hosts
+// and clients) and the bearer token. Returns { reporter } or { status, message }.
+async function outcomeReporter(req) {
+  const claims = auth.fromRequest(req);
+  const { code, hostId } = req.body;
 
-// Client polls for connection status
-app.get('/api/hosts/:hostId/status/:clientId', (req, res) => {
-  const { hostId, clientId } = req.params;
+  if (code) {
+    const session = (await resolveSession(code, { internal: true }))?.session;
+    if (!session) return { status: 404, message: 'Session not found' };
 
-  const host = hosts.get(hostId);
-  if (!host) {
-    return res.status(404).json({
-      success: false,
-      message: 'Host not found or offline'
-    });
+    const where = { hostId: session.hostId || null, sessionCode: session.code };
+    if (await isSessionHost(claims, session)) return { reporter: { ...where, role: 'host' } };
+    if (await isSessionClient(claims, session)) return { reporter: { ...where, role: 'client' } };
+    return { status: 401, message: 'Session host or client token required' };
   }
 
-  const client = host.connectedClients.find(c => c.clientId === clientId);
-  if (!client) {
-    return res.status(404).json({
-      success: false,
-      message: 'Connection request not found'
-    });
+  if (hostId) {
+    const host = await store.get('hosts', hostId);
+    if (!host) return { status: 404, message: 'Host not found' };
+
+    const where = { hostId, sessionCode: host.sessionCode || null };
+    if (isHostToken(claims, 'registry', hostId, host)) return { reporter: { ...where, role: 'host' } };
+    if (isClientToken(claims, 'registry', hostId, claims?.sub)) return { reporter: { ...where, role: 'client' } };
+    return { status: 401, message: 'Host or client token required' };
   }
 
-  res.json({
-    success: true,
-    hostOnline: (Date.now() - host.lastHeartbeat) < HOST_TIMEOUT_MS,
-    hostEndpoint: {
-      publicIP: host.publicIP,
-      publicPort: host.publicPort
-    },
-    acknowledged: client.acknowledged
+  return { status: 400, message: 'code or hostId is required' };
+}
+
+// Report a connection outcome
+app.post('/api/telemetry/outcomes', asyncRoute(async (req, res) => {
+  const normalized = normalizeReport(req.body);
+  if (normalized.error) {
+    return res.status(400).json({ success: false, message: normalized.error });
+  }
+
+  const found = await outcomeReporter(req);
+  if (!found.reporter) {
+    return res.status(found.status).json({ success: false, message: found.message });
+  }
+
+  const { peerId } = req.body;
+  const record = await recordOutcome(normalized.report, {
+    ...found.reporter,
+    peerId: typeof peerId === 'string' ? peerId : null,
+    publicIP: getClientIP(req),
+    log: req.log
   });
-});
 
-// Host acknowledges a client connection
-app.post('/api/hosts/:hostId/acknowledge/:clientId', (req, res) => {
-  const { hostId, clientId } = req.params;
+  res.json({ success: true, reportId: record.id, network: record.network, natType: record.natType });
+}));
 
-  const host = hosts.get(hostId);
-  if (!host) {
-    return res.status(404).json({ success: false, message: 'Host not found' });
+// Aggregated outcomes. Admins can query everything; a host can query its
+// own reports with its registry host token and `hostId`.
+app.get('/api/telemetry/outcomes', asyncRoute(async (req, res) => {
+  const parsed = parseOutcomeQuery(req.query);
+  if (parsed.error) {
+    return res.status(400).json({ success: false, message: parsed.error });
   }
+  const { filters } = parsed;
 
-  const client = host.connectedClients.find(c => c.clientId === clientId);
-  if (client) {
-    client.acknowledged = true;
-    console.log(`✅ Connection acknowledged: ${client.clientName} -> ${host.computerName}`);
+  if (!isAdmin(req)) {
+    const host = filters.hostId ? await store.get('hosts', filters.hostId) : null;
+    if (!host || !isHostToken(auth.fromRequest(req), 'registry', filters.hostId, host)) {
+      return unauthorized(res, 'Admin key, or hostId with its host token, required');
+    }
   }
 
-  res.json({ success: true });
+  res.json({ success: true, ...(await telemetry.summarize(filters)) });
+}));
+
+// ===== ADMIN =====
+//
+// Live state and operator actions, behind ADMIN_API_KEY (`X-Admin-Key`).
+// /admin serves a small dashboard on top of these routes.
+
+app.get('/admin', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'admin.html'));
 });
 
-// Log upload endpoint
-const uploadedLogs = new Map(); // Store logs in memory (use database for production)
+// A host as shown to operators, without token ids or password hashes
+function describeHostForAdmin(host) {
+  return {
+    hostId: host.hostId,
+    computerName: host.computerName,
+    orgId: host.orgId || null,
+    public: host.public,
+    unlisted: !!host.unlisted,
+    publicIP: host.publicIP,
+    publicPort: host.publicPort,
+    sources: host.sources.map(s => access.describeSource(s, host.hostId)),
+    policy: host.policy,
+    sessionCode: host.sessionCode || null,
+    registeredAt: host.registeredAt,
+    lastHeartbeat: host.lastHeartbeat,
+    online: (Date.now() - host.lastHeartbeat) < HOST_TIMEOUT_MS,
+    clients: host.connectedClients.map(c => ({
+      ...describeRequest(c),
+      state: c.state,
+      reason: c.reason || null,
+      requestedAt: c.requestedAt,
+      decidedAt: c.decidedAt || null,
+      shareLinkId: c.shareLinkId || null
+    }))
+  };
+}
 
-app.post('/api/logs/upload', (req, res) => {
-  const { deviceName, timestamp, logContents, platform, appVersion } = req.body;
+function describeSessionForAdmin(session) {
+  return {
+    code: session.code,
+    hostId: session.hostId || null,
+    origin: session.origin,
+    bridgeName: session.bridgeName,
+    sources: session.sources,
+    status: session.status,
+    host: session.host,
+    clients: session.clients,
+    createdAt: session.createdAt,
+    lastActivityAt: session.lastActivityAt || null,
+    expiresAt: session.expiresAt || null,
+    closesAt: sessionDeadline(session).at
+  };
+}
 
-  if (!logContents) {
-    return res.status(400).json({ success: false, message: 'No log contents provided' });
+app.get('/api/admin/sessions', requireAdmin, asyncRoute(async (req, res) => {
+  const sessions = (await store.list('sessions'))
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(describeSessionForAdmin);
+  res.json({ success: true, sessions });
+}));
+
+app.get('/api/admin/hosts', requireAdmin, asyncRoute(async (req, res) => {
+  const hosts = (await store.list('hosts'))
+    .sort((a, b) => a.computerName.localeCompare(b.computerName))
+    .map(describeHostForAdmin);
+  res.json({ success: true, hosts });
+}));
+
+// WebSocket connections on every replica
+app.get('/api/admin/connections', requireAdmin, asyncRoute(async (req, res) => {
+  const connections = (await cluster.list())
+    .sort((a, b) => a.connectedAt - b.connectedAt)
+    .map(({ connectionId, nodeId, connectedAt, role, sessionCode, clientId, protocolVersion, rttMs }) => ({
+      connectionId,
+      nodeId,
+      connectedAt,
+      role: role || null,
+      sessionCode: sessionCode || null,
+      clientId: clientId || null,
+      protocolVersion: protocolVersion || null,
+      rttMs: rttMs ?? null
+    }));
+  res.json({ success: true, connections });
+}));
+
+// Force-expire a session. A registered host that is still online gets its
+// session back (with the same code) the next time it checks in.
+app.delete('/api/admin/sessions/:code', requireAdmin, asyncRoute(async (req, res) => {
+  const closed = await closeSession(req.params.code, 'closed_by_operator');
+  if (!closed) {
+    return res.status(404).json({ success: false, message: 'Session not found' });
   }
 
-  // Generate unique log ID
-  const logId = generateCode();
+  req.log.info('Admin closed session', { sessionCode: req.params.code });
+  res.json({ success: true, disconnected: closed.disconnected });
+}));
 
-  const logEntry = {
-    logId,
-    deviceName: deviceName || 'Unknown',
-    timestamp: timestamp || new Date().toISOString(),
-    platform: platform || 'Unknown',
-    appVersion: appVersion || 'Unknown',
-    logContents,
-    uploadedAt: Date.now()
-  };
+// Evict a host: remove its registry entry and close its session
+app.delete('/api/admin/hosts/:hostId', requireAdmin, asyncRoute(async (req, res) => {
+  const { hostId } = req.params;
 
-  uploadedLogs.set(logId, logEntry);
+  const host = await store.get('hosts', hostId);
+  if (!host) {
+    return res.status(404).json({ success: false, message: 'Host not found' });
+  }
 
-  console.log(`📤 Log uploaded from ${deviceName} [${logId}]`);
+  await store.delete('hosts', hostId);
+  await deleteThumbnails(hostId, host.sources);
+  await events.publish(`host:${hostId}`, 'host_offline', { hostId });
+  const closed = host.sessionCode
+    ? await closeSession(host.sessionCode, 'host_removed')
+    : null;
 
-  res.json({
-    success: true,
-    logId,
-    message: 'Logs uploaded successfully'
-  });
-});
+  req.log.info('Admin evicted host', { hostId, computerName: host.computerName });
+  res.json({ success: true, disconnected: closed ? closed.disconnected : 0 });
+}));
 
-// Get uploaded log by ID
-app.get('/api/logs/:logId', (req, res) => {
-  const { logId } = req.params;
-  const log = uploadedLogs.get(logId);
+// Disconnect one WebSocket connection, on whichever replica holds it
+app.delete('/api/admin/connections/:connectionId', requireAdmin, asyncRoute(async (req, res) => {
+  const { connectionId } = req.params;
+  const { reason } = req.body || {};
 
-  if (!log) {
-    return res.status(404).json({ success: false, message: 'Log not found' });
+  if (reason !== undefined && typeof reason !== 'string') {
+    return res.status(400).json({ success: false, message: 'reason must be a string' });
+  }
+  if (!(await cluster.kick(connectionId, reason || 'Disconnected by an operator', 'disconnected'))) {
+    return res.status(404).json({ success: false, message: 'Connection not found' });
   }
 
-  res.json({
-    success: true,
-    log
-  });
-});
-
-// List all uploaded logs
-app.get('/api/logs', (req, res) => {
-  const logs = Array.from(uploadedLogs.values())
-    .sort((a, b) => b.uploadedAt - a.uploadedAt)
-    .map(log => ({
-      logId: log.logId,
-      deviceName: log.deviceName,
-      timestamp: log.timestamp,
-      platform: log.platform,
-      appVersion: log.appVersion,
-      uploadedAt: log.uploadedAt,
-      size: log.logContents.length
-    }));
+  req.log.info('Admin disconnected connection', { connectionId });
+  res.json({ success: true });
+}));
 
-  res.json({
-    success: true,
-    count: logs.length,
-    logs
-  });
-});
+// Send a maintenance notice to every connected WebSocket peer
+app.post('/api/admin/broadcast', requireAdmin, asyncRoute(async (req, res) => {
+  const { message, severity = 'info', startsAt = null, endsAt = null } = req.body;
 
-// Delete old logs (cleanup) - remove logs older than 24 hours
-setInterval(() => {
-  const now = Date.now();
-  for (const [logId, log] of uploadedLogs.entries()) {
-    if (now - log.uploadedAt > 24 * 60 * 60 * 1000) {
-      console.log(`🧹 Cleaning up old log: ${logId}`);
-      uploadedLogs.delete(logId);
+  if (typeof message !== 'string' || !message || message.length > 500) {
+    return res.status(400).json({ success: false, message: 'message must be a string of 1 to 500 characters' });
+  }
+  if (!['info', 'warning', 'critical'].includes(severity)) {
+    return res.status(400).json({ success: false, message: 'severity must be info, warning or critical' });
+  }
+  for (const [field, value] of Object.entries({ startsAt, endsAt })) {
+    if (value !== null && !Number.isInteger(value)) {
+      return res.status(400).json({ success: false, message: `${field} must be epoch milliseconds` });
     }
   }
-}, 60 * 60 * 1000); // Check every hour
+
+  await cluster.broadcast({ type: 'maintenance', message, severity, startsAt, endsAt, sentAt: Date.now() });
+
+  req.log.info('Admin broadcast', { severity, message });
+  res.json({ success: true, connections: await cluster.count() });
+}));
 
 // ===== HTTP POLLING ENDPOINTS (WebSocket Alternative) =====
 
 // Host updates its UDP endpoint
-app.post('/api/host/endpoint/:code', (req, res) => {
-  const { code } = req.params;
+app.post('/api/host/endpoint/:code', requireSessionHostToken, asyncRoute(async (req, res) => {
+  const { code, hostId } = res.locals.session;
   const { publicIP, publicPort, peerId } = req.body;
 
-  const session = sessions.get(code);
+  const session = await store.update('sessions', code, (session) => {
+    session.hostEndpoint = { publicIP, publicPort, peerId, updatedAt: Date.now() };
+  });
   if (!session) {
     return res.status(404).json({ success: false, message: 'Session not found' });
   }
 
-  session.hostEndpoint = { publicIP, publicPort, peerId, updatedAt: Date.now() };
-  console.log(`🏠 Host endpoint updated for ${code}: ${publicIP}:${publicPort}`);
+  req.log.info('Host endpoint updated', { sessionCode: code, publicIP, publicPort });
+  await touchSession(code);
+
+  // Counts as a heartbeat for the host's registry entry
+  if (hostId) await touchHost(hostId);
+
+  await events.publish(`session:${code}`, 'host_endpoint', { publicIP, publicPort, peerId });
 
   res.json({ success: true });
-});
+}));
 
 // Client updates its UDP endpoint
-app.post('/api/client/endpoint/:code', (req, res) => {
-  const { code } = req.params;
+app.post('/api/client/endpoint/:code', asyncRoute(async (req, res) => {
   const { publicIP, publicPort, peerId, clientName } = req.body;
 
-  const session = sessions.get(code);
-  if (!session) {
-    return res.status(404).json({ success: false, message: 'Session not found' });
+  const resolved = await resolveSession(req.params.code, { internal: true });
+  if (!resolved) {
+    return sessionGone(res, req.params.code);
+  }
+  const { code } = resolved.session;
+  if (!(await isSessionClient(auth.fromRequest(req), resolved.session))) {
+    return unauthorized(res, 'Client token required');
   }
 
   // Store or update client endpoint
-  const existingIndex = session.clientEndpoints?.findIndex(c => c.peerId === peerId);
-  const endpoint = { publicIP, publicPort, peerId, clientName, updatedAt: Date.now() };
+  const session = await store.update('sessions', code, (session) => {
+    const existingIndex = session.clientEndpoints?.findIndex(c => c.peerId === peerId);
+    const endpoint = { publicIP, publicPort, peerId, clientName, updatedAt: Date.now() };
 
-  if (!session.clientEndpoints) session.clientEndpoints = [];
+    if (!session.clientEndpoints) session.clientEndpoints = [];
 
-  if (existingIndex >= 0) {
-    session.clientEndpoints[existingIndex] = endpoint;
-  } else {
-    session.clientEndpoints.push(endpoint);
+    if (existingIndex >= 0) {
+      session.clientEndpoints[existingIndex] = endpoint;
+    } else {
+      session.clientEndpoints.push(endpoint);
+    }
+  });
+  if (!session) {
+    return res.status(404).json({ success: false, message: 'Session not found' });
   }
 
-  console.log(`👤 Client endpoint updated for ${code}: ${publicIP}:${publicPort}`);
-
-  res.json({ success: true });
-});
+  req.log.info('Client endpoint updated', { sessionCode: code, publicIP, publicPort });
+  await touchSession(code);
 
-// Host polls for client connections
-app.get('/api/host/poll/:code', (req, res) => {
-  const { code } = req.params;
-  const session = sessions.get(code);
+  await events.publish(`session:${code}`, 'client_endpoint', { peerId, clientName, publicIP, publicPort });
 
-  if (!session) {
-    return res.status(404).json({ success: false, message: 'Session not found' });
-  }
+  res.json({ success: true });
+}));
 
-  // Return list of connected clients with their UDP endpoints
+// What the host sees when polling: connected clients with their UDP endpoints
+function hostPollState(session) {
   const clients = (session.clientEndpoints || []).map(c => ({
     peerId: c.peerId,
     clientName: c.clientName,
@@ -535,302 +2869,1221 @@ app.get('/api/host/poll/:code', (req, res) => {
     connected: (Date.now() - c.updatedAt) < 30000 // Active if updated in last 30s
   }));
 
-  res.json({
-    success: true,
+  return {
     clients,
     hostEndpoint: session.hostEndpoint || null
+  };
+}
+
+// Source names a session client may see: the session's listed sources plus
+// the one it was granted. Clients that joined with a join code only see the
+// code's source.
+async function clientSourceNames(session, claims) {
+  if (!session.hostId) return session.sources;
+  const host = await store.get('hosts', session.hostId);
+  const request = host?.connectedClients.find(c => c.clientId === claims?.sub);
+  if (request?.allSources === false) return [request.requestedSource];
+  const granted = !request?.allSources && request?.requestedSource;
+  return granted && !session.sources.includes(granted) ? [...session.sources, granted] : session.sources;
+}
+
+// What a client sees when polling: host status and endpoint
+function clientPollState(session, sources) {
+  const hostAvailable = session.hostEndpoint && (Date.now() - session.hostEndpoint.updatedAt) < 30000;
+
+  return {
+    bridgeName: session.bridgeName,
+    sources,
+    hostAvailable,
+    hostEndpoint: hostAvailable ? {
+      publicIP: session.hostEndpoint.publicIP,
+      publicPort: session.hostEndpoint.publicPort,
+      peerId: session.hostEndpoint.peerId
+    } : null,
+    // Also return other clients in case of peer-to-peer mesh
+    otherClients: (session.clientEndpoints || [])
+      .filter(c => (Date.now() - c.updatedAt) < 30000)
+      .map(c => ({
+        peerId: c.peerId,
+        clientName: c.clientName,
+        publicIP: c.publicIP,
+        publicPort: c.publicPort
+      }))
+  };
+}
+
+// Session polls, for the session host (host token) or an accepted client
+// (client token), like the session event stream. With `?wait=<seconds>` the
+// response is held until the session changes (an endpoint update, a peer
+// joining or leaving, ...).
+const pollRoute = (role) => asyncRoute(async (req, res) => {
+  const claims = auth.fromRequest(req);
+
+  const resolved = await resolveSession(req.params.code, { internal: true });
+  if (!resolved) {
+    return sessionGone(res, req.params.code);
+  }
+  const authorized = role === 'host'
+    ? await isSessionHost(claims, resolved.session)
+    : await isSessionClient(claims, resolved.session);
+  if (!authorized) {
+    return unauthorized(res, role === 'host' ? 'Host token required' : 'Client token required');
+  }
+  const { code } = resolved.session;
+  const waitMs = parseWait(req.query);
+  await touchSession(code);
+
+  const waiter = waitMs ? await events.waiter(`session:${code}`) : null;
+  let session = await store.get('sessions', code);
+
+  if (session && waiter) {
+    res.on('close', waiter.cancel);
+    if (await waiter.wait(waitMs)) session = await store.get('sessions', code);
+  } else if (waiter) {
+    waiter.cancel();
+  }
+
+  if (!session) {
+    return sessionGone(res, code);
+  }
+
+  const state = role === 'host'
+    ? hostPollState(session)
+    : clientPollState(session, await clientSourceNames(session, claims));
+  res.json({ success: true, ...state });
+});
+
+// Host polls for client connections
+app.get('/api/host/poll/:code', pollRoute('host'));
+
+// Client polls for host status and endpoint
+app.get('/api/client/poll/:code', pollRoute('client'));
+
+// Session event stream (SSE) for the session host (host token) or a client
+// (client token). Starts with a `snapshot` (the matching poll response), then
+// relays `host_endpoint`, `client_endpoint`, `host_online`, `host_offline`,
+// `client_joined`, `client_left` and `peer_udp_info` as they happen.
+app.get('/api/session/:code/events', asyncRoute(async (req, res) => {
+  const claims = auth.fromRequest(req);
+
+  const resolved = await resolveSession(req.params.code, { internal: true });
+  if (!resolved) {
+    return sessionGone(res, req.params.code);
+  }
+  const { session } = resolved;
+  const { code } = session;
+
+  const isHost = await isSessionHost(claims, session);
+  if (!isHost && !(await isSessionClient(claims, session))) {
+    return unauthorized(res, 'Host or client token required');
+  }
+
+  let stream = null;
+  const unsubscribe = await events.subscribe(`session:${code}`, (event) => {
+    stream.send(event.type, event);
+    if (event.type === 'session_closed') stream.close();
+  });
+
+  // An open stream keeps the session alive. Records can still expire
+  // without an event, so check on every keepalive.
+  const checkSession = async () => {
+    if (!(await store.has('sessions', code))) {
+      stream.send('session_closed', { type: 'session_closed', code, status: 'closed' });
+      stream.close();
+      return;
+    }
+    await touchSession(code);
+  };
+
+  stream = openEventStream(res, { onTick: checkSession });
+  stream.onClose(unsubscribe);
+  stream.send('snapshot', isHost ? hostPollState(session) : clientPollState(session, await clientSourceNames(session, claims)));
+}));
+
+// Error handler - keeps error responses in the same JSON shape as the routes
+app.use((err, req, res, next) => {
+  const status = err.status || 500;
+  if (status >= 500) {
+    req.log.error('Request failed', { err });
+  }
+  res.status(status).json({
+    success: false,
+    message: status >= 500 ? 'Internal server error' : err.message,
+    // Bodies that aren't JSON never reach request validation
+    ...(err.type === 'entity.parse.failed' ? { code: 'invalid_json' } : {}),
+    requestId: req.id
+  });
+});
+
+// Start HTTP server
+const server = app.listen(PORT, () => {
+  logger.info('NDI Bridge Rendezvous Service started', { port: Number(PORT) });
+});
+
+// WebSocket abuse limits. Oversized frames close the socket with 1009;
+// clients that keep sending past the message rate are closed with 4429.
+const WS_MAX_PAYLOAD_BYTES = parseInt(process.env.WS_MAX_PAYLOAD_BYTES, 10) || 64 * 1024;
+const WS_MAX_DROPPED_MESSAGES = 50;
+const WS_CLOSE_RATE_LIMITED = 4429;
+// Registered peers whose socket drops keep their identity this long, so they
+// can resume it before peers are told they left. 0 disables resumption.
+const RECONNECT_GRACE_MS = parseInt(process.env.WS_RECONNECT_GRACE_MS ?? '15000', 10) || 0;
+
+// Messages held for a peer while it reconnects
+const MAX_BUFFERED_MESSAGES = 200;
+
+// Sent to a socket whose identity was resumed by a newer one
+const WS_CLOSE_RESUMED = 4001;
+
+// Sent to a socket whose access to the session was revoked
+const WS_CLOSE_ACCESS_REVOKED = 4003;
+
+// Sent to sockets an operator disconnected, or whose session was closed
+const WS_CLOSE_DISCONNECTED = 4002;
+const WS_CLOSE_SESSION_CLOSED = 4004;
+
+// How kicked peers are told why: the message type they get and the close code
+const KICKS = {
+  access_revoked: { closeCode: WS_CLOSE_ACCESS_REVOKED, closeReason: 'Access revoked' },
+  disconnected: { closeCode: WS_CLOSE_DISCONNECTED, closeReason: 'Disconnected by operator' },
+  session_closed: { closeCode: WS_CLOSE_SESSION_CLOSED, closeReason: 'Session closed' }
+};
+
+// Server-side keepalive: every socket is pinged each WS_PING_INTERVAL_MS and
+// terminated if the pong doesn't arrive within WS_PONG_TIMEOUT_MS
+const WS_PING_INTERVAL_MS = parseInt(process.env.WS_PING_INTERVAL_MS, 10) || 30000;
+const WS_PONG_TIMEOUT_MS = parseInt(process.env.WS_PONG_TIMEOUT_MS, 10) || 10000;
+
+const wsConnectLimiter = new RateLimiter(limitFromEnv('RATE_LIMIT_WS_CONNECT', '30/60'));
+const wsMessageLimiter = new RateLimiter(limitFromEnv('RATE_LIMIT_WS_MESSAGES', '200/10'));
+
+// WebSocket Server for Real-time Signaling
+const wss = new WebSocket.Server({
+  server,
+  maxPayload: WS_MAX_PAYLOAD_BYTES,
+  verifyClient: (info, done) => {
+    const { allowed, retryAfterMs } = wsConnectLimiter.take(rateLimitIP(info.req));
+    if (allowed) return done(true);
+    done(false, 429, 'Too Many Requests', { 'Retry-After': String(Math.ceil(retryAfterMs / 1000)) });
+  }
+});
+
+cluster.start()
+  .then(() => logger.info('Cluster node ready'))
+  .catch((err) => logger.error('Failed to start cluster messaging', { err }));
+
+wss.on('connection', (ws, req) => {
+  const connection = {
+    id: generateConnectionId(),
+    ws,
+    role: null,
+    sessionCode: null,
+    protocolVersion: protocol.COMPAT_VERSION,
+    queue: Promise.resolve(),
+    dropped: 0,
+    buffer: null,      // messages held while the peer reconnects
+    graceTimer: null,
+    replaced: false,   // a newer socket resumed this identity
+    kicked: false,     // access revoked: leaves without a grace period
+    pingSentAt: null,
+    pongTimer: null,
+    rttMs: null,       // smoothed round-trip time of protocol pings
+    publicIP: getClientIP(req),
+    requestId: requestIdFrom(req)
+  };
+  // Session, role, host and client fields are added once it registers
+  connection.log = logger.child({
+    requestId: connection.requestId,
+    connectionId: connection.id,
+    remoteIP: connection.publicIP
+  });
+  connections.set(connection.id, connection);
+
+  connection.log.info('WebSocket connected');
+
+  // Messages are handled one at a time per socket so a `register` is stored
+  // before the signals that follow it are forwarded
+  const enqueue = (task) => {
+    connection.queue = connection.queue.then(task).catch((error) => {
+      connection.log.error('Signaling error', { err: error });
+    });
+  };
+  connection.enqueue = enqueue;
+
+  ws.on('message', (message) => {
+    const { allowed, retryAfterMs } = wsMessageLimiter.take(connection.id);
+    if (!allowed) {
+      metric.wsDropped.inc();
+      if (++connection.dropped > WS_MAX_DROPPED_MESSAGES) {
+        connection.log.warn('Closing connection, message rate limit exceeded');
+        ws.close(WS_CLOSE_RATE_LIMITED, 'Rate limit exceeded');
+        return;
+      }
+      ws.send(JSON.stringify({
+        type: 'error',
+        code: protocol.ERROR.RATE_LIMITED,
+        message: 'Too many messages, please slow down',
+        retryAfterMs
+      }));
+      return;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(message);
+    } catch (error) {
+      metric.wsMessages.inc({ type: 'invalid_json' });
+      connection.log.warn('Invalid message', { err: error });
+      sendSignalError(ws, protocol.ERROR.INVALID_JSON, 'Invalid message format');
+      return;
+    }
+    // Unknown types share one label so clients can't grow the label set
+    metric.wsMessages.inc({ type: Object.hasOwn(protocol.SCHEMAS, data?.type) ? data.type : 'unknown' });
+    enqueue(() => handleSignal(connection, data));
+  });
+
+  ws.on('pong', () => handlePong(connection));
+
+  ws.on('close', () => {
+    clearTimeout(connection.pongTimer);
+    wsMessageLimiter.reset(connection.id);
+    enqueue(() => handleSocketClose(connection));
   });
+
+  ws.on('error', (error) => {
+    connection.log.error('WebSocket error', { err: error });
+  });
+
+  enqueue(() => cluster.join(connection.id));
 });
 
-// Client polls for host status and endpoint
-app.get('/api/client/poll/:code', (req, res) => {
-  const { code } = req.params;
-  const session = sessions.get(code);
+const keepalive = setInterval(() => {
+  connections.forEach(pingConnection);
+}, WS_PING_INTERVAL_MS);
+keepalive.unref();
+
+// Ping a live socket; one that doesn't answer in time is terminated, which
+// goes through the normal close handling (grace period, then handleDisconnect)
+function pingConnection(connection) {
+  const { ws } = connection;
+  if (connection.buffer || connection.pingSentAt || ws.readyState !== WebSocket.OPEN) return;
+
+  connection.pingSentAt = Date.now();
+  connection.pongTimer = setTimeout(() => {
+    connection.log.warn('No pong, terminating', { timeoutMs: WS_PONG_TIMEOUT_MS });
+    ws.terminate();
+  }, WS_PONG_TIMEOUT_MS);
+  ws.ping();
+}
+
+function handlePong(connection) {
+  if (!connection.pingSentAt) return;
+
+  const sample = Date.now() - connection.pingSentAt;
+  clearTimeout(connection.pongTimer);
+  connection.pingSentAt = null;
+
+  // Smoothed like TCP's SRTT so one slow sample doesn't swing it
+  connection.rttMs = connection.rttMs === null
+    ? sample
+    : Math.round(0.8 * connection.rttMs + 0.2 * sample);
+
+  reportRtt(connection).catch((error) => {
+    connection.log.error('Failed to report RTT', { err: error });
+  });
+
+  touchSession(connection.sessionCode).catch((error) => {
+    connection.log.error('Failed to record session activity', { err: error });
+  });
+
+  if (connection.role === 'host') {
+    touchSessionHost(connection.sessionCode).catch((error) => {
+      connection.log.error('Failed to refresh session host', { err: error });
+    });
+  }
+}
+
+// A host connected over WebSocket counts as heartbeating its registry entry
+async function touchSessionHost(code) {
+  const session = await store.get('sessions', code);
+  if (session?.hostId) await touchHost(session.hostId);
+}
+
+// Record a peer's RTT on its presence and tell the session host about its
+// clients' RTTs (protocol version 2 hosts only)
+async function reportRtt(connection) {
+  if (!connection.sessionCode) return;
+  await cluster.setMeta(connection.id, { rttMs: connection.rttMs });
+
+  if (connection.role !== 'client') return;
+  const session = await store.get('sessions', connection.sessionCode);
+  if (!session?.host) return;
+
+  const host = await store.get('presence', session.host);
+  if (!host || host.protocolVersion < protocol.PROTOCOL_VERSION) return;
+
+  await cluster.send(session.host, {
+    type: 'peer_rtt',
+    clientId: connection.id,
+    rttMs: connection.rttMs
+  });
+}
+
+// Send a message to a peer connected to this node, if it's still here.
+// Messages for a peer that is reconnecting are held until it resumes.
+function sendToConnection(connectionId, message) {
+  const peer = connections.get(connectionId);
+  if (!peer) return false;
 
-  if (!session) {
-    return res.status(404).json({ success: false, message: 'Session not found' });
+  if (peer.buffer) {
+    if (peer.buffer.length >= MAX_BUFFERED_MESSAGES) return false;
+    peer.buffer.push(message);
+    return true;
   }
+  if (peer.ws.readyState === WebSocket.OPEN) {
+    peer.ws.send(JSON.stringify(message));
+    return true;
+  }
+  return false;
+}
 
-  const hostAvailable = session.hostEndpoint && (Date.now() - session.hostEndpoint.updatedAt) < 30000;
-
-  res.json({
-    success: true,
-    bridgeName: session.bridgeName,
-    sources: session.sources,
-    hostAvailable,
-    hostEndpoint: hostAvailable ? {
-      publicIP: session.hostEndpoint.publicIP,
-      publicPort: session.hostEndpoint.publicPort,
-      peerId: session.hostEndpoint.peerId
-    } : null,
-    // Also return other clients in case of peer-to-peer mesh
-    otherClients: (session.clientEndpoints || [])
-      .filter(c => (Date.now() - c.updatedAt) < 30000)
-      .map(c => ({
-        peerId: c.peerId,
-        clientName: c.clientName,
-        publicIP: c.publicIP,
-        publicPort: c.publicPort
-      }))
-  });
-});
+// Send a message to peers on any node
+function notifyPeers(connectionIds, message) {
+  return Promise.all(connectionIds.filter(Boolean).map(id => cluster.send(id, message)));
+}
 
-// Start HTTP server
-const server = app.listen(PORT, () => {
-  console.log(`🚀 NDI Bridge Rendezvous Service`);
-  console.log(`📡 HTTP API listening on port ${PORT}`);
-  console.log(`🌐 WebSocket signaling ready`);
-});
+// Send a session event to WebSocket peers and to HTTP (SSE/long-poll) listeners
+function notifySession(code, connectionIds, message) {
+  return Promise.all([
+    notifyPeers(connectionIds, message),
+    events.publish(`session:${code}`, message.type, message)
+  ]);
+}
 
-// WebSocket Server for Real-time Signaling
-const wss = new WebSocket.Server({ server });
+// Drop session members whose connection no longer exists on any node (e.g.
+// their node crashed) so session.host/session.clients stay accurate
+async function refreshSessionPresence(code) {
+  const session = await store.get('sessions', code);
+  if (!session) return null;
 
-wss.on('connection', (ws, req) => {
-  const connectionId = Math.random().toString(36).substring(7);
-  connections.set(connectionId, { ws, role: null, sessionCode: null });
+  const staleHost = session.host && !(await cluster.isOnline(session.host)) ? session.host : null;
+  const online = await Promise.all(session.clients.map(id => cluster.isOnline(id)));
+  const staleClients = session.clients.filter((id, i) => !online[i]);
 
-  console.log(`🔌 New WebSocket connection: ${connectionId}`);
+  if (!staleHost && staleClients.length === 0) return session;
 
-  ws.on('message', (message) => {
-    try {
-      const data = JSON.parse(message);
-      handleSignal(ws, connectionId, data);
-    } catch (error) {
-      console.error('❌ Invalid message:', error);
-      ws.send(JSON.stringify({ type: 'error', message: 'Invalid message format' }));
+  let hostRemoved = false;
+  const updated = await store.update('sessions', code, (session) => {
+    if (staleHost && session.host === staleHost) {
+      hostRemoved = true;
+      session.host = null;
+      session.status = 'waiting';
     }
+    session.clients = session.clients.filter(id => !staleClients.includes(id));
   });
+  if (!updated) return null;
 
-  ws.on('close', () => {
-    handleDisconnect(connectionId);
-  });
+  if (hostRemoved) {
+    logger.info('Host connection is gone', { sessionCode: code, connectionId: staleHost });
+    await notifySession(code, updated.clients, {
+      type: 'host_offline',
+      message: 'Host disconnected'
+    });
+  }
+  return updated;
+}
 
-  ws.on('error', (error) => {
-    console.error(`❌ WebSocket error for ${connectionId}:`, error);
-  });
-});
+// Send a protocol error, echoing the id of the message it answers
+function sendSignalError(ws, code, message, id) {
+  if (ws.readyState !== WebSocket.OPEN) return;
+  ws.send(JSON.stringify({ type: 'error', code, message, id }));
+}
+
+// Acknowledge a message that carried an id (protocol version 2 and up)
+function sendAck(connection, data, details = {}) {
+  if (connection.protocolVersion < protocol.PROTOCOL_VERSION || data.id === undefined) return;
+  if (connection.ws.readyState !== WebSocket.OPEN) return;
+  connection.ws.send(JSON.stringify({ type: 'ack', id: data.id, ...details }));
+}
 
 // Handle WebSocket signaling messages
-function handleSignal(ws, connectionId, data) {
-  const { type, code, role } = data;
-  const connection = connections.get(connectionId);
+async function handleSignal(connection, data) {
+  const { ws } = connection;
+  const log = connection.log.child({ messageType: data?.type, messageId: data?.id });
+
+  // `register` picks the protocol version; everything else uses the
+  // connection's (compatibility mode until registered)
+  let version = connection.protocolVersion;
+  if (data?.type === 'register') {
+    const negotiated = protocol.negotiateVersion(data.protocolVersion);
+    if (negotiated.error) {
+      sendSignalError(ws, negotiated.error.code, negotiated.error.message, data.id);
+      return;
+    }
+    version = negotiated.version;
+
+    const outdated = versions.checkAppVersion(data.appVersion, { minimum: MIN_APP_VERSION, updateUrl: APP_UPDATE_URL });
+    if (outdated) {
+      log.info('Outdated app turned away', { appVersion: outdated.appVersion, minimumVersion: MIN_APP_VERSION });
+      sendSignalError(ws, protocol.ERROR.CLIENT_OUTDATED, outdated.message, data.id);
+      return;
+    }
+  }
+
+  const invalid = protocol.validate(data, version);
+  if (invalid) {
+    if (invalid.code === protocol.ERROR.UNKNOWN_TYPE && version < protocol.PROTOCOL_VERSION) {
+      log.warn('Unknown message type');
+      return;
+    }
+    sendSignalError(ws, invalid.code, invalid.message, data?.id);
+    return;
+  }
+
+  const { type, role } = data;
 
   switch (type) {
-    case 'register':
+    case 'register': {
+      if (data.code === undefined && data.hostId === undefined) {
+        sendSignalError(ws, protocol.ERROR.INVALID_MESSAGE, 'code or hostId is required', data.id);
+        return;
+      }
+
+      // The session is named by a session or join code, or for registered
+      // hosts and their accepted clients by hostId
+      const named = data.code !== undefined
+        ? (await resolveSession(data.code, { internal: true })) || { session: null }
+        : await sessionForHostId(data.hostId, data);
+      if (named.unauthorized) {
+        sendSignalError(ws, protocol.ERROR.UNAUTHORIZED,
+          data.resumeToken ? 'Invalid resume token' : role === 'host' ? 'Host token required' : 'Client token required', data.id);
+        return;
+      }
+      const existing = named.session;
+      if (!existing) {
+        sendSignalError(ws, protocol.ERROR.SESSION_NOT_FOUND, 'Session not found', data.id);
+        return;
+      }
+      const { code } = existing;
+
+      if (connection.sessionCode && (connection.sessionCode !== code || connection.role !== role)) {
+        sendSignalError(ws, protocol.ERROR.ALREADY_REGISTERED,
+          `Already registered as ${connection.role} for session ${connection.sessionCode}`, data.id);
+        return;
+      }
+
+      if (data.resumeToken) {
+        await resumePeer(connection, data, existing, version);
+        return;
+      }
+
+      // Hosts prove themselves with the token from /api/session/create or
+      // their registry host token, clients with the one from
+      // /api/session/join or an accepted registry client token
+      const claims = auth.verify(data.token);
+      const authorized = role === 'host'
+        ? await isSessionHost(claims, existing)
+        : await isSessionClient(claims, existing);
+
+      if (!authorized) {
+        sendSignalError(ws, protocol.ERROR.UNAUTHORIZED,
+          role === 'host' ? 'Host token required' : 'Client token required', data.id);
+        return;
+      }
+
       // Register as host or client
+      const connectionId = connection.id;
+      const resumeTokenId = auth.newTokenId();
       connection.role = role;
       connection.sessionCode = code;
+      connection.protocolVersion = version;
+      connection.clientId = role === 'client' ? claims.sub : null;
+      await cluster.setMeta(connectionId, {
+        role,
+        sessionCode: code,
+        protocolVersion: version,
+        resumeTokenId,
+        // Registry client id, for kicking the client if its access is revoked
+        clientId: role === 'client' ? claims.sub : null
+      });
+
+      const session = await store.update('sessions', code, (session) => {
+        if (role === 'host') {
+          session.host = connectionId;
+          session.status = 'active';
+        } else if (!session.clients.includes(connectionId)) {
+          session.clients.push(connectionId);
+        }
+      });
 
-      const session = sessions.get(code);
       if (!session) {
-        ws.send(JSON.stringify({
-          type: 'error',
-          message: 'Session not found'
-        }));
+        sendSignalError(ws, protocol.ERROR.SESSION_NOT_FOUND, 'Session not found', data.id);
         return;
       }
 
+      connection.log.setFields({
+        sessionCode: code,
+        role,
+        hostId: session.hostId,
+        clientId: role === 'client' ? claims.sub : undefined
+      });
+
       if (role === 'host') {
-        session.host = connectionId;
-        session.status = 'active';
-        console.log(`🏠 Host registered for session ${code}`);
+        log.info('Host registered for session');
+
+        if (session.hostId) await touchHost(session.hostId);
 
         // Notify all clients that host is online
-        session.clients.forEach(clientId => {
-          const client = connections.get(clientId);
-          if (client?.ws) {
-            client.ws.send(JSON.stringify({
-              type: 'host_online',
-              message: 'Host is now available'
-            }));
-          }
+        await notifySession(code, session.clients, {
+          type: 'host_online',
+          message: 'Host is now available'
         });
-      } else if (role === 'client') {
-        session.clients.push(connectionId);
-        console.log(`👤 Client registered for session ${code}`);
+      } else {
+        log.info('Client registered for session');
 
         // Notify host about new client
-        if (session.host) {
-          const host = connections.get(session.host);
-          if (host?.ws) {
-            host.ws.send(JSON.stringify({
-              type: 'client_joined',
-              clientId: connectionId
-            }));
-          }
-        }
+        await notifySession(code, [session.host], {
+          type: 'client_joined',
+          clientId: connectionId
+        });
       }
 
       ws.send(JSON.stringify({
         type: 'registered',
         role,
-        code
+        code,
+        hostId: session.hostId || null,
+        connectionId,
+        protocolVersion: version,
+        // Send as `resumeToken` on `register` after a reconnect to keep this connectionId
+        resumeToken: auth.issueResumeToken(connectionId, code, role, resumeTokenId),
+        id: data.id
       }));
+
+      // A host picks up its viewers' current tally
+      if (role === 'host' && session.hostId) {
+        const host = await store.get('hosts', session.hostId);
+        for (const [sourceName, tally] of Object.entries(controlModel.tallySummary(host?.tally))) {
+          ws.send(JSON.stringify({ type: 'tally_state', hostId: session.hostId, sourceName, ...tally }));
+        }
+      }
       break;
+    }
 
     case 'offer':
     case 'answer':
     case 'ice-candidate':
-      // Forward WebRTC signaling between host and clients
-      forwardSignal(connectionId, data);
-      break;
-
     case 'connection_info':
     case 'udp_endpoint':
-      // Share direct connection information and UDP endpoints
-      forwardSignal(connectionId, data);
+      // Forward WebRTC signaling, direct connection information and UDP
+      // endpoints between host and clients
+      await forwardSignal(connection, data, log);
+      break;
+
+    case 'tally':
+    case 'ptz':
+    case 'metadata':
+      await handleControl(connection, data, log);
       break;
 
     case 'ping':
-      ws.send(JSON.stringify({ type: 'pong' }));
+      ws.send(JSON.stringify({ type: 'pong', id: data.id }));
+      break;
+
+    case 'connection_outcome':
+      await reportPeerOutcome(connection, data);
       break;
+  }
+
+  await touchSession(connection.sessionCode);
+}
+
+// A client's tally, PTZ or metadata for a source on its session's host
+async function handleControl(connection, data, log) {
+  const { ws } = connection;
+
+  if (!connection.sessionCode) {
+    sendSignalError(ws, protocol.ERROR.NOT_REGISTERED, 'Register before sending control messages', data.id);
+    return;
+  }
+  if (connection.role !== 'client') {
+    sendSignalError(ws, protocol.ERROR.FORBIDDEN, 'Only clients send control messages', data.id);
+    return;
+  }
 
-    default:
-      console.log(`⚠️ Unknown message type: ${type}`);
+  const session = await store.get('sessions', connection.sessionCode);
+  const result = await relayControl(session?.hostId, connection.clientId, data, { viewerId: connection.id, log });
+  if (result.error) {
+    sendSignalError(ws, result.error.code, result.error.message, data.id);
+    return;
   }
+  sendAck(connection, data, { messageId: result.messageId || undefined, delivered: result.delivered ? 1 : 0 });
 }
 
-// Forward signaling messages between peers
-function forwardSignal(fromId, data) {
-  const fromConnection = connections.get(fromId);
-  if (!fromConnection) return;
+// A registered peer reports how its P2P connection ended
+async function reportPeerOutcome(connection, data) {
+  const { ws } = connection;
 
-  const session = sessions.get(fromConnection.sessionCode);
-  if (!session) return;
+  if (!connection.sessionCode) {
+    sendSignalError(ws, protocol.ERROR.NOT_REGISTERED, 'Register before reporting outcomes', data.id);
+    return;
+  }
+
+  // Version 1 messages skip schema validation
+  const normalized = normalizeReport(data);
+  if (normalized.error) {
+    sendSignalError(ws, protocol.ERROR.INVALID_MESSAGE, normalized.error, data.id);
+    return;
+  }
+
+  const session = await store.get('sessions', connection.sessionCode);
+  const record = await recordOutcome(normalized.report, {
+    hostId: session?.hostId || null,
+    sessionCode: connection.sessionCode,
+    role: connection.role,
+    peerId: connection.id,
+    publicIP: connection.publicIP,
+    log: connection.log
+  });
+  sendAck(connection, data, { reportId: record.id });
+}
+
+// Re-attach a reconnecting peer to the connection id it had before, on
+// whichever node it lands, and deliver what was sent to it meanwhile
+async function resumePeer(connection, data, session, version) {
+  const { ws } = connection;
+  const { role } = data;
+  const { code } = session;
+
+  const claims = auth.verify(data.resumeToken);
+  if (!claims || claims.role !== 'resume' || claims.code !== code || claims.peer !== role) {
+    sendSignalError(ws, protocol.ERROR.UNAUTHORIZED, 'Invalid resume token', data.id);
+    return;
+  }
+
+  const previousId = claims.sub;
+  const presence = await store.get('presence', previousId);
+  const isMember = role === 'host' ? session.host === previousId : session.clients.includes(previousId);
+  if (!presence || presence.resumeTokenId !== claims.jti || !isMember) {
+    sendSignalError(ws, protocol.ERROR.RESUME_FAILED, 'Previous connection has expired, register again', data.id);
+    return;
+  }
+
+  // Give up the id this socket was given and take over the previous one
+  const newId = connection.id;
+  connections.delete(newId);
+  wsMessageLimiter.reset(newId);
+  await cluster.leave(newId);
+
+  const previous = connections.get(previousId);
+  connection.id = previousId;
+  connection.role = role;
+  connection.sessionCode = code;
+  connection.protocolVersion = version;
+  connection.clientId = presence.clientId || null;
+  connections.set(previousId, connection);
+
+  const resumeTokenId = auth.newTokenId();
+  await cluster.takeOver(previousId, presence.nodeId, {
+    role,
+    sessionCode: code,
+    protocolVersion: version,
+    resumeTokenId,
+    clientId: presence.clientId
+  });
+
+  // Held on this node; a previous node forwards its buffer when evicted
+  const buffered = previous && previous !== connection ? retireConnection(previous) : [];
+
+  connection.log.setFields({
+    connectionId: previousId,
+    sessionCode: code,
+    role,
+    hostId: session.hostId,
+    clientId: presence.clientId
+  });
+  connection.log.info('Peer resumed in session', { replacedConnectionId: newId, messageId: data.id });
+
+  ws.send(JSON.stringify({
+    type: 'registered',
+    role,
+    code,
+    connectionId: previousId,
+    protocolVersion: version,
+    resumed: true,
+    resumeToken: auth.issueResumeToken(previousId, code, role, resumeTokenId),
+    id: data.id
+  }));
+
+  buffered.forEach(message => sendToConnection(previousId, message));
+}
+
+// Stop using a connection whose identity a newer socket has resumed.
+// Returns the messages that were held for it.
+function retireConnection(previous) {
+  previous.replaced = true;
+  clearTimeout(previous.graceTimer);
+  clearTimeout(previous.pongTimer);
+  if (previous.ws.readyState === WebSocket.OPEN) {
+    previous.ws.close(WS_CLOSE_RESUMED, 'Resumed on another connection');
+  }
+
+  const buffered = previous.buffer || [];
+  previous.buffer = null;
+  return buffered;
+}
+
+// Disconnect a peer whose access was revoked, that an operator disconnected
+// or whose session was closed (`kind`, see KICKS). It leaves its session at
+// once and can't resume.
+function kickConnection(connectionId, reason, kind = 'access_revoked') {
+  const connection = connections.get(connectionId);
+  if (!connection) return false;
+
+  const type = Object.hasOwn(KICKS, kind) ? kind : 'access_revoked';
+  const { closeCode, closeReason } = KICKS[type];
+  connection.kicked = true;
+  connection.log.info('Kicking connection', { kind, reason });
+
+  if (connection.buffer) {
+    // Already dropped and waiting for a reconnect
+    clearTimeout(connection.graceTimer);
+    connection.enqueue(() => handleDisconnect(connection));
+  } else if (connection.ws.readyState === WebSocket.OPEN) {
+    connection.ws.send(JSON.stringify({ type, message: reason }));
+    connection.ws.close(closeCode, closeReason);
+  }
+  return true;
+}
+
+// Another node took over one of our connection ids: drop ours and pass on
+// anything held for it
+function evictConnection(connectionId) {
+  const previous = connections.get(connectionId);
+  if (!previous) return;
+
+  connections.delete(connectionId);
+  cluster.release(connectionId);
+  const buffered = retireConnection(previous);
+
+  buffered.reduce((sent, message) => sent.then(() => cluster.send(connectionId, message)), Promise.resolve())
+    .catch((error) => {
+      previous.log.error('Failed to forward held messages', { err: error });
+    });
+}
+
+// Forward signaling messages between peers of the sender's session. `log`
+// is the sender's logger for this message.
+async function forwardSignal(fromConnection, data, log = fromConnection.log) {
+  const { ws } = fromConnection;
+  const fromId = fromConnection.id;
+
+  if (!fromConnection.sessionCode) {
+    sendSignalError(ws, protocol.ERROR.NOT_REGISTERED, 'Register before sending signals', data.id);
+    return;
+  }
+
+  const session = await store.get('sessions', fromConnection.sessionCode);
+  if (!session) {
+    sendSignalError(ws, protocol.ERROR.SESSION_NOT_FOUND, 'Session not found', data.id);
+    return;
+  }
 
   const { targetId } = data;
+  const members = [session.host, ...session.clients].filter(Boolean);
+
+  // Receivers can use messageId to drop duplicates
+  const message = { ...data, fromId, messageId: generateMessageId() };
 
   if (targetId) {
+    // Only peers in the sender's own session can be addressed
+    if (targetId === fromId || !members.includes(targetId)) {
+      log.warn('Signal for a peer outside the session', { targetId });
+      sendSignalError(ws, protocol.ERROR.INVALID_TARGET, 'targetId is not a peer in this session', data.id);
+      return;
+    }
+
     // Send to specific peer
-    const targetConnection = connections.get(targetId);
-    if (targetConnection?.ws) {
-      targetConnection.ws.send(JSON.stringify({
-        ...data,
-        fromId
-      }));
+    const delivered = await cluster.send(targetId, message);
+    if (!delivered) {
+      log.info('Signal target is not connected', { targetId, forwardedId: message.messageId });
+      if (fromConnection.protocolVersion >= protocol.PROTOCOL_VERSION) {
+        sendSignalError(ws, protocol.ERROR.TARGET_UNAVAILABLE, 'Target peer is not connected', data.id);
+      }
+      return;
     }
+    log.debug('Signal forwarded', { targetId, forwardedId: message.messageId, delivered: 1 });
+    sendAck(fromConnection, data, { messageId: message.messageId, delivered: 1 });
   } else {
-    // Broadcast to all peers in session
-    const peerId = fromConnection.role === 'host'
+    // Broadcast to the other side of the session
+    const peerIds = fromConnection.role === 'host'
       ? session.clients
       : [session.host];
 
-    peerId.forEach(id => {
-      const peer = connections.get(id);
-      if (peer?.ws && id !== fromId) {
-        peer.ws.send(JSON.stringify({
-          ...data,
-          fromId
-        }));
-      }
-    });
+    const results = await notifyPeers(peerIds.filter(id => id !== fromId), message);
+    const delivered = results.filter(Boolean).length;
+    log.debug('Signal forwarded', { forwardedId: message.messageId, delivered });
+    sendAck(fromConnection, data, { messageId: message.messageId, delivered });
   }
 }
 
 // Handle disconnections
-function handleDisconnect(connectionId) {
-  const connection = connections.get(connectionId);
+// A socket closed. Registered peers are held for RECONNECT_GRACE_MS so they
+// can resume; anyone else is disconnected right away.
+async function handleSocketClose(connection) {
+  if (connection.replaced) return;
+
+  if (connection.sessionCode && RECONNECT_GRACE_MS > 0 && !connection.kicked) {
+    connection.buffer = [];
+    connection.graceTimer = setTimeout(() => {
+      connection.enqueue(() => handleDisconnect(connection));
+    }, RECONNECT_GRACE_MS);
+    connection.graceTimer.unref();
+    connection.log.info('Connection dropped, holding it for a reconnect', { graceMs: RECONNECT_GRACE_MS });
+    return;
+  }
 
-  if (connection?.sessionCode) {
-    const session = sessions.get(connection.sessionCode);
+  await handleDisconnect(connection);
+}
 
-    if (session) {
-      if (connection.role === 'host') {
-        console.log(`🏠 Host disconnected from session ${connection.sessionCode}`);
+async function handleDisconnect(connection) {
+  const connectionId = connection.id;
+  if (connection.replaced || connections.get(connectionId) !== connection) return;
+  connections.delete(connectionId);
+
+  // Resumed on another node while we were holding it
+  const presence = await store.get('presence', connectionId);
+  if (presence && presence.nodeId !== NODE_ID) {
+    cluster.release(connectionId);
+    return;
+  }
+  await cluster.leave(connectionId);
+
+  if (connection.sessionCode) {
+    // A host that already re-registered on a new socket stays online
+    let wasHost = false;
+    const session = await store.update('sessions', connection.sessionCode, (session) => {
+      if (connection.role === 'host' && session.host === connectionId) {
+        wasHost = true;
         session.host = null;
         session.status = 'waiting';
+      } else if (connection.role === 'client') {
+        session.clients = session.clients.filter(id => id !== connectionId);
+      }
+    });
+
+    if (session) {
+      if (wasHost) {
+        connection.log.info('Host disconnected from session');
 
         // Notify clients
-        session.clients.forEach(clientId => {
-          const client = connections.get(clientId);
-          if (client?.ws) {
-            client.ws.send(JSON.stringify({
-              type: 'host_offline',
-              message: 'Host disconnected'
-            }));
-          }
+        await notifySession(connection.sessionCode, session.clients, {
+          type: 'host_offline',
+          message: 'Host disconnected'
         });
       } else if (connection.role === 'client') {
-        console.log(`👤 Client disconnected from session ${connection.sessionCode}`);
-        session.clients = session.clients.filter(id => id !== connectionId);
+        connection.log.info('Client disconnected from session');
 
         // Notify host
-        if (session.host) {
-          const host = connections.get(session.host);
-          if (host?.ws) {
-            host.ws.send(JSON.stringify({
-              type: 'client_left',
-              clientId: connectionId
-            }));
-          }
-        }
+        await notifySession(connection.sessionCode, [session.host], {
+          type: 'client_left',
+          clientId: connectionId
+        });
+        if (session.hostId) await dropViewerTally(session.hostId, connectionId);
       }
     }
   }
 
-  connections.delete(connectionId);
-  console.log(`🔌 Connection closed: ${connectionId}`);
+  connection.log.info('Connection closed');
 }
 
-// UDP Server for STUN-like NAT discovery
+// UDP Server for NAT discovery: standard STUN (RFC 5389) plus the legacy
+// JSON `stun_request` datagrams sent by older NDI Bridge builds
 const udpServer = dgram.createSocket('udp4');
 
+// Sent in the SOFTWARE attribute of STUN responses
+const STUN_SOFTWARE = 'NDI Bridge Rendezvous';
+
+// TURN relay sharing the STUN port. Credentials are signed with TURN_SECRET,
+// which must be the same on every replica.
+const turnServer = process.env.TURN_ENABLED === 'false' ? null : new TurnServer({
+  socket: udpServer,
+  secret: process.env.TURN_SECRET || (() => {
+    logger.warn('TURN_SECRET not set, TURN credentials will not survive a restart');
+    return crypto.randomBytes(32).toString('hex');
+  })(),
+  realm: process.env.TURN_REALM,
+  software: STUN_SOFTWARE,
+  port: UDP_PORT,
+  externalIP: process.env.TURN_EXTERNAL_IP,
+  publicHost: process.env.TURN_PUBLIC_HOST,
+  minPort: parseInt(process.env.TURN_MIN_PORT, 10),
+  maxPort: parseInt(process.env.TURN_MAX_PORT, 10),
+  maxKbps: parseInt(process.env.TURN_MAX_KBPS, 10),
+  maxAllocations: parseInt(process.env.TURN_MAX_ALLOCATIONS, 10),
+  allowedPeers: (process.env.TURN_ALLOWED_PEERS || '').split(',').filter(range => range.trim()),
+  credentialTtlS: parseInt(process.env.TURN_CREDENTIAL_TTL, 10)
+});
+
+// Alternate STUN port for NAT behavior discovery (RFC 5780). It answers
+// Binding requests only; NAT_ALT_PORT=0 turns it off.
+const NAT_ALT_PORT = parseInt(process.env.NAT_ALT_PORT ?? String(Number(UDP_PORT) + 1), 10) || 0;
+const altUdpServer = NAT_ALT_PORT ? dgram.createSocket('udp4') : null;
+let altStunListening = false;
+
+// Advertised in RESPONSE-ORIGIN and OTHER-ADDRESS
+const STUN_EXTERNAL_IP = process.env.TURN_EXTERNAL_IP || turnServer?.externalIP || null;
+
+// The STUN port answers unauthenticated datagrams, so a spoofed source
+// address could aim responses at a victim. Requests are limited per source
+// IP, and so are the response bytes sent back to it.
+const udpRequestLimiter = new RateLimiter(limitFromEnv('RATE_LIMIT_UDP_REQUESTS', '100/10'));
+const udpResponseLimiter = new RateLimiter(limitFromEnv('RATE_LIMIT_UDP_RESPONSE_BYTES', '16384/10'));
+
+const udpLog = logger.child({ component: 'udp' });
+
+// Fields identifying a datagram's sender
+const udpPeer = (rinfo) => ({ remoteIP: rinfo.address, remotePort: rinfo.port });
+
 udpServer.on('message', (msg, rinfo) => {
-  try {
-    const data = JSON.parse(msg.toString());
-
-    if (data.type === 'stun_request') {
-      // Respond with client's public IP and port
-      const response = {
-        type: 'stun_response',
-        publicIP: rinfo.address,
-        publicPort: rinfo.port,
-        sessionCode: data.sessionCode
-      };
-
-      const responseBuffer = Buffer.from(JSON.stringify(response));
-      udpServer.send(responseBuffer, rinfo.port, rinfo.address, (err) => {
-        if (err) {
-          console.error('❌ Failed to send STUN response:', err);
-        } else {
-          console.log(`🔍 STUN response sent to ${rinfo.address}:${rinfo.port}`);
-        }
-      });
+  if (turnServer && isChannelData(msg)) {
+    turnServer.handleChannelData(msg, rinfo);
+    return;
+  }
 
-      // Also broadcast this info to other peers in the session via WebSocket
-      if (data.sessionCode) {
-        const session = sessions.get(data.sessionCode);
-        if (session) {
-          const udpInfo = {
-            type: 'peer_udp_info',
-            peerId: data.peerId,
-            publicIP: rinfo.address,
-            publicPort: rinfo.port
-          };
-
-          // Notify all peers in session
-          const allPeers = [session.host, ...session.clients].filter(Boolean);
-          allPeers.forEach(peerId => {
-            const peer = connections.get(peerId);
-            if (peer?.ws && peerId !== data.peerId) {
-              peer.ws.send(JSON.stringify(udpInfo));
-            }
-          });
-        }
-      }
+  const handler = stun.isStunMessage(msg) ? handleStunMessage : handleLegacyUdpMessage;
+
+  handler(msg, rinfo).catch((error) => {
+    udpLog.error('UDP message error', { ...udpPeer(rinfo), err: error });
+  });
+});
+
+if (altUdpServer) {
+  altUdpServer.on('message', (msg, rinfo) => {
+    if (!stun.isStunMessage(msg)) return;
+    handleStunMessage(msg, rinfo, altUdpServer).catch((error) => {
+      udpLog.error('UDP message error', { ...udpPeer(rinfo), port: NAT_ALT_PORT, err: error });
+    });
+  });
+}
+
+// The STUN socket that isn't `socket`, for CHANGE-REQUEST and OTHER-ADDRESS
+function otherStunSocket(socket) {
+  return socket === udpServer ? altUdpServer : udpServer;
+}
+
+function stunSocketPort(socket) {
+  return socket === udpServer ? Number(UDP_PORT) : NAT_ALT_PORT;
+}
+
+// `kind` labels the response in ndibridge_stun_responses_total
+function sendUdp(buffer, rinfo, label, kind, socket = udpServer) {
+  if (!udpResponseLimiter.take(rinfo.address, buffer.length).allowed) {
+    metric.stunErrors.inc({ reason: 'response_limited' });
+    return;
+  }
+
+  socket.send(buffer, rinfo.port, rinfo.address, (err) => {
+    if (err) {
+      metric.stunErrors.inc({ reason: 'send_failed' });
+      udpLog.error(`Failed to send ${label}`, { ...udpPeer(rinfo), err });
+    } else {
+      metric.stunResponses.inc({ kind });
+      udpLog.debug(`${label} sent`, udpPeer(rinfo));
     }
+  });
+}
+
+// Handle an RFC 5389 STUN message arriving on `socket` (the main STUN port
+// or the alternate one)
+async function handleStunMessage(msg, rinfo, socket = udpServer) {
+  let request;
+  try {
+    request = stun.decode(msg);
   } catch (error) {
-    console.error('❌ UDP message error:', error);
+    metric.stunErrors.inc({ reason: 'malformed' });
+    udpLog.info('Malformed STUN message', { ...udpPeer(rinfo), err: error });
+    return;
   }
-});
+
+  // Messages with a bad FINGERPRINT are dropped
+  if (!stun.checkFingerprint(request)) {
+    metric.stunErrors.inc({ reason: 'bad_fingerprint' });
+    return;
+  }
+
+  const isTurn = turnServer && socket === udpServer && isTurnMethod(request.method);
+  const unknown = stun.unknownRequiredAttributes(request);
+
+  // Indications never get a response (TURN Send is the only one we use)
+  if (request.cls === stun.CLASS.INDICATION) {
+    if (isTurn && unknown.length === 0) await turnServer.handleMessage(request, rinfo);
+    return;
+  }
+  if (request.cls !== stun.CLASS.REQUEST) return;
+
+  metric.stunRequests.inc({ protocol: isTurn ? 'turn' : 'stun' });
+  if (!udpRequestLimiter.take(rinfo.address).allowed) {
+    metric.stunErrors.inc({ reason: 'rate_limited' });
+    return;
+  }
+
+  if (unknown.length > 0) {
+    metric.stunErrors.inc({ reason: 'unknown_attribute' });
+    sendUdp(stun.errorResponse(request, 420, [
+      { type: stun.ATTR.UNKNOWN_ATTRIBUTES, value: stun.encodeUnknownAttributes(unknown) }
+    ]), rinfo, 'STUN error response', 'error', socket);
+    return;
+  }
+
+  if (isTurn) {
+    await turnServer.handleMessage(request, rinfo);
+    return;
+  }
+
+  if (request.method !== stun.METHOD.BINDING) {
+    metric.stunErrors.inc({ reason: 'bad_method' });
+    sendUdp(stun.errorResponse(request, 400), rinfo, 'STUN error response', 'error', socket);
+    return;
+  }
+
+  // CHANGE-REQUEST asks for the response from the other port (RFC 5780).
+  // There is only one IP, so changing it is refused the way RFC 5780 says
+  // a server without an alternate address must.
+  const change = stun.decodeChangeRequest(stun.getAttribute(request, stun.ATTR.CHANGE_REQUEST));
+  if (change.changeIP || (change.changePort && !altStunListening)) {
+    metric.stunErrors.inc({ reason: 'unsupported_change_request' });
+    sendUdp(stun.errorResponse(request, 420, [
+      { type: stun.ATTR.UNKNOWN_ATTRIBUTES, value: stun.encodeUnknownAttributes([stun.ATTR.CHANGE_REQUEST]) }
+    ]), rinfo, 'STUN error response', 'error', socket);
+    return;
+  }
+  const replySocket = change.changePort ? otherStunSocket(socket) : socket;
+
+  const attributes = [
+    {
+      type: stun.ATTR.XOR_MAPPED_ADDRESS,
+      value: stun.encodeAddress(rinfo.address, rinfo.port, { xor: true, transactionId: request.transactionId })
+    },
+    // For RFC 3489 clients that don't understand XOR-MAPPED-ADDRESS
+    { type: stun.ATTR.MAPPED_ADDRESS, value: stun.encodeAddress(rinfo.address, rinfo.port) },
+    { type: stun.ATTR.SOFTWARE, value: Buffer.from(STUN_SOFTWARE) }
+  ];
+  if (altStunListening && STUN_EXTERNAL_IP) {
+    attributes.push(
+      { type: stun.ATTR.RESPONSE_ORIGIN, value: stun.encodeAddress(STUN_EXTERNAL_IP, stunSocketPort(replySocket)) },
+      { type: stun.ATTR.OTHER_ADDRESS, value: stun.encodeAddress(STUN_EXTERNAL_IP, stunSocketPort(otherStunSocket(socket))) }
+    );
+  }
+
+  const response = stun.encode({
+    method: stun.METHOD.BINDING,
+    cls: stun.CLASS.SUCCESS,
+    transactionId: request.transactionId,
+    attributes
+  });
+  sendUdp(response, rinfo, 'STUN binding response', 'binding', replySocket);
+
+  // NDI Bridge clients put "<sessionCode>:<peerId>" in USERNAME so their
+  // session peers learn the mapped address; other ICE stacks send none.
+  // The alternate port only feeds NAT classification.
+  const username = stun.getAttribute(request, stun.ATTR.USERNAME);
+  if (username) {
+    const [sessionCode, peerId] = username.toString('utf8').split(':');
+    if (socket === udpServer) await broadcastPeerUdpInfo(sessionCode, peerId, rinfo);
+    await classifyNat(sessionCode, peerId, socket === udpServer ? 'primary' : 'alternate', rinfo);
+  }
+}
+
+// Handle a legacy JSON `stun_request` datagram
+async function handleLegacyUdpMessage(msg, rinfo) {
+  if (!udpRequestLimiter.take(rinfo.address).allowed) {
+    metric.stunErrors.inc({ reason: 'rate_limited' });
+    return;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(msg.toString());
+  } catch (error) {
+    metric.stunErrors.inc({ reason: 'malformed' });
+    udpLog.info('Unrecognized UDP datagram', udpPeer(rinfo));
+    return;
+  }
+
+  // Valid JSON that isn't an object (null, numbers, arrays) is dropped
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    metric.stunErrors.inc({ reason: 'malformed' });
+    return;
+  }
+
+  if (data.type === 'stun_request') {
+    metric.stunRequests.inc({ protocol: 'legacy' });
+
+    // Respond with client's public IP and port
+    const response = {
+      type: 'stun_response',
+      publicIP: rinfo.address,
+      publicPort: rinfo.port,
+      sessionCode: data.sessionCode
+    };
+
+    sendUdp(Buffer.from(JSON.stringify(response)), rinfo, 'STUN response', 'legacy');
+
+    // Also broadcast this info to other peers in the session via WebSocket
+    await broadcastPeerUdpInfo(data.sessionCode, data.peerId, rinfo);
+  }
+}
+
+// Tell the other peers in a session about a peer's public UDP endpoint
+async function broadcastPeerUdpInfo(sessionCode, peerId, rinfo) {
+  if (!sessionCode) return;
+
+  // Peers may name the session by a join code, or by its own code as
+  // returned in `registered`
+  const session = (await resolveSession(sessionCode, { internal: true }))?.session;
+  if (!session) return;
+
+  const udpInfo = {
+    type: 'peer_udp_info',
+    peerId,
+    publicIP: rinfo.address,
+    publicPort: rinfo.port
+  };
+
+  // Notify all peers in session
+  const allPeers = [session.host, ...session.clients].filter(Boolean);
+  await notifySession(session.code, allPeers.filter(id => id !== peerId), udpInfo);
+}
+
+// Compare a peer's mappings on both STUN ports and tell the session what
+// kind of NAT it is behind
+async function classifyNat(sessionCode, peerId, port, rinfo) {
+  if (!sessionCode || !peerId || !altStunListening) return;
+
+  const session = (await resolveSession(sessionCode, { internal: true }))?.session;
+  if (!session) return;
+
+  const natType = await natClassifier.observe(`${session.code}:${peerId}`, port, {
+    address: rinfo.address,
+    port: rinfo.port
+  });
+  if (!natType) return;
+
+  metric.natClassifications.inc({ nat_type: natType });
+  udpLog.info('NAT mapping classified', { ...udpPeer(rinfo), sessionCode: session.code, hostId: session.hostId, peerId, natType });
+
+  const allPeers = [session.host, ...session.clients].filter(Boolean);
+  await notifySession(session.code, allPeers, { type: 'nat_type', peerId, natType });
+}
 
 udpServer.on('listening', () => {
   const address = udpServer.address();
-  console.log(`📡 UDP STUN server listening on ${address.address}:${address.port}`);
+  udpLog.info('UDP STUN server listening', { address: address.address, port: address.port });
 });
 
 udpServer.on('error', (err) => {
-  console.error('❌ UDP server error:', err);
+  udpLog.error('UDP server error', { err });
   udpServer.close();
 });
 
@@ -839,7 +4092,20 @@ const bindUDP = () => {
   try {
     udpServer.bind(UDP_PORT);
   } catch (err) {
-    console.error('⚠️ Failed to bind UDP port, STUN disabled');
+    udpLog.error('Failed to bind UDP port, STUN disabled', { err });
+  }
+
+  if (altUdpServer) {
+    altUdpServer.on('listening', () => {
+      altStunListening = true;
+      udpLog.info('Alternate STUN port ready for NAT classification', { port: NAT_ALT_PORT });
+    });
+    altUdpServer.on('error', (err) => {
+      udpLog.warn('Alternate STUN port failed, NAT classification disabled', { port: NAT_ALT_PORT, err });
+      altStunListening = false;
+      altUdpServer.close();
+    });
+    altUdpServer.bind(NAT_ALT_PORT);
   }
 };
 
@@ -847,10 +4113,16 @@ bindUDP();
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
-  console.log('⏹️ SIGTERM received, closing servers...');
+  logger.info('SIGTERM received, closing servers');
+  clearInterval(keepalive);
+  clearInterval(sessionSweeper);
+  if (turnServer) turnServer.close();
   udpServer.close();
-  server.close(() => {
-    console.log('✅ Servers closed');
+  if (altStunListening) altUdpServer.close();
+  server.close(async () => {
+    await cluster.stop();
+    await store.close();
+    logger.info('Servers closed');
     process.exit(0);
   });
 });
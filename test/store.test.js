@@ -0,0 +1,245 @@
+/**
+ * State store contract
+ *
+ * MemoryStore and RedisStore (on an in-process fake Redis) must behave the
+ * same: copy semantics, TTL expiry, read-modify-write updates and pub/sub.
+ * Each backend gives a `store` and a `peer` sharing its state, like two
+ * replicas.
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MemoryStore, RedisStore } = require('../lib/store');
+const { FakeRedis } = require('./support/fake-redis');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Resolves with the next message a handler gets, or rejects after `ms`
+function nextMessage(subscribe, ms = 500) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('No message received')), ms);
+    subscribe((message) => {
+      clearTimeout(timer);
+      resolve(message);
+    });
+  });
+}
+
+const BACKENDS = {
+  memory: () => {
+    // Servers sharing one MemoryStore act as replicas
+    const store = new MemoryStore();
+    return { store, peer: store, close: () => store.close() };
+  },
+  redis: () => {
+    const client = new FakeRedis();
+    const store = new RedisStore({ client, prefix: 'test' });
+    const peer = new RedisStore({ client: client.duplicate(), prefix: 'test' });
+    return { store, peer, close: async () => { await store.close(); await peer.close(); } };
+  }
+};
+
+for (const [name, create] of Object.entries(BACKENDS)) {
+  describe(`${name} store`, () => {
+    let backend;
+    let store;
+    let peer;
+
+    beforeEach(() => {
+      backend = create();
+      ({ store, peer } = backend);
+    });
+
+    afterEach(() => backend.close());
+
+    it('stores, lists, counts and deletes values', async () => {
+      await store.set('hosts', 'a', { name: 'A' });
+      await store.set('hosts', 'b', { name: 'B' });
+
+      assert.deepEqual(await peer.get('hosts', 'a'), { name: 'A' });
+      assert.equal(await store.has('hosts', 'b'), true);
+      assert.equal(await store.get('hosts', 'missing'), null);
+      assert.equal(await store.count('hosts'), 2);
+      assert.deepEqual((await store.list('hosts')).map(h => h.name).sort(), ['A', 'B']);
+
+      assert.equal(await store.delete('hosts', 'a'), true);
+      assert.equal(await store.delete('hosts', 'a'), false);
+      assert.equal(await store.has('hosts', 'a'), false);
+      assert.equal(await store.count('hosts'), 1);
+    });
+
+    it('returns copies, not the stored value', async () => {
+      const value = { clients: [] };
+      await store.set('sessions', 'S1', value);
+      value.clients.push('x');
+
+      const read = await store.get('sessions', 'S1');
+      read.clients.push('y');
+      assert.deepEqual(await store.get('sessions', 'S1'), { clients: [] });
+    });
+
+    it('expires values after their TTL', async () => {
+      await store.set('sessions', 'short', { n: 1 }, { ttlMs: 40 });
+      await store.set('sessions', 'long', { n: 2 });
+      assert.equal(await store.has('sessions', 'short'), true);
+
+      await sleep(80);
+      assert.equal(await store.get('sessions', 'short'), null);
+      assert.equal(await store.has('sessions', 'short'), false);
+      assert.equal(await peer.count('sessions'), 1);
+      assert.deepEqual(await store.list('sessions'), [{ n: 2 }]);
+    });
+
+    it('keeps the TTL through set with keepTtl and through update', async () => {
+      await store.set('sessions', 'S1', { n: 1 }, { ttlMs: 60 });
+      await store.set('sessions', 'S1', { n: 2 }, { keepTtl: true });
+      await store.update('sessions', 'S1', (s) => { s.n++; });
+      assert.deepEqual(await store.get('sessions', 'S1'), { n: 3 });
+
+      await sleep(100);
+      assert.equal(await store.get('sessions', 'S1'), null);
+    });
+
+    it('replaces the TTL when update is given one', async () => {
+      await store.set('sessions', 'S1', { n: 1 }, { ttlMs: 40 });
+      await store.update('sessions', 'S1', (s) => { s.n++; }, { ttlMs: 1000 });
+
+      await sleep(80);
+      assert.deepEqual(await store.get('sessions', 'S1'), { n: 2 });
+    });
+
+    it('updates in place or with a returned replacement', async () => {
+      await store.set('hosts', 'h', { sources: ['A'] });
+
+      const edited = await store.update('hosts', 'h', (h) => { h.sources.push('B'); });
+      assert.deepEqual(edited, { sources: ['A', 'B'] });
+
+      const replaced = await store.update('hosts', 'h', () => ({ sources: [] }));
+      assert.deepEqual(replaced, { sources: [] });
+      assert.deepEqual(await peer.get('hosts', 'h'), { sources: [] });
+    });
+
+    it('does not create missing or expired keys on update', async () => {
+      let calls = 0;
+      assert.equal(await store.update('hosts', 'nope', () => { calls++; }), null);
+
+      await store.set('hosts', 'gone', { n: 1 }, { ttlMs: 20 });
+      await sleep(40);
+      assert.equal(await store.update('hosts', 'gone', () => { calls++; }), null);
+
+      assert.equal(calls, 0);
+      assert.equal(await store.has('hosts', 'nope'), false);
+    });
+
+    it('rejects an update whose mutator throws and leaves the value alone', async () => {
+      await store.set('hosts', 'h', { n: 1 });
+      await assert.rejects(store.update('hosts', 'h', () => { throw new Error('bad'); }), /bad/);
+      assert.deepEqual(await store.get('hosts', 'h'), { n: 1 });
+    });
+
+    it('loses no writes when replicas update concurrently', async () => {
+      await store.set('hosts', 'h', { n: 0 });
+      await Promise.all(Array.from({ length: 20 }, (_, i) =>
+        (i % 2 ? store : peer).update('hosts', 'h', (h) => { h.n++; })));
+      assert.deepEqual(await store.get('hosts', 'h'), { n: 20 });
+    });
+
+    it('delivers published messages to subscribers on other replicas', async () => {
+      let unsubscribe;
+      const received = nextMessage(async (handler) => {
+        unsubscribe = await peer.subscribe('session:S1', handler);
+      });
+      await sleep(10);
+
+      const message = { type: 'client_joined', clientId: 'c1' };
+      await store.publish('session:S1', message);
+      message.type = 'changed';
+      assert.deepEqual(await received, { type: 'client_joined', clientId: 'c1' });
+      await unsubscribe();
+    });
+
+    it('keeps channels apart and stops delivering after unsubscribe', async () => {
+      const got = [];
+      const unsubscribe = await peer.subscribe('a', m => got.push(['a', m]));
+      const unsubscribeB = await peer.subscribe('b', m => got.push(['b', m]));
+
+      await store.publish('a', 1);
+      await store.publish('b', 2);
+      await sleep(20);
+      assert.deepEqual(got, [['a', 1], ['b', 2]]);
+
+      await unsubscribe();
+      await store.publish('a', 3);
+      await store.publish('b', 4);
+      await sleep(20);
+      assert.deepEqual(got, [['a', 1], ['b', 2], ['b', 4]]);
+      await unsubscribeB();
+    });
+  });
+}
+
+describe('redis store on a shared server', () => {
+  let client;
+  let store;
+
+  beforeEach(() => {
+    client = new FakeRedis();
+    store = new RedisStore({ client, prefix: 'test' });
+  });
+
+  afterEach(() => store.close());
+
+  it('retries an update when the key changes before it commits', async () => {
+    await store.set('hosts', 'h', { n: 0, tags: [] });
+    const other = client.duplicate();
+
+    let runs = 0;
+    const result = await store.update('hosts', 'h', (h) => {
+      runs++;
+      // Another replica writes between this read and the commit
+      if (runs === 1) other.set('test:hosts:h', JSON.stringify({ n: 10, tags: ['other'] }));
+      h.n++;
+      h.tags.push(`run${runs}`);
+    });
+
+    assert.equal(runs, 2);
+    assert.deepEqual(result, { n: 11, tags: ['other', 'run2'] });
+    assert.deepEqual(await store.get('hosts', 'h'), result);
+    await other.quit();
+  });
+
+  it('gives up on an update that keeps losing races', async () => {
+    await store.set('hosts', 'h', { n: 0 });
+    const other = client.duplicate();
+
+    let runs = 0;
+    await assert.rejects(store.update('hosts', 'h', (h) => {
+      runs++;
+      other.set('test:hosts:h', JSON.stringify({ n: runs }));
+      h.n = -1;
+    }), /Too much contention/);
+
+    assert.equal(runs, 10);
+    assert.notDeepEqual(await store.get('hosts', 'h'), { n: -1 });
+    await other.quit();
+  });
+
+  it('prunes expired ids from the collection index on list', async () => {
+    await store.set('sessions', 'S1', { n: 1 }, { ttlMs: 20 });
+    await store.set('sessions', 'S2', { n: 2 });
+    await sleep(40);
+
+    assert.deepEqual(await store.list('sessions'), [{ n: 2 }]);
+    assert.deepEqual(await client.smembers('test:sessions'), ['S2']);
+  });
+
+  it('keys records under its prefix', async () => {
+    await store.set('hosts', 'h', { n: 1 });
+    assert.equal(await client.get('test:hosts:h'), '{"n":1}');
+
+    const other = new RedisStore({ client: client.duplicate(), prefix: 'elsewhere' });
+    assert.equal(await other.get('hosts', 'h'), null);
+    await other.close();
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * In-process fake of the Redis commands RedisStore uses
+ *
+ * Strings with PX/KEEPTTL expiry, sets, MULTI/EXEC with WATCH, and pub/sub.
+ * duplicate() returns another connection to the same data, so stores built
+ * on duplicates behave like replicas sharing one Redis. Expiry is checked
+ * lazily against Date.now(), like Redis does on access.
+ */
+
+const { EventEmitter } = require('events');
+
+class FakeServer {
+  constructor() {
+    this.data = new Map(); // key -> { value, expiresAt }
+    this.versions = new Map(); // key -> writes so far, for WATCH
+    this.bus = new EventEmitter();
+    this.bus.setMaxListeners(0);
+  }
+
+  entry(key) {
+    const entry = this.data.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.data.delete(key);
+      this.touch(key);
+      return null;
+    }
+    return entry;
+  }
+
+  touch(key) {
+    this.versions.set(key, (this.versions.get(key) || 0) + 1);
+  }
+
+  version(key) {
+    this.entry(key);
+    return this.versions.get(key) || 0;
+  }
+
+  set(key, value, args) {
+    const existing = this.entry(key);
+    let expiresAt = null;
+    const px = args.indexOf('PX');
+    if (px !== -1) {
+      expiresAt = Date.now() + Number(args[px + 1]);
+    } else if (args.includes('KEEPTTL') && existing) {
+      expiresAt = existing.expiresAt;
+    }
+    this.data.set(key, { value: String(value), expiresAt });
+    this.touch(key);
+    return 'OK';
+  }
+
+  members(key) {
+    const entry = this.entry(key);
+    return entry ? entry.value : new Set();
+  }
+
+  sadd(key, members) {
+    const set = this.members(key);
+    const before = set.size;
+    members.forEach(m => set.add(String(m)));
+    this.data.set(key, { value: set, expiresAt: null });
+    this.touch(key);
+    return set.size - before;
+  }
+
+  srem(key, members) {
+    const set = this.members(key);
+    const removed = members.filter(m => set.delete(String(m))).length;
+    if (removed > 0) this.touch(key);
+    return removed;
+  }
+
+  del(keys) {
+    const removed = keys.filter(key => this.entry(key) && this.data.delete(key));
+    removed.forEach(key => this.touch(key));
+    return removed.length;
+  }
+}
+
+class FakeRedis extends EventEmitter {
+  constructor(server = new FakeServer()) {
+    super();
+    this.server = server;
+    this.watched = new Map();
+    this.channels = new Map();
+    this.closed = false;
+  }
+
+  duplicate() {
+    return new FakeRedis(this.server);
+  }
+
+  // Commands on a closed connection fail, as with ioredis
+  _check() {
+    if (this.closed) throw new Error('Connection is closed.');
+  }
+
+  async get(key) {
+    this._check();
+    const entry = this.server.entry(key);
+    return entry ? entry.value : null;
+  }
+
+  async mget(keys) {
+    this._check();
+    return keys.map((key) => {
+      const entry = this.server.entry(key);
+      return entry ? entry.value : null;
+    });
+  }
+
+  async exists(key) {
+    this._check();
+    return this.server.entry(key) ? 1 : 0;
+  }
+
+  async set(key, value, ...args) {
+    this._check();
+    return this.server.set(key, value, args);
+  }
+
+  async smembers(key) {
+    this._check();
+    return [...this.server.members(key)];
+  }
+
+  async srem(key, ...members) {
+    this._check();
+    return this.server.srem(key, members);
+  }
+
+  async watch(...keys) {
+    this._check();
+    keys.forEach(key => this.watched.set(key, this.server.version(key)));
+    return 'OK';
+  }
+
+  async unwatch() {
+    this.watched.clear();
+    return 'OK';
+  }
+
+  multi() {
+    const commands = [];
+    const chain = {
+      set: (key, value, ...args) => { commands.push(() => this.server.set(key, value, args)); return chain; },
+      sadd: (key, ...members) => { commands.push(() => this.server.sadd(key, members)); return chain; },
+      srem: (key, ...members) => { commands.push(() => this.server.srem(key, members)); return chain; },
+      del: (...keys) => { commands.push(() => this.server.del(keys)); return chain; },
+      exec: async () => {
+        this._check();
+        const conflict = [...this.watched].some(([key, version]) => this.server.version(key) !== version);
+        this.watched.clear();
+        if (conflict) return null;
+        return commands.map(run => [null, run()]);
+      }
+    };
+    return chain;
+  }
+
+  async publish(channel, message) {
+    this._check();
+    const receivers = this.server.bus.listenerCount(channel);
+    // Delivered asynchronously, like over a socket
+    setImmediate(() => this.server.bus.emit(channel, channel, message));
+    return receivers;
+  }
+
+  async subscribe(channel) {
+    this._check();
+    if (!this.channels.has(channel)) {
+      const listener = (ch, message) => this.emit('message', ch, message);
+      this.channels.set(channel, listener);
+      this.server.bus.on(channel, listener);
+    }
+    return this.channels.size;
+  }
+
+  async unsubscribe(channel) {
+    const listener = this.channels.get(channel);
+    if (listener) {
+      this.server.bus.off(channel, listener);
+      this.channels.delete(channel);
+    }
+    return this.channels.size;
+  }
+
+  async quit() {
+    for (const channel of [...this.channels.keys()]) await this.unsubscribe(channel);
+    this.closed = true;
+    return 'OK';
+  }
+}
+
+module.exports = { FakeRedis, FakeServer };